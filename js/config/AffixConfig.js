@@ -0,0 +1,207 @@
+/**
+ * Affix Configuration - Elite (champion) variants of regular enemies
+ * An elite is a regular enemy carrying one or more affixes. Each affix scales the
+ * enemy's stats and may add behaviour through hooks that Enemy and EliteSystem call
+ * TUNABLE: New affixes are a config entry plus (optionally) a hook
+ * @module config/AffixConfig
+ */
+
+import { RNG } from '../utils/Random.js';
+
+/**
+ * @typedef {Object} AffixStats
+ * @property {number} [health] - Health multiplier
+ * @property {number} [speed] - Movement speed multiplier
+ * @property {number} [damage] - Contact damage multiplier
+ * @property {number} [xp] - XP value multiplier
+ */
+
+/**
+ * @typedef {Object} EliteAffix
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} color - Bracket color drawn around the elite
+ * @property {AffixStats} stats - Stat multipliers applied on top of the elite base stats
+ * @property {Function} [modifyDamageTaken] - (enemy, amount, affix) → damage actually taken
+ * @property {Function} [onHitPlayer] - (enemy, damage, affix) after contact damage lands
+ * @property {Function} [onUpdate] - (enemy, deltaTime, affix, gameState) every tick
+ * @property {Function} [onDeath] - (enemy, affix) → Array<Enemy> spawned when the death animation ends
+ */
+
+/**
+ * Elite tuning shared by every affix
+ */
+export const ELITE_CONFIG = {
+    START_TIME: 60,            // No elites before this many seconds
+    BASE_CHANCE: 0.01,         // Chance per regular spawn at START_TIME
+    CHANCE_PER_MINUTE: 0.006,  // Added every minute after START_TIME
+    MAX_CHANCE: 0.08,
+    AFFIX_EVERY: 300,          // One more affix per elite every 5 minutes...
+    MAX_AFFIXES: 3,            // ...up to this many
+
+    // Applied once per elite, before the affix multipliers
+    STATS: { health: 2.5, damage: 1.25, xp: 4 },
+
+    // Loot on top of the (multiplied) XP gem
+    LOOT: {
+        HEALTH_CHANCE: 0.3,
+        HEALTH_VALUE: 20,
+        CACHE_CHANCE_PER_AFFIX: 0.05  // 3-affix elites drop a cache 15% of the time
+    }
+};
+
+/**
+ * Affix definitions
+ * @type {Object.<string, EliteAffix>}
+ */
+export const ELITE_AFFIXES = {
+    /**
+     * Hasted - much faster
+     */
+    HASTED: {
+        id: 'hasted',
+        name: 'Hasted',
+        color: '#00FFFF',
+        stats: { speed: 1.6 }
+    },
+
+    /**
+     * Armored - shrugs off part of every hit
+     */
+    ARMORED: {
+        id: 'armored',
+        name: 'Armored',
+        color: '#C0C0C0',
+        stats: { speed: 0.85 },
+        reduction: 0.4,
+        modifyDamageTaken: (enemy, amount, affix) => amount * (1 - affix.reduction)
+    },
+
+    /**
+     * Vampiric - heals from the damage it deals on contact
+     */
+    VAMPIRIC: {
+        id: 'vampiric',
+        name: 'Vampiric',
+        color: '#FF0055',
+        stats: { damage: 1.2 },
+        lifesteal: 3,              // Health regained per point of damage dealt
+        onHitPlayer: (enemy, damage, affix) => enemy.heal(damage * affix.lifesteal)
+    },
+
+    /**
+     * Splitting - breaks into smaller copies of its type on death
+     */
+    SPLITTING: {
+        id: 'splitting',
+        name: 'Splitting',
+        color: '#CC66FF',
+        stats: { health: 0.8 },
+        count: 3,
+        healthFraction: 0.5,       // Of the base type's health
+        onDeath: (enemy, affix) => enemy.split(affix.count, affix.healthFraction)
+    },
+
+    /**
+     * Shielding - allies nearby take reduced damage (not stacking, not itself)
+     */
+    SHIELDING: {
+        id: 'shielding',
+        name: 'Shielding',
+        color: '#4488FF',
+        stats: {},
+        radius: 140,
+        reduction: 0.5,
+        onUpdate: (enemy, deltaTime, affix, gameState) => {
+            const radiusSq = affix.radius * affix.radius;
+            for (const ally of gameState.enemies) {
+                if (ally === enemy || ally.dying) continue;
+                const dx = ally.position.x - enemy.position.x;
+                const dy = ally.position.y - enemy.position.y;
+                if (dx * dx + dy * dy <= radiusSq) {
+                    ally.shieldReduction = Math.max(ally.shieldReduction, affix.reduction);
+                }
+            }
+        }
+    },
+
+    /**
+     * Toxic - leaves a trail of hazard puddles that hurt the player
+     */
+    TRAIL: {
+        id: 'trail',
+        name: 'Toxic',
+        color: '#88FF00',
+        stats: {},
+        interval: 0.35,            // Seconds between puddles
+        hazard: { radius: 14, damage: 4, lifetime: 3, char: '~', color: '#88FF00' },
+        onUpdate: (enemy, deltaTime, affix, gameState) => {
+            enemy.trailTimer -= deltaTime;
+            if (enemy.trailTimer > 0) return;
+
+            enemy.trailTimer += affix.interval;
+            gameState.hazards.push({
+                position: { x: enemy.position.x, y: enemy.position.y },
+                radius: affix.hazard.radius,
+                damage: affix.hazard.damage,
+                char: affix.hazard.char,
+                color: affix.hazard.color,
+                lifetime: 0,
+                maxLifetime: affix.hazard.lifetime
+            });
+        }
+    }
+};
+
+/**
+ * Gets an affix by id
+ * @param {string} id - Affix id (e.g. 'hasted')
+ * @returns {EliteAffix|null} Affix config or null
+ */
+export function getAffix(id) {
+    return Object.values(ELITE_AFFIXES).find(affix => affix.id === id) || null;
+}
+
+/**
+ * Chance that a regular spawn becomes an elite
+ * @param {number} gameTime - Game time in seconds
+ * @returns {number} Chance (0-1)
+ */
+export function getEliteChance(gameTime) {
+    if (gameTime < ELITE_CONFIG.START_TIME) return 0;
+
+    const minutes = (gameTime - ELITE_CONFIG.START_TIME) / 60;
+    return Math.min(ELITE_CONFIG.MAX_CHANCE, ELITE_CONFIG.BASE_CHANCE + minutes * ELITE_CONFIG.CHANCE_PER_MINUTE);
+}
+
+/**
+ * Rolls whether a regular spawn becomes an elite, and with which affixes
+ * Draws nothing from the gameplay stream while elites are disabled (before START_TIME)
+ * @param {number} gameTime - Game time in seconds
+ * @returns {Array<string>} Affix ids (empty = regular enemy)
+ */
+export function rollEliteAffixes(gameTime) {
+    const chance = getEliteChance(gameTime);
+    if (chance <= 0 || RNG.gameplay.next() >= chance) return [];
+
+    const count = Math.min(ELITE_CONFIG.MAX_AFFIXES, 1 + Math.floor(gameTime / ELITE_CONFIG.AFFIX_EVERY));
+    const pool = Object.values(ELITE_AFFIXES).map(affix => affix.id);
+    const picked = [];
+
+    for (let i = 0; i < count && pool.length > 0; i++) {
+        const index = Math.floor(RNG.gameplay.next() * pool.length);
+        picked.push(pool.splice(index, 1)[0]);
+    }
+
+    return picked;
+}
+
+// Freeze config to prevent accidental modification
+Object.freeze(ELITE_CONFIG);
+Object.freeze(ELITE_CONFIG.STATS);
+Object.freeze(ELITE_CONFIG.LOOT);
+Object.freeze(ELITE_AFFIXES);
+for (const affix of Object.values(ELITE_AFFIXES)) {
+    Object.freeze(affix);
+    Object.freeze(affix.stats);
+}
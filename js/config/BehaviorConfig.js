@@ -0,0 +1,518 @@
+/**
+ * Behavior Configuration - Building blocks for enemy AI
+ * Each enemy type lists the behaviors it's made of in EnemyConfig (`behaviors: [{ id: 'kite',
+ * preferredDistance: 180 }, { id: 'shoot', fireRate: 0.5 }]`); anything an entry leaves out
+ * comes from the behavior's defaults. Enemy runs them every tick: movement behaviors in list
+ * order until one steers the enemy, then every per-tick hook (shooting, healing and shielding
+ * allies). Types without a list chase. A behavior that needs to remember something between
+ * ticks keeps it in its own slice of the enemy's behaviorState (created by createState,
+ * saved with the enemy), so new behaviors never add fields to Enemy or SaveGame
+ * TUNABLE: New enemy types are a behavior list; new behaviors are an entry here
+ * @module config/BehaviorConfig
+ */
+
+import { getEnemyType } from './EnemyConfig.js';
+import { Vector2D } from '../utils/Vector2D.js';
+
+/**
+ * What a behavior sees each tick
+ * @typedef {Object} BehaviorContext
+ * @property {Vector2D} playerPosition - Player position
+ * @property {Vector2D} direction - Vector from the enemy to the player
+ * @property {number} distance - Distance to the player
+ * @property {Object|null} gameState - Game state (receives enemy projectiles and explosions)
+ */
+
+/**
+ * @typedef {Object} EnemyBehavior
+ * @property {string} id - Unique identifier
+ * @property {Object} defaults - Parameters used when the enemy type leaves them out
+ * @property {Function} [createState] - (params) → plain-data state, kept in
+ *   enemy.behaviorState[id] and saved with the enemy
+ * @property {Function} [move] - (enemy, params, context, deltaTime) → true if it set the enemy's
+ *   velocity this tick; the first movement behavior in the list that does wins
+ * @property {Function} [onUpdate] - (enemy, params, context, deltaTime) every tick
+ * @property {Function} [getTelegraph] - (enemy, params) → attack warning to draw, or null
+ *   (see Enemy.getTelegraph)
+ * @property {Function} [updateState] - (enemy, state, deltaTime) every tick for any enemy holding
+ *   this behavior's slice - including slices it put on other enemies
+ * @property {Function} [blocksHit] - (enemy, params, travel) → true if a projectile moving
+ *   along travel is stopped (see Enemy.blocksHit)
+ * @property {Function} [absorbDamage] - (enemy, state, amount) → damage the slice soaks up before
+ *   health
+ * @property {boolean} [showsRange] - Draw params.radius as a ring in params.color
+ * @property {Function} [onDeath] - (enemy, params, gameState) → Array<Enemy> spawned when the death
+ *   animation ends (may queue explosions on gameState.explosions)
+ */
+
+/**
+ * @typedef {Object} ResolvedBehavior
+ * @property {EnemyBehavior} behavior - Behavior definition
+ * @property {Object} params - Defaults merged with the enemy type's entry
+ */
+
+/**
+ * Behavior definitions
+ * @type {Object.<string, EnemyBehavior>}
+ */
+export const ENEMY_BEHAVIORS = {
+    /**
+     * Chase - run straight at the player
+     */
+    CHASE: {
+        id: 'chase',
+        defaults: {},
+        move: (enemy, params, { direction, distance }) => {
+            enemy.velocity = distance > 1 ? direction.normalize().multiply(enemy.speed) : new Vector2D(0, 0);
+            return true;
+        }
+    },
+
+    /**
+     * Kite - keep a set distance: back off when the player gets close, close in when far
+     */
+    KITE: {
+        id: 'kite',
+        defaults: {
+            preferredDistance: 180,    // Closes in beyond this (plus tolerance)
+            retreatDistance: 120,      // Backs off inside this
+            tolerance: 20
+        },
+        move: (enemy, params, { direction, distance }) => {
+            if (distance < params.retreatDistance) {
+                if (distance > 0) {
+                    enemy.velocity = direction.normalize().multiply(-enemy.speed);
+                }
+            } else if (distance > params.preferredDistance + params.tolerance) {
+                if (distance > 1) {
+                    enemy.velocity = direction.normalize().multiply(enemy.speed);
+                }
+            } else {
+                // In range - drift to a stop
+                enemy.velocity = enemy.velocity.multiply(0.9);
+            }
+            return true;
+        }
+    },
+
+    /**
+     * Flee - run directly away from the player
+     */
+    FLEE: {
+        id: 'flee',
+        defaults: {},
+        move: (enemy, params, { direction, distance }) => {
+            if (distance > 0) {
+                enemy.velocity = direction.normalize().multiply(-enemy.speed);
+            }
+            return true;
+        }
+    },
+
+    /**
+     * Orbit - circle the player at a set radius, spiralling in or out to reach it
+     */
+    ORBIT: {
+        id: 'orbit',
+        defaults: {
+            radius: 160,
+            clockwise: true
+        },
+        move: (enemy, params, { direction, distance }) => {
+            if (distance <= 1) return false;
+
+            const toPlayer = direction.normalize();
+            const side = params.clockwise ? 1 : -1;
+            // Radial pull grows with the distance from the ring, capped at full speed
+            const pull = Math.max(-1, Math.min(1, (distance - params.radius) / params.radius));
+            const x = -toPlayer.y * side + toPlayer.x * pull;
+            const y = toPlayer.x * side + toPlayer.y * pull;
+            const length = Math.sqrt(x * x + y * y);
+
+            enemy.velocity = new Vector2D((x / length) * enemy.speed, (y / length) * enemy.speed);
+            return true;
+        }
+    },
+
+    /**
+     * Charge - once in range, stop and wind up, dash in a locked direction, then recover -
+     * or stay stunned for longer if the dash missed the player
+     * Only steers while charging; otherwise the next movement behavior in the list takes over.
+     * The renderer telegraphs the wind-up along the locked dash line
+     */
+    CHARGE: {
+        id: 'charge',
+        defaults: {
+            range: 220,                // Starts winding up within this distance
+            windup: 0.6,               // Seconds standing still before the dash
+            dashSpeed: 420,
+            dashRange: 320,            // Pixels covered by the dash
+            recovery: 0.8,             // Seconds standing still after a dash that hit
+            stun: 1.5                  // Seconds stunned after a dash that missed
+        },
+        createState: () => ({
+            phase: null,               // 'windup', 'dash', 'recover', 'stunned' (null = not charging)
+            timer: 0,                  // Seconds left in the wind-up, recovery or stun
+            direction: null,           // Unit direction locked in at the start of the wind-up
+            travelled: 0,              // Pixels covered by the current dash
+            hit: false                 // Whether the current dash touched the player (a miss stuns)
+        }),
+        move: (enemy, params, { direction, distance, gameState }, deltaTime) => {
+            const state = enemy.behaviorState.charge;
+
+            switch (state.phase) {
+                case 'windup':
+                    state.timer -= deltaTime;
+                    if (state.timer <= 0) {
+                        state.phase = 'dash';
+                        state.travelled = 0;
+                        state.hit = false;
+                    }
+                    enemy.velocity = new Vector2D(0, 0);
+                    return true;
+
+                case 'dash': {
+                    const player = gameState?.player;
+                    if (player && distance <= enemy.radius + player.radius) {
+                        state.hit = true;
+                    }
+
+                    state.travelled += params.dashSpeed * deltaTime;
+                    if (state.travelled >= params.dashRange) {
+                        state.phase = state.hit ? 'recover' : 'stunned';
+                        state.timer = state.hit ? params.recovery : params.stun;
+                        enemy.velocity = new Vector2D(0, 0);
+                    } else {
+                        enemy.velocity = new Vector2D(state.direction.x * params.dashSpeed, state.direction.y * params.dashSpeed);
+                    }
+                    return true;
+                }
+
+                case 'recover':
+                case 'stunned':
+                    state.timer -= deltaTime;
+                    if (state.timer <= 0) {
+                        state.phase = null;
+                    }
+                    enemy.velocity = new Vector2D(0, 0);
+                    return true;
+
+                default: {
+                    if (distance > params.range || distance <= 1) return false;
+
+                    // Lock the direction now - the player can step out of the line during the wind-up
+                    const toPlayer = direction.normalize();
+                    state.phase = 'windup';
+                    state.timer = params.windup;
+                    state.direction = { x: toPlayer.x, y: toPlayer.y };
+                    enemy.velocity = new Vector2D(0, 0);
+                    return true;
+                }
+            }
+        },
+        getTelegraph: (enemy, params) => {
+            const state = enemy.behaviorState.charge;
+            if (state.phase !== 'windup') return null;
+
+            return {
+                direction: state.direction,
+                length: params.dashRange,
+                progress: 1 - Math.max(0, state.timer) / params.windup
+            };
+        }
+    },
+
+    /**
+     * Fuse - lights a fuse once the player is close and keeps creeping at them until it
+     * blows, hurting the player and every enemy in the blast. Destroyed before that, it
+     * goes off early in a smaller blast that only hurts enemies. Blast damage scales with
+     * the enemy. Steers only while lit; otherwise the next movement behavior takes over
+     */
+    FUSE: {
+        id: 'fuse',
+        defaults: {
+            range: 70,                 // Lights the fuse within this distance
+            fuse: 1.2,                 // Seconds until it blows
+            speed: 0.5,                // Speed multiplier while lit
+            radius: 90,
+            damage: 30,
+            deathRadius: 60,           // Early blast when destroyed (enemies only)
+            deathDamage: 15,
+            color: '#FFAA00',          // Blast particles
+            ringColor: '#FFDD66'
+        },
+        createState: () => ({
+            timer: null                // Seconds until the blast (null = not lit yet)
+        }),
+        move: (enemy, params, { direction, distance, gameState }, deltaTime) => {
+            const state = enemy.behaviorState.fuse;
+            if (state.timer === null) {
+                if (distance > params.range) return false;
+                state.timer = params.fuse;
+            }
+
+            state.timer -= deltaTime;
+            if (state.timer <= 0) {
+                // Gone with its own blast - not a kill, no loot
+                enemy.escaped = true;
+                enemy.velocity = new Vector2D(0, 0);
+                gameState?.explosions.push(createBlast(enemy, params, params.radius, params.damage, true));
+                return true;
+            }
+
+            enemy.velocity = distance > 1 ? direction.normalize().multiply(enemy.speed * params.speed) : new Vector2D(0, 0);
+            return true;
+        },
+        getTelegraph: (enemy, params) => {
+            const { timer } = enemy.behaviorState.fuse;
+            if (timer === null) return null;
+
+            return { radius: params.radius, progress: 1 - Math.max(0, timer) / params.fuse };
+        },
+        onDeath: (enemy, params, gameState) => {
+            gameState.explosions.push(createBlast(enemy, params, params.deathRadius, params.deathDamage, false));
+            return [];
+        }
+    },
+
+    /**
+     * Shoot - fire at the player while in range (damage lives on the enemy so it scales)
+     */
+    SHOOT: {
+        id: 'shoot',
+        defaults: {
+            range: 400,
+            fireRate: 0.5,             // Shots per second
+            speed: 180,
+            damage: 8,
+            char: '*',
+            color: '#FF6600',
+            lifetime: 2
+        },
+        createState: () => ({
+            lastFireTime: null         // Clock time of the last shot (null = can fire immediately)
+        }),
+        onUpdate: (enemy, params, { playerPosition, distance, gameState }) => {
+            if (distance >= params.range || !gameState) return;
+
+            const state = enemy.behaviorState.shoot;
+            const currentTime = enemy.clock.now();
+            if (state.lastFireTime === null || currentTime - state.lastFireTime >= 1 / params.fireRate) {
+                enemy.fireProjectile(playerPosition, gameState, params);
+                state.lastFireTime = currentTime;
+            }
+        }
+    },
+
+    /**
+     * Split - breaks into smaller enemies on death (another type, or copies of itself)
+     */
+    SPLIT: {
+        id: 'split',
+        defaults: {
+            enemy: null,               // Enemy type id (null = copies of its own type)
+            count: 3,
+            healthFraction: 1,         // Of the spawned type's base health
+            distance: 40               // Spawned this far from the death point
+        },
+        onDeath: (enemy, params) => enemy.split(
+            params.count,
+            params.healthFraction,
+            params.enemy ? getEnemyType(params.enemy) : enemy.typeConfig,
+            params.distance
+        )
+    },
+
+    /**
+     * Aura - hurts the player while they're within a radius of the enemy
+     * Applied by CollisionSystem like a hazard (damage scales with the enemy)
+     */
+    AURA: {
+        id: 'aura',
+        defaults: {
+            radius: 60,
+            damage: 4,
+            color: '#FF4444'
+        }
+    },
+
+    /**
+     * Armor - faces the player and blocks projectiles that hit its front arc (checked by the
+     * CollisionSystem). Sides and back, auras, drones and explosions get through
+     */
+    ARMOR: {
+        id: 'armor',
+        defaults: {
+            arc: 120,                  // Width of the armored front in degrees
+            color: '#CCCCCC'           // Armor plate
+        },
+        createState: () => ({
+            facing: { x: 1, y: 0 }     // Unit direction the armored front points (toward the player)
+        }),
+        onUpdate: (enemy, params, { direction, distance }) => {
+            const state = enemy.behaviorState.armor;
+            if (distance > 0) state.facing = { x: direction.x / distance, y: direction.y / distance };
+        },
+        blocksHit: (enemy, params, travel) => {
+            const length = Math.hypot(travel.x, travel.y);
+            if (length === 0) return false;
+
+            // A projectile moving against the facing direction hits the front
+            const { facing } = enemy.behaviorState.armor;
+            const cos = -(travel.x * facing.x + travel.y * facing.y) / length;
+            return cos >= Math.cos((params.arc / 2) * Math.PI / 180);
+        }
+    },
+
+    /**
+     * Heal - every few seconds restore part of each nearby ally's max health (not itself)
+     */
+    HEAL: {
+        id: 'heal',
+        defaults: {
+            radius: 150,
+            interval: 1.5,             // Seconds between pulses
+            amount: 0.1,               // Fraction of each ally's max health per pulse
+            color: '#33FF99'           // Range ring
+        },
+        showsRange: true,
+        createState: () => ({
+            timer: 0                   // Seconds until the next pulse
+        }),
+        onUpdate: (enemy, params, { gameState }, deltaTime) => {
+            const state = enemy.behaviorState.heal;
+            state.timer -= deltaTime;
+            if (state.timer > 0) return;
+
+            state.timer += params.interval;
+            forEachAlly(enemy, params.radius, gameState, ally => ally.heal(ally.maxHealth * params.amount));
+        }
+    },
+
+    /**
+     * Shield - nearby allies (not itself) carry a damage-absorbing shield, full on entering the
+     * field and refilling while they stay. It fades `linger` seconds after they leave it.
+     * The shield lives in each covered ally's 'shield' slice ({ points, timer }), not the node's
+     */
+    SHIELD: {
+        id: 'shield',
+        defaults: {
+            radius: 140,
+            amount: 0.5,               // Shield as a fraction of each ally's max health
+            regen: 0.1,                // Refill per second (fraction of max health)
+            linger: 0.5,
+            color: '#3399FF'           // Range ring
+        },
+        showsRange: true,
+        onUpdate: (enemy, params, { gameState }, deltaTime) => {
+            forEachAlly(enemy, params.radius, gameState, ally => {
+                const shield = ally.behaviorState.shield ??= { points: 0, timer: 0 };
+                const max = ally.maxHealth * params.amount;
+                shield.points = shield.timer > 0
+                    ? Math.min(max, shield.points + ally.maxHealth * params.regen * deltaTime)
+                    : max;
+                shield.timer = params.linger;
+            });
+        },
+        updateState: (enemy, shield, deltaTime) => {
+            // Fades once no firewall node has covered the enemy for a while
+            if (shield.timer <= 0) return;
+            shield.timer -= deltaTime;
+            if (shield.timer <= 0) shield.points = 0;
+        },
+        absorbDamage: (enemy, shield, amount) => {
+            const absorbed = Math.min(shield.points, amount);
+            shield.points -= absorbed;
+            return absorbed;
+        }
+    }
+};
+
+/**
+ * Calls fn for every living ally within radius of a support enemy (not the enemy itself)
+ * @param {Enemy} enemy - Support enemy
+ * @param {number} radius - Field radius
+ * @param {Object|null} gameState - Game state (enemies)
+ * @param {function(Enemy): void} fn - Called per ally
+ */
+function forEachAlly(enemy, radius, gameState, fn) {
+    if (!gameState || enemy.dying) return;
+
+    const radiusSq = radius * radius;
+    for (const ally of gameState.enemies) {
+        if (ally === enemy || ally.dying || !ally.alive) continue;
+        const dx = ally.position.x - enemy.position.x;
+        const dy = ally.position.y - enemy.position.y;
+        if (dx * dx + dy * dy <= radiusSq) fn(ally);
+    }
+}
+
+/**
+ * Builds an enemy's blast for the Simulation's shared explosion path ('fuse' behavior)
+ * @param {Enemy} enemy - Exploding enemy
+ * @param {Object} params - 'fuse' parameters (colors)
+ * @param {number} radius - Blast radius
+ * @param {number} damage - Base blast damage (scaled by the enemy's damage multiplier)
+ * @param {boolean} hurtsPlayer - Whether the player is caught too
+ * @returns {Explosion}
+ */
+function createBlast(enemy, params, radius, damage, hurtsPlayer) {
+    return {
+        position: { x: enemy.position.x, y: enemy.position.y },
+        radius,
+        damage: damage * enemy.damageMultiplier,
+        source: 'explosion',
+        hurtsPlayer,
+        owner: enemy,
+        effect: 'LOGIC_BOMB_EXPLOSION',
+        colors: { fill: params.color, ring: params.ringColor }
+    };
+}
+
+/**
+ * What a type without a behavior list does
+ * @type {Array<{id: string}>}
+ */
+const DEFAULT_BEHAVIORS = [{ id: 'chase' }];
+
+/**
+ * Resolved behavior lists, per enemy type
+ * @type {WeakMap<EnemyType, Array<ResolvedBehavior>>}
+ */
+const resolvedBehaviors = new WeakMap();
+
+/**
+ * Gets a behavior by id
+ * @param {string} id - Behavior id (e.g. 'kite')
+ * @returns {EnemyBehavior|null} Behavior or null
+ */
+export function getBehavior(id) {
+    return Object.values(ENEMY_BEHAVIORS).find(behavior => behavior.id === id) || null;
+}
+
+/**
+ * Gets an enemy type's behaviors with their parameters (resolved once per type)
+ * @param {EnemyType} type - Enemy type
+ * @returns {Array<ResolvedBehavior>}
+ */
+export function getBehaviors(type) {
+    let resolved = resolvedBehaviors.get(type);
+    if (!resolved) {
+        resolved = (type.behaviors || DEFAULT_BEHAVIORS).map(entry => {
+            const behavior = getBehavior(entry.id);
+            if (!behavior) {
+                throw new Error(`Unknown enemy behavior: ${entry.id} (${type.id})`);
+            }
+            return Object.freeze({ behavior, params: Object.freeze({ ...behavior.defaults, ...entry }) });
+        });
+        resolvedBehaviors.set(type, Object.freeze(resolved));
+    }
+    return resolved;
+}
+
+// Freeze config to prevent accidental modification
+Object.freeze(ENEMY_BEHAVIORS);
+for (const behavior of Object.values(ENEMY_BEHAVIORS)) {
+    Object.freeze(behavior);
+    Object.freeze(behavior.defaults);
+}
@@ -0,0 +1,49 @@
+/**
+ * Director Configuration - Bounds and thresholds for the adaptive difficulty director
+ * The director scales SpawnSystem intensity (wave size, wave and trickle rate) from
+ * how the player is doing; these are the designer-set limits it works within
+ * TUNABLE: Every number here
+ * @module config/DirectorConfig
+ */
+
+export const DIRECTOR_CONFIG = {
+    EVAL_INTERVAL: 5,        // Seconds between decisions
+    WINDOW: 20,              // Seconds of history behind "recent" damage, kills and DPS
+
+    // Intensity bounds for normal play (1 = the stage as designed)
+    MIN_INTENSITY: 0.6,
+    MAX_INTENSITY: 1.6,
+    STEP: 0.1,               // Change per decision
+
+    // Relief window after a near-death (may go below MIN_INTENSITY)
+    RELIEF: {
+        HEALTH: 0.25,        // Health fraction that counts as a near-death
+        INTENSITY: 0.4,
+        DURATION: 12,        // Seconds
+        COOLDOWN: 30         // Seconds after a relief window before another can start
+    },
+
+    // Every condition must hold to add pressure
+    CRUISING: {
+        MIN_HEALTH: 0.7,
+        MAX_DAMAGE_TAKEN: 10,    // Over the window
+        MIN_KILL_RATE: 1,        // Kills per second
+        MAX_CLEAR_TIME: 5        // Seconds the player's DPS needs to clear every enemy on screen
+    },
+
+    // Any condition eases off
+    STRUGGLING: {
+        MAX_HEALTH: 0.45,
+        MIN_DAMAGE_TAKEN: 30,
+        MIN_ON_SCREEN: 120,
+        MIN_CLEAR_TIME: 25
+    },
+
+    LOG_SIZE: 100            // Decisions kept for the run summary
+};
+
+// Freeze config to prevent accidental modification
+Object.freeze(DIRECTOR_CONFIG);
+Object.freeze(DIRECTOR_CONFIG.RELIEF);
+Object.freeze(DIRECTOR_CONFIG.CRUISING);
+Object.freeze(DIRECTOR_CONFIG.STRUGGLING);
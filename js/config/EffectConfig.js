@@ -22,6 +22,8 @@
  * - scalePulse: { duration, scale } - Briefly grow entity
  * - flash: { duration, color } - Flash overlay color
  * - screenShake: { duration, intensity } - Camera shake
+ * - hitStop: { duration, timeScale } - Freeze (0) or slow (0-1) gameplay; effects,
+ *   particles, damage numbers and shake keep animating. Skipped while one is running
  */
 export const EFFECT_PRESETS = {
     /**
@@ -49,6 +51,27 @@ export const EFFECT_PRESETS = {
         }
     },
 
+    /**
+     * Projectile blocked by frontal armor - a spark, no flash
+     */
+    ENEMY_BLOCK: {
+        effects: ['scalePulse'],
+        scalePulse: {
+            duration: 0.15,
+            scale: 1.1
+        },
+        particles: {
+            count: 5,
+            char: '+',
+            color: '#FFFF88',  // Pale yellow spark
+            size: 10,
+            speed: [60, 120],
+            lifetime: 0.2,
+            gravity: 0,
+            spread: 360
+        }
+    },
+
     /**
      * Enemy death - satisfying burst
      */
@@ -74,11 +97,141 @@ export const EFFECT_PRESETS = {
         }
     },
 
+    /**
+     * Tank death - heavy kill, brief freeze on impact
+     */
+    TANK_DEATH: {
+        effects: ['hitStop', 'scalePulse', 'flash', 'screenShake'],
+        hitStop: {
+            duration: 0.06,     // ~4 ticks
+            timeScale: 0        // Full freeze
+        },
+        scalePulse: {
+            duration: 0.4,
+            scale: 1.6
+        },
+        flash: {
+            duration: 0.3,
+            color: '#FFFFFF'
+        },
+        screenShake: {
+            duration: 0.1,
+            intensity: 3
+        },
+        particles: {
+            count: 12,
+            char: '#',
+            color: '#AA0000',   // Dark red like the tank
+            size: 15,
+            speed: [60, 140],
+            lifetime: 0.5,
+            gravity: 100,
+            spread: 360
+        }
+    },
+
+    /**
+     * Boss crosses into its next phase - slow-motion beat and a burst
+     */
+    BOSS_PHASE: {
+        effects: ['hitStop', 'scalePulse', 'flash', 'screenShake'],
+        hitStop: {
+            duration: 0.25,
+            timeScale: 0.2
+        },
+        scalePulse: {
+            duration: 0.4,
+            scale: 1.4
+        },
+        flash: {
+            duration: 0.4,
+            color: '#FFFFFF'
+        },
+        screenShake: {
+            duration: 0.25,
+            intensity: 8
+        },
+        particles: {
+            count: 20,
+            char: '#',
+            color: '#FFAA00',
+            size: 16,
+            speed: [80, 180],
+            lifetime: 0.6,
+            gravity: 0,
+            spread: 360
+        }
+    },
+
+    /**
+     * Boss death - long freeze and a big burst
+     */
+    BOSS_DEATH: {
+        effects: ['hitStop', 'scalePulse', 'flash', 'screenShake'],
+        hitStop: {
+            duration: 0.2,
+            timeScale: 0
+        },
+        scalePulse: {
+            duration: 0.6,
+            scale: 1.8
+        },
+        flash: {
+            duration: 0.5,
+            color: '#FFFFFF'
+        },
+        screenShake: {
+            duration: 0.4,
+            intensity: 12
+        },
+        particles: {
+            count: 40,
+            char: '#',
+            color: '#FF2222',
+            size: 18,
+            speed: [80, 220],
+            lifetime: 0.9,
+            gravity: 60,
+            spread: 360
+        }
+    },
+
+    /**
+     * Mine explosion - blast particles are spawned by the Simulation
+     */
+    MINE_EXPLOSION: {
+        effects: ['hitStop'],
+        hitStop: {
+            duration: 0.04,
+            timeScale: 0
+        }
+    },
+
+    /**
+     * Logic bomb blast - bigger than a mine, shakes the camera
+     * Blast particles are spawned by the Simulation
+     */
+    LOGIC_BOMB_EXPLOSION: {
+        effects: ['hitStop', 'screenShake'],
+        hitStop: {
+            duration: 0.05,
+            timeScale: 0
+        },
+        screenShake: {
+            duration: 0.15,
+            intensity: 5
+        }
+    },
+
     /**
      * Player takes damage - impactful
      */
     PLAYER_HIT: {
-        effects: ['screenShake', 'flash'],
+        effects: ['hitStop', 'screenShake', 'flash'],
+        hitStop: {
+            duration: 0.1,
+            timeScale: 0.15     // Slow motion rather than a full stop
+        },
         screenShake: {
             duration: 0.12,
             intensity: 6
@@ -4,6 +4,8 @@
  * @module config/EnemyConfig
  */
 
+import { RNG } from '../utils/Random.js';
+
 /**
  * @typedef {Object} EnemyType
  * @property {string} id - Unique identifier
@@ -14,6 +16,45 @@
  * @property {number} xpValue - Experience points dropped on death
  * @property {number} radius - Collision radius in pixels
  * @property {number} spawnWeight - Relative spawn probability
+ * @property {string} [deathEffect] - EFFECT_PRESETS key played on death
+ * @property {Array<Object>} [behaviors] - What the enemy does, in order: `{ id, ...params }`
+ *   entries from BehaviorConfig (chase, kite, flee, orbit, charge, shoot, split, aura) with
+ *   parameters overriding the behavior's defaults. Defaults to chasing the player
+ * @property {{health: number, cache: boolean}} [reward] - Guaranteed drop besides the XP gem
+ *   (bosses set theirs in `boss.reward`)
+ * @property {BossDefinition} [boss] - Boss definition (only for boss types)
+ */
+
+/**
+ * @typedef {Object} BossAttack
+ * @property {string} pattern - 'ring' (evenly around), 'spiral' (ring that rotates each volley)
+ *   or 'aimed' (fan toward the player)
+ * @property {number} interval - Seconds between volleys
+ * @property {number} count - Projectiles per volley
+ * @property {number} speed - Projectile speed in pixels/second
+ * @property {number} damage - Projectile damage
+ * @property {number} [spread] - Fan width in degrees ('aimed')
+ * @property {number} [spin] - Degrees the volley rotates each time ('spiral')
+ * @property {string} [char] - Projectile character
+ * @property {string} [color] - Projectile color
+ */
+
+/**
+ * @typedef {Object} BossPhase
+ * @property {number} threshold - Phase starts once health drops to this fraction (first phase: 1)
+ * @property {string} color - Glyph color during the phase
+ * @property {number} speed - Movement speed multiplier
+ * @property {BossAttack|null} attack - Projectile pattern
+ * @property {{enemy: string, count: number, interval: number}|null} summon - Minions called in
+ *   a ring around the boss every `interval` seconds
+ */
+
+/**
+ * @typedef {Object} BossDefinition
+ * @property {Array<string>} glyph - Rows of characters drawn as one cluster
+ * @property {Array<BossPhase>} phases - Phases in order of decreasing threshold
+ * @property {{health: number, cache: boolean}} reward - Guaranteed drop besides the XP gem:
+ *   a health pickup and an upgrade cache
  */
 
 /**
@@ -48,7 +89,8 @@ export const ENEMY_TYPES = {
         damage: 15,
         xpValue: 5,
         radius: 18,
-        spawnWeight: 20
+        spawnWeight: 20,
+        deathEffect: 'TANK_DEATH' // EFFECT_PRESETS key played on death
     },
 
     /**
@@ -80,18 +122,19 @@ export const ENEMY_TYPES = {
         radius: 12,
         spawnWeight: 30,
 
-        // Ranger-specific AI properties
-        preferredDistance: 180,    // Stay this far from player
-        retreatDistance: 120,      // Retreat if closer than this
-        detectionRange: 400,       // Only shoots if player within range
-
-        // Projectile properties
-        projectileSpeed: 180,
-        projectileDamage: 8,
-        projectileChar: '*',
-        projectileColor: '#FF6600',
-        projectileLifetime: 2,
-        fireRate: 0.5              // Shoots every 2 seconds (1/2 = 0.5 per second)
+        behaviors: [
+            { id: 'kite', preferredDistance: 180, retreatDistance: 120 },  // Stay this far, back off inside retreat distance
+            {
+                id: 'shoot',
+                range: 400,             // Only shoots if player within range
+                fireRate: 0.5,          // Shoots every 2 seconds (1/2 = 0.5 per second)
+                speed: 180,
+                damage: 8,
+                char: '*',
+                color: '#FF6600',
+                lifetime: 2
+            }
+        ]
     },
 
     /**
@@ -108,10 +151,283 @@ export const ENEMY_TYPES = {
         radius: 14,
         spawnWeight: 15,
 
-        // Swarm-specific spawning properties
-        spawnOnDeath: true,
-        spawnCount: 6,
-        spawnType: 'swarm_mini'
+        behaviors: [
+            { id: 'chase' },
+            { id: 'split', enemy: 'swarm_mini', count: 6 }  // Bursts into minis on death
+        ]
+    },
+
+    /**
+     * Charger - stops, telegraphs a dash at the player, then rams in a straight line
+     * Stunned for a while if the dash misses
+     * ASCII Character: C (pink-red)
+     */
+    CHARGER: {
+        id: 'charger',
+        name: 'Charger',
+        health: 25,
+        speed: 55,
+        damage: 18,
+        xpValue: 6,
+        radius: 14,
+        spawnWeight: 15,
+
+        behaviors: [
+            {
+                id: 'charge',
+                range: 260,             // Winds up once the player is this close
+                windup: 0.8,            // Telegraph time - long enough to sidestep
+                dashSpeed: 480,
+                dashRange: 360,
+                recovery: 0.5,
+                stun: 1.5               // Missed dashes leave it open
+            },
+            { id: 'chase' }
+        ]
+    },
+
+    /**
+     * Logic bomb - rushes the player and lights a fuse when close, then blows up and hurts
+     * the player and every enemy nearby. Destroyed first, it goes off early in a smaller
+     * blast that only hurts enemies. No contact damage - the blast is the attack
+     * ASCII Character: B (amber)
+     */
+    LOGIC_BOMB: {
+        id: 'logic_bomb',
+        name: 'Logic Bomb',
+        health: 12,
+        speed: 110,
+        damage: 0,
+        xpValue: 4,
+        radius: 11,
+        spawnWeight: 15,
+
+        behaviors: [
+            {
+                id: 'fuse',
+                range: 70,              // Lights the fuse this close to the player
+                fuse: 1.2,              // Time to get clear
+                speed: 0.5,
+                radius: 90,
+                damage: 30,
+                deathRadius: 60,        // Killed early: smaller, enemies only
+                deathDamage: 15
+            },
+            { id: 'chase' }
+        ]
+    },
+
+    /**
+     * Patcher - support that hangs back behind the pack and heals nearby allies
+     * No attack of its own; weapons target it first
+     * ASCII Character: P (mint)
+     */
+    PATCHER: {
+        id: 'patcher',
+        name: 'Patcher',
+        health: 30,
+        speed: 60,
+        damage: 5,
+        xpValue: 8,
+        radius: 13,
+        spawnWeight: 10,
+        targetPriority: 2,          // Counts as half as far away when weapons pick targets
+
+        behaviors: [
+            { id: 'kite', preferredDistance: 260, retreatDistance: 200, tolerance: 30 },
+            { id: 'heal', radius: 150, interval: 1.5, amount: 0.1 }
+        ]
+    },
+
+    /**
+     * Firewall node - slow support that shields allies around it (the shield soaks up damage
+     * before health). No attack of its own; weapons target it first
+     * ASCII Character: W (blue)
+     */
+    FIREWALL_NODE: {
+        id: 'firewall_node',
+        name: 'Firewall Node',
+        health: 45,
+        speed: 40,
+        damage: 8,
+        xpValue: 10,
+        radius: 15,
+        spawnWeight: 8,
+        targetPriority: 2,
+
+        behaviors: [
+            { id: 'kite', preferredDistance: 220, retreatDistance: 160, tolerance: 30 },
+            { id: 'shield', radius: 140, amount: 0.5, regen: 0.1, linger: 0.5 }
+        ]
+    },
+
+    /**
+     * Bulwark - slow, tough enemy that keeps an armored front turned to the player
+     * Projectiles hitting the front arc are blocked; sides, back, auras, drones and
+     * explosions deal full damage
+     * ASCII Character: D (steel grey)
+     */
+    BULWARK: {
+        id: 'bulwark',
+        name: 'Bulwark',
+        health: 60,
+        speed: 45,
+        damage: 15,
+        xpValue: 10,
+        radius: 16,
+        spawnWeight: 12,
+
+        behaviors: [
+            { id: 'chase' },
+            { id: 'armor', arc: 120 }
+        ]
+    },
+
+    /**
+     * Treasure carrier - data courier that flees the player (map event only)
+     * ASCII Character: & (gold)
+     */
+    TREASURE_CARRIER: {
+        id: 'treasure_carrier',
+        name: 'Data Courier',
+        health: 60,
+        speed: 120,         // Just slower than the player
+        damage: 0,
+        xpValue: 25,
+        radius: 12,
+        spawnWeight: 0,     // Spawned by map events only
+        behaviors: [{ id: 'flee' }],
+        reward: { health: 30, cache: true }
+    },
+
+    /**
+     * Sentinel boss - firewall construct, rings of fire then summons
+     * ASCII Glyph: 3x3 cluster (red → orange → white as it breaks down)
+     */
+    SENTINEL: {
+        id: 'sentinel',
+        name: 'Sentinel',
+        health: 900,
+        speed: 45,
+        damage: 20,
+        xpValue: 60,
+        radius: 30,
+        spawnWeight: 0,  // Spawned by stage timelines only
+        deathEffect: 'BOSS_DEATH',
+
+        boss: {
+            glyph: [
+                '/#\\',
+                '#@#',
+                '\\#/'
+            ],
+            phases: [
+                {
+                    threshold: 1,
+                    color: '#FF2222',
+                    speed: 1,
+                    attack: { pattern: 'ring', interval: 3, count: 12, speed: 140, damage: 8, char: 'o', color: '#FF4444' },
+                    summon: null
+                },
+                {
+                    threshold: 0.6,
+                    color: '#FF8800',
+                    speed: 1.3,
+                    attack: { pattern: 'spiral', interval: 0.4, count: 3, speed: 160, damage: 6, spin: 17, char: 'o', color: '#FF8800' },
+                    summon: { enemy: 'basic', count: 6, interval: 10 }
+                },
+                {
+                    threshold: 0.25,
+                    color: '#FFFFFF',
+                    speed: 1.7,
+                    attack: { pattern: 'aimed', interval: 1.2, count: 5, speed: 220, damage: 8, spread: 50, char: '*', color: '#FFFFFF' },
+                    summon: { enemy: 'fast', count: 8, interval: 7 }
+                }
+            ],
+            reward: { health: 40, cache: true }
+        }
+    },
+
+    /**
+     * Overseer boss - slow, heavily armored hive that keeps calling swarms
+     * ASCII Glyph: 5x3 cluster (purple → magenta)
+     */
+    OVERSEER: {
+        id: 'overseer',
+        name: 'Overseer',
+        health: 2500,
+        speed: 30,
+        damage: 30,
+        xpValue: 150,
+        radius: 40,
+        spawnWeight: 0,  // Spawned by stage timelines only
+        deathEffect: 'BOSS_DEATH',
+
+        boss: {
+            glyph: [
+                '<=O=>',
+                '|S#S|',
+                '<=O=>'
+            ],
+            phases: [
+                {
+                    threshold: 1,
+                    color: '#9900FF',
+                    speed: 1,
+                    attack: { pattern: 'aimed', interval: 2, count: 3, speed: 180, damage: 10, spread: 30, char: '*', color: '#CC66FF' },
+                    summon: { enemy: 'swarm', count: 3, interval: 12 }
+                },
+                {
+                    threshold: 0.5,
+                    color: '#FF00FF',
+                    speed: 1.4,
+                    attack: { pattern: 'spiral', interval: 0.25, count: 4, speed: 150, damage: 8, spin: 11, char: 'o', color: '#FF66FF' },
+                    summon: { enemy: 'ranger', count: 4, interval: 9 }
+                }
+            ],
+            reward: { health: 60, cache: true }
+        }
+    },
+
+    /**
+     * Reaper - arrives when the run length is reached (see GameModeConfig); faster than
+     * the player and all but unkillable. More follow every minute of overtime
+     */
+    REAPER: {
+        id: 'reaper',
+        name: 'Reaper',
+        health: 40000,
+        speed: 165,
+        damage: 50,
+        xpValue: 0,
+        radius: 24,
+        spawnWeight: 0,  // Spawned at the end of the run only
+        deathEffect: 'BOSS_DEATH',
+
+        boss: {
+            glyph: [
+                '.-.',
+                '|X|',
+                '/ \\'
+            ],
+            phases: [
+                {
+                    threshold: 1,
+                    color: '#DDDDDD',
+                    speed: 1,
+                    attack: null,
+                    summon: null
+                },
+                {
+                    threshold: 0.5,
+                    color: '#FF0000',
+                    speed: 1.3,
+                    attack: { pattern: 'aimed', interval: 1.5, count: 3, speed: 240, damage: 20, spread: 20, char: '+', color: '#FF4444' },
+                    summon: null
+                }
+            ],
+            reward: { health: 100, cache: true }
+        }
     },
 
     /**
@@ -126,13 +442,19 @@ export const ENEMY_TYPES = {
         damage: 3,
         xpValue: 1,
         radius: 8,
-        spawnWeight: 0,  // Not spawnable directly
-
-        // Prevent infinite spawn chains
-        spawnOnDeath: false
+        spawnWeight: 0   // Not spawnable directly (no 'split', so no spawn chains)
     }
 };
 
+/**
+ * Finds an enemy type by its id
+ * @param {string} id - Enemy type id (e.g. 'basic', 'swarm_mini')
+ * @returns {EnemyType|null} Enemy type or null
+ */
+export function getEnemyType(id) {
+    return Object.values(ENEMY_TYPES).find(type => type.id === id) || null;
+}
+
 /**
  * Get total spawn weight for weighted random selection
  * @returns {number} Sum of all spawn weights
@@ -144,9 +466,10 @@ export function getTotalSpawnWeight() {
 /**
  * Select a random enemy type based on spawn weights
  * @param {Array<string>} [allowedIds] - Optional list of allowed enemy IDs to filter by
+ * @param {Object<string, number>} [weights] - Optional weight per enemy ID, overriding spawnWeight
  * @returns {EnemyType} Selected enemy type
  */
-export function getRandomEnemyType(allowedIds = null) {
+export function getRandomEnemyType(allowedIds = null, weights = null) {
     let types = Object.values(ENEMY_TYPES);
 
     // Filter if allowedIds provided
@@ -154,13 +477,15 @@ export function getRandomEnemyType(allowedIds = null) {
         types = types.filter(t => allowedIds.includes(t.id));
     }
 
+    const weightOf = type => (weights && weights[type.id] !== undefined ? weights[type.id] : type.spawnWeight);
+
     // Calculate total weight of available types
-    const totalWeight = types.reduce((sum, type) => sum + type.spawnWeight, 0);
+    const totalWeight = types.reduce((sum, type) => sum + weightOf(type), 0);
 
-    let random = Math.random() * totalWeight;
+    let random = RNG.gameplay.next() * totalWeight;
 
     for (const type of types) {
-        random -= type.spawnWeight;
+        random -= weightOf(type);
         if (random <= 0) {
             return type;
         }
@@ -177,4 +502,17 @@ Object.freeze(ENEMY_TYPES.TANK);
 Object.freeze(ENEMY_TYPES.FAST);
 Object.freeze(ENEMY_TYPES.RANGER);
 Object.freeze(ENEMY_TYPES.SWARM);
+Object.freeze(ENEMY_TYPES.CHARGER);
+Object.freeze(ENEMY_TYPES.LOGIC_BOMB);
+Object.freeze(ENEMY_TYPES.PATCHER);
+Object.freeze(ENEMY_TYPES.FIREWALL_NODE);
+Object.freeze(ENEMY_TYPES.BULWARK);
 Object.freeze(ENEMY_TYPES.SWARM_MINI);
+Object.freeze(ENEMY_TYPES.SENTINEL);
+Object.freeze(ENEMY_TYPES.OVERSEER);
+for (const type of Object.values(ENEMY_TYPES)) {
+    if (type.behaviors) {
+        Object.freeze(type.behaviors);
+        type.behaviors.forEach(entry => Object.freeze(entry));
+    }
+}
@@ -24,6 +24,18 @@ export const GAME_CONFIG = {
     // Target frame rate
     TARGET_FPS: 60,
 
+    // Simulation loop settings (fixed timestep, decoupled from display refresh rate)
+    LOOP: {
+        TICK_RATE: 60,           // Simulation ticks per second
+        MAX_FRAME_TIME: 0.25,    // Longest frame (seconds) fed into the accumulator
+        MAX_TICKS_PER_FRAME: 5,  // Ticks allowed per rendered frame before dropping time (scaled up when fast-forwarding)
+        MIN_TIME_SCALE: 0.1,     // Slowest debug slow motion
+        MAX_TIME_SCALE: 8        // Fastest debug fast forward
+    },
+
+    // Game mode new runs start in (see GameModeConfig - the title screen can switch it)
+    MODE: 'standard',
+
     // Player settings
     PLAYER: {
         SPEED: 140,          // Pixels per second
@@ -42,18 +54,23 @@ export const GAME_CONFIG = {
     SPAWN: {
         MAX_ENEMIES: 500,    // Maximum enemies on screen
         MARGIN: 50,          // Pixels outside camera view for spawn
+        MIN_PLAYER_DISTANCE: 300, // Spawn points closer to the player than this are moved
+        PLACEMENT_ATTEMPTS: 8,    // Tries to move a rejected spawn point before clamping it into the world
+
+        // Stragglers - enemies left far behind the camera (see StragglerSystem)
+        STRAGGLER_DISTANCE: 400,  // Pixels outside the camera view before an enemy counts as a straggler
+        STRAGGLER_DELAY: 3,       // Seconds it must stay that far before it's dealt with
+        STRAGGLER_MODE: 'relocate', // 'relocate' (move ahead of the player) or 'cull' (remove and refund to the spawner)
+
+        // Stage whose timeline sets the enemy pool, waves and trickle (see StageConfig)
+        STAGE: 'default'
+    },
 
-        // Continuous spawn settings (Trickle)
-        CONTINUOUS_INTERVAL: 0.7, // Seconds between single spawns (~1.4 enemies/sec)
-
-        // Wave definitions (Time in seconds)
-        // [Time Limit, Interval, Wave Size, Min Directions, Max Directions]
-        WAVES: [
-            { TIME_LIMIT: 180, INTERVAL: 10, SIZE: 15, MIN_DIRS: 2, MAX_DIRS: 3 }, // 0-3 mins
-            { TIME_LIMIT: 360, INTERVAL: 8, SIZE: 22, MIN_DIRS: 2, MAX_DIRS: 4 }, // 3-6 mins
-            { TIME_LIMIT: 600, INTERVAL: 6, SIZE: 30, MIN_DIRS: 3, MAX_DIRS: 4 }, // 6-10 mins
-            { TIME_LIMIT: Infinity, INTERVAL: 5, SIZE: 45, MIN_DIRS: 4, MAX_DIRS: 4 } // 10+ mins
-        ]
+    // Mid-run saves and run records (localStorage)
+    SAVE: {
+        STORAGE_KEY: 'breachProtocol.save',
+        RECORDS_KEY: 'breachProtocol.records',  // Per-mode deaths, victories and bests
+        AUTOSAVE_INTERVAL: 10    // Seconds of play between autosaves
     },
 
     // Colors (for ASCII rendering)
@@ -66,6 +83,14 @@ export const GAME_CONFIG = {
         ENEMY_RANGER: '#FF6600',     // Orange (ranger)
         ENEMY_SWARM: '#9900FF',      // Purple (swarm)
         ENEMY_SWARM_MINI: '#CC66FF', // Light purple (swarm mini)
+        ENEMY_TREASURE: '#FFD700',   // Gold (treasure carrier)
+        ENEMY_CHARGER: '#FF3366',    // Pink-red (charger)
+        ENEMY_LOGIC_BOMB: '#FFAA00', // Amber (logic bomb)
+        ENEMY_PATCHER: '#33FF99',    // Mint (patcher - heals allies)
+        ENEMY_FIREWALL: '#3399FF',   // Blue (firewall node - shields allies)
+        ENEMY_SHIELD: '#66CCFF',     // Shielded enemies and absorbed damage
+        ENEMY_BULWARK: '#AAAAAA',    // Steel grey (bulwark - frontal armor)
+        TELEGRAPH: '#FF2222',        // Attack wind-up warnings
         PROJECTILE: '#ffff00',       // Yellow (Magic Wand)
         PROJECTILE_KNIFE: '#cccccc', // Silver (Knife)
         PROJECTILE_GARLIC: '#88ff88',// Light green (Garlic aura)
@@ -73,6 +98,7 @@ export const GAME_CONFIG = {
         PROJECTILE_SEEKER: '#FF00FF', // Magenta (Seeker missiles)
         XP_GEM: '#00ffff',           // Cyan
         HEALTH_PICKUP: '#00ff00',    // Green
+        CACHE_PICKUP: '#FFD700',     // Gold (boss reward)
         BACKGROUND: '#0a0a0a',       // Very dark
         GRID: '#1a1a1a'              // Subtle grid lines
     },
@@ -101,6 +127,12 @@ export const GAME_CONFIG = {
         ENEMY_RANGER: 'R',
         ENEMY_SWARM: 'S',
         ENEMY_SWARM_MINI: 's',
+        ENEMY_TREASURE: '&',
+        ENEMY_CHARGER: 'C',
+        ENEMY_LOGIC_BOMB: 'B',
+        ENEMY_PATCHER: 'P',
+        ENEMY_FIREWALL: 'W',
+        ENEMY_BULWARK: 'D',
         PROJECTILE: '*',           // Magic Wand projectile
         PROJECTILE_KNIFE: '/',     // Knife projectile
         PROJECTILE_GARLIC: '◎',    // Garlic aura
@@ -108,7 +140,8 @@ export const GAME_CONFIG = {
         PROJECTILE_SEEKER: '>',      // Seeker missile
         XP_GEM_SMALL: '$',
         XP_GEM_LARGE: '◆',
-        HEALTH_PICKUP: '+'
+        HEALTH_PICKUP: '+',
+        CACHE_PICKUP: '▣'          // Upgrade cache (boss reward)
     },
 
     // Background grid settings
@@ -121,6 +154,7 @@ export const GAME_CONFIG = {
     DEBUG: {
         SHOW_FPS: true,
         SHOW_HITBOXES: false,
+        SHOW_SPAWN_POINTS: false,  // Overlay of rejected spawn points and the player's no-spawn radius
         LOG_PERFORMANCE: false,
         GOD_MODE: false          // Set to true to disable player damage (for testing)
     }
@@ -130,9 +164,11 @@ export const GAME_CONFIG = {
 Object.freeze(GAME_CONFIG);
 Object.freeze(GAME_CONFIG.WORLD);
 Object.freeze(GAME_CONFIG.CAMERA);
+Object.freeze(GAME_CONFIG.LOOP);
 Object.freeze(GAME_CONFIG.PLAYER);
 Object.freeze(GAME_CONFIG.INVENTORY);
 Object.freeze(GAME_CONFIG.SPAWN);
+Object.freeze(GAME_CONFIG.SAVE);
 Object.freeze(GAME_CONFIG.COLORS);
 Object.freeze(GAME_CONFIG.FONTS);
 Object.freeze(GAME_CONFIG.ASCII);
@@ -0,0 +1,71 @@
+/**
+ * Game Mode Configuration - Rule sets a run can be started with
+ * TUNABLE: A mode picks the stage and which optional systems run
+ * @module config/GameModeConfig
+ */
+
+/**
+ * @typedef {Object} GameMode
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name (title screen)
+ * @property {string} description - One-line summary (title screen)
+ * @property {string} [stage] - Stage id (defaults to GAME_CONFIG.SPAWN.STAGE)
+ * @property {boolean} director - Whether the adaptive difficulty director adjusts spawning
+ * @property {number} runLength - Seconds to survive for a victory (0 = endless); the reaper arrives then
+ * @property {boolean} overtime - Whether the run can continue after victory (see RunConfig)
+ */
+
+/**
+ * Game mode definitions
+ * @type {Object.<string, GameMode>}
+ */
+export const GAME_MODES = {
+    /**
+     * Standard - the stage timeline as designed
+     */
+    STANDARD: {
+        id: 'standard',
+        name: 'Standard',
+        description: 'Fixed stage pacing',
+        director: false,
+        runLength: 1200,
+        overtime: true
+    },
+
+    /**
+     * Adaptive - the director eases off after near-deaths and pushes when the player is cruising
+     */
+    ADAPTIVE: {
+        id: 'adaptive',
+        name: 'Adaptive',
+        description: 'Spawn intensity follows your performance',
+        director: true,
+        runLength: 1200,
+        overtime: true
+    },
+
+    /**
+     * Endurance - a longer run, no overtime
+     */
+    ENDURANCE: {
+        id: 'endurance',
+        name: 'Endurance',
+        description: 'Survive 30 minutes',
+        director: false,
+        runLength: 1800,
+        overtime: false
+    }
+};
+
+/**
+ * Gets a game mode by id
+ * @param {string} id - Mode id (e.g. 'standard')
+ * @returns {GameMode|null} Mode config or null
+ */
+export function getGameMode(id) {
+    return Object.values(GAME_MODES).find(mode => mode.id === id) || null;
+}
+
+// Freeze config to prevent accidental modification
+Object.freeze(GAME_MODES);
+Object.values(GAME_MODES).forEach(mode => Object.freeze(mode));
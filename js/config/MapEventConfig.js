@@ -0,0 +1,107 @@
+/**
+ * Map Event Configuration - Scripted events between waves
+ * The SpawnSystem's MapEventSystem picks one of these every so often (weighted, each with
+ * its own cooldown and earliest time), warns on the HUD for a few seconds, then runs it.
+ * Stage timelines can also queue one by id (`event: 'blackout'`, see StageConfig)
+ * TUNABLE: Event mix, cadence and each event's numbers
+ * @module config/MapEventConfig
+ */
+
+/**
+ * @typedef {Object} MapEvent
+ * @property {string} id - Unique identifier
+ * @property {string} kind - What the event does: 'stampede' (a horde crosses the screen in one
+ *   direction without chasing), 'ambush' (a ring closes in around the player), 'blackout'
+ *   (only enemies near the player are visible) or 'carrier' (a treasure carrier flees)
+ * @property {string} warning - HUD warning text
+ * @property {string} color - HUD warning color
+ * @property {number} weight - Relative chance to be picked
+ * @property {number} cooldown - Seconds before this event can be picked again
+ * @property {number} minTime - Earliest game time in seconds
+ * @property {string} [enemy] - Enemy type id ('ambush': defaults to picks from the spawn pool)
+ * @property {number} [count] - Enemies spawned (limited by the enemy cap)
+ * @property {number} [speed] - Speed multiplier ('stampede')
+ * @property {number} [lifetime] - Seconds before the spawned enemies leave the map
+ *   ('stampede', 'carrier' - killed carriers drop their loot, escaped ones don't)
+ * @property {number} [radius] - Ring radius around the player ('ambush') or how far the
+ *   player can see ('blackout')
+ * @property {number} [duration] - Seconds the event lasts ('blackout')
+ */
+
+export const MAP_EVENT_CONFIG = {
+    FIRST_EVENT: 90,         // Game time of the first random pick
+    MIN_INTERVAL: 45,        // Seconds between random picks (rolled between MIN and MAX)
+    MAX_INTERVAL: 75,
+    WARNING: 3               // Seconds the HUD warns before an event starts
+};
+
+/**
+ * Map event definitions
+ * @type {Object<string, MapEvent>}
+ */
+export const MAP_EVENTS = {
+    STAMPEDE: {
+        id: 'stampede',
+        kind: 'stampede',
+        warning: 'STAMPEDE INBOUND',
+        color: '#FF8800',
+        weight: 30,
+        cooldown: 120,
+        minTime: 60,
+        enemy: 'fast',
+        count: 30,
+        speed: 2.5,
+        lifetime: 10
+    },
+
+    AMBUSH: {
+        id: 'ambush',
+        kind: 'ambush',
+        warning: 'AMBUSH DETECTED',
+        color: '#FF2222',
+        weight: 25,
+        cooldown: 150,
+        minTime: 120,
+        count: 24,
+        radius: 320
+    },
+
+    BLACKOUT: {
+        id: 'blackout',
+        kind: 'blackout',
+        warning: 'POWER FAILURE',
+        color: '#8888FF',
+        weight: 15,
+        cooldown: 240,
+        minTime: 240,
+        radius: 200,
+        duration: 15
+    },
+
+    TREASURE_CARRIER: {
+        id: 'treasure_carrier',
+        kind: 'carrier',
+        warning: 'DATA COURIER SIGHTED',
+        color: '#FFD700',
+        weight: 20,
+        cooldown: 180,
+        minTime: 90,
+        enemy: 'treasure_carrier',
+        count: 1,
+        lifetime: 20
+    }
+};
+
+/**
+ * Finds a map event by its id
+ * @param {string} id - Map event id (e.g. 'stampede')
+ * @returns {MapEvent|null} Map event or null
+ */
+export function getMapEvent(id) {
+    return Object.values(MAP_EVENTS).find(event => event.id === id) || null;
+}
+
+// Freeze config to prevent accidental modification
+Object.freeze(MAP_EVENT_CONFIG);
+Object.freeze(MAP_EVENTS);
+Object.values(MAP_EVENTS).forEach(event => Object.freeze(event));
@@ -0,0 +1,44 @@
+/**
+ * Run Configuration - What happens when a run reaches its length
+ * The run length itself belongs to the game mode (see GameModeConfig). At that time the
+ * run counts as a victory and the reaper arrives; in overtime, more reapers follow and
+ * every new enemy keeps getting tougher and more numerous
+ * TUNABLE: Reaper cadence and overtime growth
+ * @module config/RunConfig
+ */
+
+export const RUN_CONFIG = {
+    REAPER: {
+        ENEMY: 'reaper',        // Enemy type id (see EnemyConfig)
+        EVERY: 60               // Seconds between extra reapers in overtime
+    },
+
+    // Growth per minute of overtime, on top of the (capped) scaling curves
+    OVERTIME: {
+        HEALTH_PER_MINUTE: 0.3,
+        DAMAGE_PER_MINUTE: 0.15,
+        INTENSITY_PER_MINUTE: 0.1,  // Spawn pressure (wave size, wave and trickle rate)
+        MAX_INTENSITY: 3
+    }
+};
+
+/**
+ * Gets the overtime multipliers for new enemies and spawn pressure
+ * @param {number} overtimeSeconds - Seconds since overtime started
+ * @returns {{health: number, damage: number, intensity: number}}
+ */
+export function getOvertimeMultipliers(overtimeSeconds) {
+    const minutes = Math.max(0, overtimeSeconds) / 60;
+    const overtime = RUN_CONFIG.OVERTIME;
+
+    return {
+        health: 1 + minutes * overtime.HEALTH_PER_MINUTE,
+        damage: 1 + minutes * overtime.DAMAGE_PER_MINUTE,
+        intensity: Math.min(overtime.MAX_INTENSITY, 1 + minutes * overtime.INTENSITY_PER_MINUTE)
+    };
+}
+
+// Freeze config to prevent accidental modification
+Object.freeze(RUN_CONFIG);
+Object.freeze(RUN_CONFIG.REAPER);
+Object.freeze(RUN_CONFIG.OVERTIME);
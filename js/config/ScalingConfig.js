@@ -0,0 +1,122 @@
+/**
+ * Scaling Configuration - Enemy stat growth over the course of a run
+ * SpawnSystem multiplies each new enemy's health, damage and speed by the curves
+ * below, evaluated at the current game time
+ * TUNABLE: Curves are per stat, with optional per-enemy-type overrides
+ * @module config/ScalingConfig
+ */
+
+/**
+ * @typedef {Object} ScalingCurve
+ * @property {string} curve - 'piecewise' (linear between points, holds the last value)
+ *   or 'exponential' ((1 + perMinute) ^ minutes since start, capped at max)
+ * @property {Array<Array<number>>} [points] - [seconds, multiplier] pairs in time order ('piecewise')
+ * @property {number} [perMinute] - Growth per minute ('exponential')
+ * @property {number} [start] - Seconds the multiplier holds at 1 before growth begins ('exponential', default 0)
+ * @property {number} [max] - Highest multiplier ('exponential')
+ */
+
+/**
+ * Curve that never changes a stat
+ * @type {ScalingCurve}
+ */
+const FLAT = { curve: 'piecewise', points: [[0, 1]] };
+
+/**
+ * Enemy scaling curves
+ * DEFAULT applies to every enemy type; TYPES replaces individual stats for one type
+ * Every curve holds at exactly 1 for the first minute so early fights keep their damage
+ * breakpoints (two wand hits per basic enemy) and pacing
+ */
+export const ENEMY_SCALING = {
+    DEFAULT: {
+        health: { curve: 'piecewise', points: [[0, 1], [60, 1], [300, 1.5], [600, 2.5], [900, 4], [1200, 6]] },
+        damage: { curve: 'piecewise', points: [[0, 1], [60, 1], [600, 1.5], [1200, 2]] },
+        speed: { curve: 'exponential', perMinute: 0.01, max: 1.2, start: 60 }
+    },
+
+    TYPES: {
+        fast: {
+            speed: { curve: 'exponential', perMinute: 0.015, max: 1.3, start: 60 }
+        },
+        tank: {
+            health: { curve: 'exponential', perMinute: 0.12, max: 8, start: 60 }
+        },
+        treasure_carrier: {
+            speed: FLAT     // Stays catchable at base player speed
+        },
+
+        // Bosses are tuned per stage entry instead
+        sentinel: { health: FLAT, damage: FLAT, speed: FLAT },
+        overseer: { health: FLAT, damage: FLAT, speed: FLAT },
+        reaper: { health: FLAT, damage: FLAT, speed: FLAT }
+    }
+};
+
+/**
+ * Stats the curves apply to
+ * @type {Array<string>}
+ */
+export const SCALED_STATS = ['health', 'damage', 'speed'];
+
+/**
+ * Gets the curve for one stat of one enemy type
+ * @param {string} enemyId - Enemy type id (e.g. 'tank')
+ * @param {string} stat - One of SCALED_STATS
+ * @returns {ScalingCurve}
+ */
+export function getScalingCurve(enemyId, stat) {
+    return ENEMY_SCALING.TYPES[enemyId]?.[stat] || ENEMY_SCALING.DEFAULT[stat];
+}
+
+/**
+ * Evaluates a curve
+ * @param {ScalingCurve} curve - Scaling curve
+ * @param {number} gameTime - Game time in seconds
+ * @returns {number} Multiplier
+ */
+export function evaluateCurve(curve, gameTime) {
+    if (curve.curve === 'exponential') {
+        const minutes = Math.max(0, gameTime - (curve.start ?? 0)) / 60;
+        return Math.min(curve.max, Math.pow(1 + curve.perMinute, minutes));
+    }
+
+    // Piecewise linear
+    const points = curve.points;
+    if (gameTime <= points[0][0]) return points[0][1];
+
+    for (let i = 1; i < points.length; i++) {
+        const [t1, v1] = points[i];
+        if (gameTime <= t1) {
+            const [t0, v0] = points[i - 1];
+            return v0 + ((v1 - v0) * (gameTime - t0)) / (t1 - t0);
+        }
+    }
+
+    return points[points.length - 1][1];
+}
+
+/**
+ * Gets the stat multipliers for an enemy type spawned at a given time
+ * @param {string} enemyId - Enemy type id
+ * @param {number} gameTime - Game time in seconds
+ * @returns {{health: number, damage: number, speed: number}}
+ */
+export function getStatMultipliers(enemyId, gameTime) {
+    const multipliers = {};
+    for (const stat of SCALED_STATS) {
+        multipliers[stat] = evaluateCurve(getScalingCurve(enemyId, stat), gameTime);
+    }
+    return multipliers;
+}
+
+// Freeze config to prevent accidental modification
+Object.freeze(FLAT);
+Object.freeze(ENEMY_SCALING);
+Object.freeze(ENEMY_SCALING.DEFAULT);
+Object.freeze(ENEMY_SCALING.TYPES);
+for (const stats of [ENEMY_SCALING.DEFAULT, ...Object.values(ENEMY_SCALING.TYPES)]) {
+    Object.freeze(stats);
+    Object.values(stats).forEach(curve => Object.freeze(curve));
+}
+Object.freeze(SCALED_STATS);
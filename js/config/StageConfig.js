@@ -0,0 +1,149 @@
+/**
+ * Stage Configuration - Spawn timelines interpreted by the SpawnSystem
+ * TUNABLE: New stages are pure data - add one here and select it by id
+ * @module config/StageConfig
+ */
+
+/**
+ * @typedef {Object} StageWave
+ * @property {number} interval - Seconds between waves
+ * @property {number} size - Enemies per wave
+ * @property {number} minDirections - Fewest camera edges a wave comes from
+ * @property {number} maxDirections - Most camera edges a wave comes from
+ * @property {Object<string, number>} [formations] - Formation name → weight, picked per wave
+ *   ('line', 'ring', 'wall', 'v', 'pincer', 'cluster' - see SpawnFormations; default: line)
+ */
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {number} time - Game time in seconds the entry fires (entries are sorted by time)
+ * @property {string} [label] - Name logged when the entry fires
+ * @property {Object<string, number>} [enemies] - Replaces the spawn pool: enemy id → spawn weight
+ * @property {StageWave} [wave] - Replaces the wave settings
+ * @property {number} [trickleInterval] - Replaces the seconds between single continuous spawns
+ * @property {{enemy: string, count: number, directions: number, formation: string}} [spawn] - One-off
+ *   burst of one enemy type from `directions` random camera edges in an optional formation
+ *   (default: line; limited by the enemy cap)
+ * @property {{enemy: string, health: number, damage: number, xp: number}} [boss] - One-off boss:
+ *   a boss type from EnemyConfig (or any enemy type) with optional health/damage/XP
+ *   multipliers (ignores the enemy cap)
+ * @property {string} [event] - Map event id to run (after its HUD warning, see MapEventConfig)
+ */
+
+/**
+ * Stage definitions
+ * Pool, wave and trickle settings carry over until a later entry replaces them;
+ * spawn, boss and event entries fire once
+ * @type {Object<string, {id: string, name: string, timeline: Array<TimelineEntry>}>}
+ */
+export const STAGES = {
+    /**
+     * Default stage - steady escalation, bosses at 10:00 and 15:00
+     */
+    DEFAULT: {
+        id: 'default',
+        name: 'Breach',
+        timeline: [
+            {
+                time: 0,
+                label: 'Breach opened',
+                enemies: { basic: 100, fast: 40 },
+                wave: { interval: 10, size: 15, minDirections: 2, maxDirections: 3 },
+                trickleInterval: 0.7    // ~1.4 enemies/sec
+            },
+            {
+                time: 120,
+                label: 'Rangers online',
+                enemies: { basic: 100, fast: 40, ranger: 30 }
+            },
+            {
+                time: 180,
+                wave: {
+                    interval: 8, size: 22, minDirections: 2, maxDirections: 4,
+                    formations: { line: 60, wall: 15, v: 15, cluster: 10 }
+                }
+            },
+            {
+                time: 240,
+                label: 'Tanks deployed',
+                enemies: { basic: 100, tank: 20, fast: 40, ranger: 30 }
+            },
+            {
+                time: 300,
+                label: 'Tank column',
+                spawn: { enemy: 'tank', count: 8, directions: 1 }
+            },
+            {
+                time: 360,
+                wave: {
+                    interval: 6, size: 30, minDirections: 3, maxDirections: 4,
+                    formations: { line: 40, wall: 15, v: 15, pincer: 15, cluster: 10, ring: 5 }
+                }
+            },
+            {
+                time: 420,
+                label: 'Swarm detected',
+                enemies: { basic: 100, tank: 20, fast: 40, ranger: 30, swarm: 15 }
+            },
+            {
+                time: 480,
+                label: 'Encirclement',
+                spawn: { enemy: 'fast', count: 40, directions: 4, formation: 'ring' }
+            },
+            {
+                time: 540,
+                label: 'Chargers inbound',
+                enemies: { basic: 100, tank: 20, fast: 40, ranger: 30, swarm: 15, charger: 20 }
+            },
+            {
+                time: 570,
+                label: 'Logic bombs armed',
+                enemies: { basic: 100, tank: 20, fast: 40, ranger: 30, swarm: 15, charger: 20, logic_bomb: 15 }
+            },
+            {
+                time: 600,
+                label: 'Sentinel',
+                wave: {
+                    interval: 5, size: 45, minDirections: 4, maxDirections: 4,
+                    formations: { line: 30, wall: 20, v: 15, pincer: 15, cluster: 10, ring: 10 }
+                },
+                boss: { enemy: 'sentinel' }
+            },
+            {
+                time: 660,
+                label: 'Support units online',
+                enemies: { basic: 100, tank: 20, fast: 40, ranger: 30, swarm: 15, charger: 20, logic_bomb: 15, patcher: 10, firewall_node: 8 }
+            },
+            {
+                time: 720,
+                label: 'Armored column',
+                enemies: { basic: 100, tank: 20, fast: 40, ranger: 30, swarm: 15, charger: 20, logic_bomb: 15, patcher: 10, firewall_node: 8, bulwark: 12 }
+            },
+            {
+                time: 900,
+                label: 'Overseer',
+                boss: { enemy: 'overseer' }
+            }
+        ]
+    }
+};
+
+/**
+ * Gets a stage by id
+ * @param {string} id - Stage id (e.g. 'default')
+ * @returns {Object|null} Stage config or null
+ */
+export function getStage(id) {
+    return Object.values(STAGES).find(stage => stage.id === id) || null;
+}
+
+// Freeze config to prevent accidental modification
+Object.freeze(STAGES);
+for (const stage of Object.values(STAGES)) {
+    Object.freeze(stage);
+    Object.freeze(stage.timeline);
+    stage.timeline.forEach(entry => {
+        Object.freeze(entry);
+        if (entry.wave) Object.freeze(entry.wave);
+    });
+}
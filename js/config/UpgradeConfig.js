@@ -6,6 +6,7 @@
 
 import { GAME_CONFIG } from './GameConfig.js';
 import { getAllPassives, getPassiveConfig } from './PassiveConfig.js';
+import { RNG } from '../utils/Random.js';
 
 /**
  * Upgrade categories
@@ -241,7 +242,7 @@ export function selectRandomUpgrades(upgrades, count = 3) {
  */
 function shuffleArray(array) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(RNG.gameplay.next() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
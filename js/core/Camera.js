@@ -27,6 +27,12 @@ export class Camera {
         /** @type {number} Camera Y position (top-left of viewport in world space) */
         this.y = 0;
 
+        /** @type {number} X position at the previous simulation tick (for render interpolation) */
+        this.prevX = 0;
+
+        /** @type {number} Y position at the previous simulation tick (for render interpolation) */
+        this.prevY = 0;
+
         /** @type {number} Target X position (for smooth following) */
         this.targetX = 0;
 
@@ -87,6 +93,17 @@ export class Camera {
 
         this.targetX = this.x;
         this.targetY = this.y;
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    /**
+     * Stores the current position as the previous tick position
+     * Call once at the start of every simulation tick
+     */
+    savePreviousPosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
     }
 
     /**
@@ -146,12 +163,15 @@ export class Camera {
     /**
      * Gets camera position as object (for RenderSystem compatibility)
      * Includes shake offset for screen shake effects
+     * @param {number} [alpha=1] - Interpolation factor between the previous and current tick
      * @returns {{x: number, y: number}}
      */
-    getPosition() {
+    getPosition(alpha = 1) {
+        const x = this.prevX + (this.x - this.prevX) * alpha;
+        const y = this.prevY + (this.y - this.prevY) * alpha;
         return {
-            x: this.x + this.shakeOffsetX,
-            y: this.y + this.shakeOffsetY
+            x: x + this.shakeOffsetX,
+            y: y + this.shakeOffsetY
         };
     }
 
@@ -0,0 +1,212 @@
+/**
+ * Event Bus - Typed publish/subscribe channel for gameplay events
+ * Systems publish what happened (an enemy took damage, the player leveled up);
+ * feedback, stats, audio and achievements subscribe without touching the publishers
+ * @module core/EventBus
+ */
+
+/**
+ * Gameplay event names
+ * @readonly
+ * @enum {string}
+ */
+export const GAME_EVENTS = {
+    /** An enemy took damage - {@link EnemyDamagedEvent} */
+    ENEMY_DAMAGED: 'enemyDamaged',
+
+    /** An enemy's frontal armor blocked a hit - {@link EnemyBlockedEvent} */
+    ENEMY_BLOCKED: 'enemyBlocked',
+
+    /** An enemy's health reached zero - {@link EnemyKilledEvent} */
+    ENEMY_KILLED: 'enemyKilled',
+
+    /** The player took damage - {@link PlayerDamagedEvent} */
+    PLAYER_DAMAGED: 'playerDamaged',
+
+    /** The player collected a pickup - {@link PickupCollectedEvent} */
+    PICKUP_COLLECTED: 'pickupCollected',
+
+    /** The player reached a new level - {@link LevelUpEvent} */
+    LEVEL_UP: 'levelUp',
+
+    /** A weapon fired, pulsed or deployed - {@link WeaponFiredEvent} */
+    WEAPON_FIRED: 'weaponFired',
+
+    /** A spawn wave began - {@link WaveStartedEvent} */
+    WAVE_STARTED: 'waveStarted',
+
+    /** A boss entered the arena - {@link BossSpawnedEvent} */
+    BOSS_SPAWNED: 'bossSpawned',
+
+    /** A boss crossed a health threshold into its next phase - {@link BossPhaseChangedEvent} */
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged',
+
+    /** A map event was announced and starts shortly - {@link MapEventWarningEvent} */
+    MAP_EVENT_WARNING: 'mapEventWarning',
+
+    /** A map event began - {@link MapEventStartedEvent} */
+    MAP_EVENT_STARTED: 'mapEventStarted'
+};
+
+Object.freeze(GAME_EVENTS);
+
+/**
+ * @typedef {Object} EnemyDamagedEvent
+ * @property {Object} enemy - Enemy that was hit
+ * @property {number} amount - Damage dealt (after elite armor and shields)
+ * @property {number} absorbed - Damage a firewall shield soaked up instead (not in amount)
+ * @property {string} source - What dealt it ('projectile', 'drone', 'aura', 'mine', 'explosion')
+ * @property {boolean} killed - Whether this hit brought health to zero
+ */
+
+/**
+ * @typedef {Object} EnemyBlockedEvent
+ * @property {Object} enemy - Enemy whose armor stopped the hit
+ * @property {string} source - What was blocked ('projectile')
+ */
+
+/**
+ * @typedef {Object} EnemyKilledEvent
+ * @property {Object} enemy - Enemy that died (still in its death animation)
+ */
+
+/**
+ * @typedef {Object} PlayerDamagedEvent
+ * @property {Object} player - The player
+ * @property {number} amount - Damage dealt
+ * @property {string} source - What dealt it ('contact', 'projectile', 'hazard', 'aura', 'explosion')
+ */
+
+/**
+ * @typedef {Object} PickupCollectedEvent
+ * @property {Object} pickup - Pickup that was collected
+ * @property {string} pickupType - Pickup type ('xp', 'health', 'cache')
+ * @property {number} value - XP or health granted
+ */
+
+/**
+ * @typedef {Object} LevelUpEvent
+ * @property {Object} player - The player
+ * @property {number} level - New level
+ * @property {Array} options - Upgrade options offered
+ */
+
+/**
+ * @typedef {Object} WeaponFiredEvent
+ * @property {Object} weapon - Weapon instance
+ * @property {number} count - Projectiles, hits or deployables produced
+ */
+
+/**
+ * @typedef {Object} WaveStartedEvent
+ * @property {number} size - Enemies spawned in the wave
+ * @property {Array<number>} directions - Spawn edges used
+ * @property {string} formation - Formation name (see SpawnFormations)
+ * @property {number} gameTime - Spawn system time in seconds
+ */
+
+/**
+ * @typedef {Object} BossSpawnedEvent
+ * @property {Object} boss - Boss enemy
+ */
+
+/**
+ * @typedef {Object} BossPhaseChangedEvent
+ * @property {Object} boss - Boss enemy
+ * @property {number} phase - New phase index
+ */
+
+/**
+ * @typedef {Object} MapEventWarningEvent
+ * @property {Object} event - Map event definition (see MapEventConfig)
+ * @property {number} delay - Seconds until it starts
+ */
+
+/**
+ * @typedef {Object} MapEventStartedEvent
+ * @property {Object} event - Map event definition
+ * @property {Array<Object>} enemies - Enemies it spawned
+ */
+
+/**
+ * Synchronous event dispatcher restricted to GAME_EVENTS names
+ */
+export class EventBus {
+    /**
+     * Creates a new EventBus
+     */
+    constructor() {
+        /** @type {Map<string, Array<Function>>} Handlers per event name */
+        this.handlers = new Map();
+
+        /** @type {Set<string>} Known event names */
+        this.knownEvents = new Set(Object.values(GAME_EVENTS));
+    }
+
+    /**
+     * Subscribes to an event
+     * @param {string} eventName - One of GAME_EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(eventName, handler) {
+        this._assertKnown(eventName);
+
+        if (!this.handlers.has(eventName)) {
+            this.handlers.set(eventName, []);
+        }
+        this.handlers.get(eventName).push(handler);
+
+        return () => this.off(eventName, handler);
+    }
+
+    /**
+     * Unsubscribes a handler
+     * @param {string} eventName - One of GAME_EVENTS
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(eventName, handler) {
+        const list = this.handlers.get(eventName);
+        if (!list) return;
+
+        const index = list.indexOf(handler);
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+    }
+
+    /**
+     * Publishes an event to all subscribers, in subscription order
+     * @param {string} eventName - One of GAME_EVENTS
+     * @param {Object} payload - Event data
+     */
+    emit(eventName, payload) {
+        this._assertKnown(eventName);
+
+        const list = this.handlers.get(eventName);
+        if (!list || list.length === 0) return;
+
+        // Copy so handlers can unsubscribe while being called
+        for (const handler of [...list]) {
+            handler(payload);
+        }
+    }
+
+    /**
+     * Removes every subscriber
+     */
+    clear() {
+        this.handlers.clear();
+    }
+
+    /**
+     * Throws on event names outside GAME_EVENTS (catches typos at the call site)
+     * @param {string} eventName - Event name to check
+     * @private
+     */
+    _assertKnown(eventName) {
+        if (!this.knownEvents.has(eventName)) {
+            throw new Error(`Unknown game event: ${eventName}`);
+        }
+    }
+}
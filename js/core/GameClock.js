@@ -0,0 +1,50 @@
+/**
+ * Game Clock - Simulation time source
+ * Gameplay code reads time from here instead of performance.now(). Only the Simulation
+ * ticks it, so timers stop while the game is paused or in the level-up screen (no steps),
+ * follow the debug time scale (the GameLoop runs more or fewer ticks) and replay identically
+ * @module core/GameClock
+ */
+
+/**
+ * Accumulates simulation time
+ */
+export class GameClock {
+    /**
+     * Creates a new GameClock starting at time 0
+     */
+    constructor() {
+        /** @type {number} Simulation time elapsed in seconds */
+        this.time = 0;
+
+        /** @type {number} Duration of the last tick in seconds */
+        this.deltaTime = 0;
+    }
+
+    /**
+     * Advances the clock by one tick
+     * @param {number} deltaTime - Tick duration in seconds
+     * @returns {number} The tick duration
+     */
+    tick(deltaTime) {
+        this.deltaTime = deltaTime;
+        this.time += this.deltaTime;
+        return this.deltaTime;
+    }
+
+    /**
+     * Gets the current simulation time
+     * @returns {number} Time in seconds since the run started
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Resets the clock to time 0
+     */
+    reset() {
+        this.time = 0;
+        this.deltaTime = 0;
+    }
+}
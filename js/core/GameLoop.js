@@ -1,6 +1,7 @@
 /**
- * Game Loop module - handles the main update cycle at 60 FPS
- * Uses requestAnimationFrame for smooth, efficient rendering
+ * Game Loop module - runs the simulation at a fixed tick rate
+ * Uses requestAnimationFrame for rendering and an accumulator for fixed-step updates,
+ * so gameplay behaves the same regardless of display refresh rate
  * @module core/GameLoop
  */
 
@@ -12,12 +13,16 @@ import { GAME_CONFIG } from '../config/GameConfig.js';
 export class GameLoop {
     /**
      * Creates a new GameLoop instance
-     * @param {Function} updateCallback - Function to call each frame with deltaTime
+     * @param {Function} updateCallback - Function to call each simulation tick with the fixed deltaTime
+     * @param {Function} [renderCallback] - Function to call each frame with the interpolation alpha (0-1)
      */
-    constructor(updateCallback) {
+    constructor(updateCallback, renderCallback = null) {
         /** @type {Function} */
         this.updateCallback = updateCallback;
 
+        /** @type {Function|null} */
+        this.renderCallback = renderCallback;
+
         /** @type {boolean} */
         this.running = false;
 
@@ -30,9 +35,35 @@ export class GameLoop {
         /** @type {number} */
         this.lastTime = 0;
 
-        /** @type {number} */
+        /** @type {number} Real time elapsed since last frame in seconds */
         this.deltaTime = 0;
 
+        // Fixed timestep
+        /** @type {number} Duration of one simulation tick in seconds */
+        this.fixedTimeStep = 1 / GAME_CONFIG.LOOP.TICK_RATE;
+
+        /** @type {number} Unsimulated time carried over between frames */
+        this.accumulator = 0;
+
+        /** @type {number} Maximum ticks run per frame before dropping time */
+        this.maxTicksPerFrame = GAME_CONFIG.LOOP.MAX_TICKS_PER_FRAME;
+
+        /** @type {number} Interpolation factor between the last two ticks (0-1) */
+        this.alpha = 0;
+
+        /** @type {number} Total simulation ticks run since start */
+        this.tickCount = 0;
+
+        // Debug time controls
+        /** @type {number} Simulation speed multiplier (0.5 = slow motion, 4 = fast forward) */
+        this.timeScale = 1;
+
+        /** @type {boolean} Whether ticks are held (frames keep rendering) */
+        this.frozen = false;
+
+        /** @type {number} Ticks queued with step() while frozen */
+        this.pendingSteps = 0;
+
         // FPS tracking
         /** @type {number} */
         this.fps = 0;
@@ -43,8 +74,8 @@ export class GameLoop {
         /** @type {number} */
         this.fpsTimer = 0;
 
-        /** @type {number} - Maximum delta time to prevent physics explosions */
-        this.maxDeltaTime = 1 / 30; // Cap at 30 FPS minimum
+        /** @type {number} - Maximum frame time fed into the accumulator (prevents spiral of death) */
+        this.maxDeltaTime = GAME_CONFIG.LOOP.MAX_FRAME_TIME;
 
         // Bind methods for event handlers
         this._loop = this._loop.bind(this);
@@ -62,6 +93,8 @@ export class GameLoop {
         this.running = true;
         this.paused = false;
         this.lastTime = performance.now();
+        this.accumulator = 0;
+        this.alpha = 0;
         this.frameCount = 0;
         this.fpsTimer = 0;
 
@@ -118,6 +151,7 @@ export class GameLoop {
         }
         this.paused = false;
         this.lastTime = performance.now(); // Reset time to avoid large deltaTime spike
+        this.accumulator = 0;
 
         if (GAME_CONFIG.DEBUG.SHOW_FPS) {
             console.log('GameLoop: Resumed');
@@ -161,6 +195,73 @@ export class GameLoop {
         return this.paused;
     }
 
+    /**
+     * Sets how fast simulation time passes relative to real time
+     * Scales how many fixed ticks run per frame, never the tick length,
+     * so every system (and replays) see exactly the same steps
+     * @param {number} scale - Speed multiplier (clamped to GAME_CONFIG.LOOP time scale limits)
+     * @returns {number} The applied time scale
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(
+            GAME_CONFIG.LOOP.MIN_TIME_SCALE,
+            Math.min(GAME_CONFIG.LOOP.MAX_TIME_SCALE, scale)
+        );
+        return this.timeScale;
+    }
+
+    /**
+     * Gets the simulation speed multiplier
+     * @returns {number} Time scale (1 = real time)
+     */
+    getTimeScale() {
+        return this.timeScale;
+    }
+
+    /**
+     * Holds or releases simulation ticks - rendering continues either way
+     * @param {boolean} frozen - True to hold ticks
+     */
+    setFrozen(frozen) {
+        this.frozen = frozen;
+        this.pendingSteps = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Toggles holding simulation ticks
+     * @returns {boolean} The new frozen state
+     */
+    toggleFrozen() {
+        this.setFrozen(!this.frozen);
+        return this.frozen;
+    }
+
+    /**
+     * Checks if simulation ticks are held
+     * @returns {boolean} True if frozen
+     */
+    isFrozen() {
+        return this.frozen;
+    }
+
+    /**
+     * Runs exactly one tick on the next frame (only while frozen)
+     */
+    step() {
+        if (this.frozen) {
+            this.pendingSteps++;
+        }
+    }
+
+    /**
+     * Gets the number of simulation ticks per second
+     * @returns {number} Tick rate in Hz
+     */
+    getTickRate() {
+        return Math.round(1 / this.fixedTimeStep);
+    }
+
     /**
      * Internal loop function called by requestAnimationFrame
      * @param {number} currentTime - Current timestamp from performance.now()
@@ -172,11 +273,11 @@ export class GameLoop {
             this.animationFrameId = requestAnimationFrame(this._loop);
         }
 
-        // Calculate delta time in seconds
+        // Calculate real frame time in seconds
         this.deltaTime = (currentTime - this.lastTime) / 1000;
         this.lastTime = currentTime;
 
-        // Cap delta time to prevent physics issues after long pauses
+        // Cap frame time to prevent a huge catch-up after long stalls
         if (this.deltaTime > this.maxDeltaTime) {
             this.deltaTime = this.maxDeltaTime;
         }
@@ -199,10 +300,48 @@ export class GameLoop {
             return;
         }
 
-        // Call the update callback with delta time
+        if (this.frozen) {
+            // Held: only run ticks requested with step(), then draw the latest one
+            while (this.pendingSteps > 0) {
+                this._runTick();
+                this.pendingSteps--;
+            }
+            this.alpha = 1;
+        } else {
+            // Run as many fixed ticks as the accumulated (scaled) time allows
+            this.accumulator += this.deltaTime * this.timeScale;
+            const maxTicks = Math.ceil(this.maxTicksPerFrame * Math.max(1, this.timeScale));
+            let ticks = 0;
+
+            while (this.accumulator >= this.fixedTimeStep && ticks < maxTicks) {
+                this._runTick();
+                this.accumulator -= this.fixedTimeStep;
+                ticks++;
+            }
+
+            // Too far behind - drop the backlog instead of spiralling
+            if (ticks >= maxTicks && this.accumulator >= this.fixedTimeStep) {
+                this.accumulator = 0;
+            }
+
+            // Render with interpolation between the previous and current tick
+            this.alpha = this.accumulator / this.fixedTimeStep;
+        }
+
+        if (this.renderCallback) {
+            this.renderCallback(this.alpha);
+        }
+    }
+
+    /**
+     * Runs one fixed simulation tick
+     * @private
+     */
+    _runTick() {
         if (this.updateCallback) {
-            this.updateCallback(this.deltaTime);
+            this.updateCallback(this.fixedTimeStep);
         }
+        this.tickCount++;
     }
 
     /**
@@ -1,11 +1,11 @@
 /**
  * Game State Constants
- * Defines all possible game states
+ * Ids of the built-in states managed by the StateManager
  * @module core/GameState
  */
 
 /**
- * Game state enumeration
+ * Game state ids
  * @readonly
  * @enum {string}
  */
@@ -20,7 +20,13 @@ export const GAME_STATE = {
     PAUSED: 'paused',
 
     /** Player has died */
-    GAME_OVER: 'gameover'
+    GAME_OVER: 'gameover',
+
+    /** Run length reached - victory, with the option of overtime */
+    VICTORY: 'victory',
+
+    /** Choosing an upgrade (over frozen gameplay) */
+    LEVEL_UP: 'levelup'
 };
 
 Object.freeze(GAME_STATE);
@@ -0,0 +1,97 @@
+/**
+ * Playing State - Active gameplay
+ * Feeds one tick of input into the Simulation per update and draws the world and HUD.
+ * Pause, level-up, victory and game over are pushed on top of it, which freezes the run
+ * @module core/PlayingState
+ */
+
+import { State } from './StateManager.js';
+import { GAME_STATE } from './GameState.js';
+import { GAME_CONFIG } from '../config/GameConfig.js';
+
+/**
+ * Gameplay state at the bottom of a run's state stack
+ */
+export class PlayingState extends State {
+    /**
+     * Creates a new PlayingState
+     * @param {Object} game - Game the state belongs to
+     */
+    constructor(game) {
+        super(game);
+
+        this.name = GAME_STATE.PLAYING;
+    }
+
+    /**
+     * Advances the run by one tick
+     * @param {number} deltaTime - Fixed tick duration in seconds
+     */
+    update(deltaTime) {
+        const game = this.game;
+        const input = game.inputSystem;
+
+        // Check for ESC to pause
+        if (input.consumeKey('Escape')) {
+            game.pauseGame();
+            return;
+        }
+
+        // Advance the simulation one tick (live keyboard, recorded, or replayed input)
+        const inputVector = input.readTick();
+        game.simulation.step(deltaTime, inputVector);
+
+        // Hand control back to the player once the replay runs out
+        const playback = input.getPlaybackProgress();
+        if (playback && playback.finished) {
+            input.stopPlayback();
+            game.levelUpUI.acceptInput = true;
+            console.log('[Replay] Playback finished - live control resumed');
+        }
+
+        // Check game over
+        if (game.simulation.isGameOver()) {
+            game.showGameOver();
+            return;
+        }
+
+        // Check victory (the run length was reached this tick)
+        if (game.simulation.isAwaitingOvertime()) {
+            game.showVictory();
+            return;
+        }
+
+        // Autosave
+        game.autosaveTimer += deltaTime;
+        if (game.autosaveTimer >= GAME_CONFIG.SAVE.AUTOSAVE_INTERVAL) {
+            game.saveRun();
+        }
+    }
+
+    /**
+     * Draws the world, plus the HUD while the player is in control
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks (0-1)
+     */
+    render(alpha) {
+        const { simulation, renderSystem, ctx } = this.game;
+
+        // Only interpolate while the simulation is actually advancing;
+        // frozen runs (under pause, level-up, game over) draw the latest tick as-is
+        const renderAlpha = this.isActive() ? alpha : 1;
+        const camera = simulation.camera.getPosition(renderAlpha);
+
+        renderSystem.render(ctx, camera, simulation.getRenderState(), renderAlpha);
+
+        if (!simulation.isLevelingUp() && !simulation.isGameOver()) {
+            this.game.drawHUD();
+        }
+
+        // Draw debug info if enabled
+        if (GAME_CONFIG.DEBUG.SHOW_HITBOXES) {
+            renderSystem.renderDebug(ctx, camera, simulation.gameState);
+        }
+        if (GAME_CONFIG.DEBUG.SHOW_SPAWN_POINTS) {
+            renderSystem.renderSpawnDebug(ctx, camera, simulation.spawnSystem.placement, simulation.player.position);
+        }
+    }
+}
@@ -0,0 +1,239 @@
+/**
+ * Replay - Compact per-tick input recordings
+ * A replay stores the run seed and game mode plus the movement keys held on every simulation tick
+ * and the tick each level-up choice was made on (and whether a won run went into overtime).
+ * Fed back into the Simulation with the same seed, it reproduces the run exactly. Has no DOM
+ * dependencies
+ * @module core/Replay
+ */
+
+import { Vector2D } from '../utils/Vector2D.js';
+import { getGameMode } from '../config/GameModeConfig.js';
+
+/**
+ * Replay file format version - bump when the format or simulation changes incompatibly
+ * @type {number}
+ */
+export const REPLAY_VERSION = 18;
+
+/**
+ * Bit flags for held movement directions
+ * @readonly
+ * @enum {number}
+ */
+export const DIRECTION_BIT = {
+    UP: 1,
+    DOWN: 2,
+    LEFT: 4,
+    RIGHT: 8
+};
+
+Object.freeze(DIRECTION_BIT);
+
+/**
+ * Converts a direction bitmask into a movement vector
+ * Diagonals are normalized, matching live keyboard input
+ * @param {number} mask - Combination of DIRECTION_BIT flags
+ * @returns {Vector2D} Movement vector (-1 to 1 on each axis)
+ */
+export function directionMaskToVector(mask) {
+    let x = 0;
+    let y = 0;
+
+    if (mask & DIRECTION_BIT.UP) y -= 1;
+    if (mask & DIRECTION_BIT.DOWN) y += 1;
+    if (mask & DIRECTION_BIT.LEFT) x -= 1;
+    if (mask & DIRECTION_BIT.RIGHT) x += 1;
+
+    const moveVector = new Vector2D(x, y);
+
+    // Only normalize if we have diagonal input (magnitude > 1)
+    if (moveVector.magnitude() > 1) {
+        return moveVector.normalize();
+    }
+
+    return moveVector;
+}
+
+/**
+ * Records input ticks into a run-length encoded replay
+ */
+export class ReplayRecorder {
+    /**
+     * Creates a new ReplayRecorder
+     * @param {number} seed - Run seed the recording belongs to
+     * @param {number} tickRate - Simulation ticks per second
+     * @param {string} mode - Game mode id of the run
+     */
+    constructor(seed, tickRate, mode) {
+        /** @type {number} Run seed */
+        this.seed = seed;
+
+        /** @type {string} Game mode id */
+        this.mode = mode;
+
+        /** @type {number} Simulation ticks per second */
+        this.tickRate = tickRate;
+
+        /** @type {number} Ticks recorded so far */
+        this.tickCount = 0;
+
+        /** @type {Array<number>} Flat [mask, runLength, mask, runLength, ...] */
+        this.input = [];
+
+        /** @type {Array<Array<number>>} Level-up choices as [tick, optionIndex] */
+        this.choices = [];
+
+        /** @type {boolean} Whether the run continued into overtime after its victory */
+        this.overtime = false;
+    }
+
+    /**
+     * Records the movement keys held for one tick
+     * @param {number} mask - Direction bitmask
+     */
+    recordTick(mask) {
+        const last = this.input.length - 2;
+
+        if (last >= 0 && this.input[last] === mask) {
+            this.input[last + 1]++;
+        } else {
+            this.input.push(mask, 1);
+        }
+
+        this.tickCount++;
+    }
+
+    /**
+     * Records a level-up choice, applied before the next recorded tick
+     * @param {number} index - Chosen option index
+     */
+    recordChoice(index) {
+        this.choices.push([this.tickCount, index]);
+    }
+
+    /**
+     * Records that the won run continued into overtime
+     */
+    recordOvertime() {
+        this.overtime = true;
+    }
+
+    /**
+     * Builds the serializable replay object
+     * @returns {Object} Replay data
+     */
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            mode: this.mode,
+            tickRate: this.tickRate,
+            ticks: this.tickCount,
+            input: [...this.input],
+            choices: this.choices.map(choice => [...choice]),
+            overtime: this.overtime
+        };
+    }
+}
+
+/**
+ * Plays a replay back one tick at a time
+ */
+export class ReplayPlayer {
+    /**
+     * Creates a new ReplayPlayer
+     * @param {Object} replay - Replay data produced by ReplayRecorder.toJSON()
+     */
+    constructor(replay) {
+        /** @type {Object} Replay data */
+        this.replay = replay;
+
+        /** @type {number} Ticks played so far */
+        this.tick = 0;
+
+        /** @type {number} Index of the current run in replay.input */
+        this.runIndex = 0;
+
+        /** @type {number} Ticks used from the current run */
+        this.runUsed = 0;
+
+        /** @type {number} Index of the next level-up choice */
+        this.choiceIndex = 0;
+    }
+
+    /**
+     * Checks whether a replay can be played by this build
+     * @param {Object} replay - Replay data
+     * @param {number} tickRate - Current simulation tick rate
+     * @returns {string|null} Reason it's incompatible, or null if it can be played
+     */
+    static validate(replay, tickRate) {
+        if (!replay || !Array.isArray(replay.input) || !Array.isArray(replay.choices)) {
+            return 'not a replay file';
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            return `version ${replay.version} (expected ${REPLAY_VERSION})`;
+        }
+        if (replay.tickRate !== tickRate) {
+            return `tick rate ${replay.tickRate}Hz (expected ${tickRate}Hz)`;
+        }
+        if (!getGameMode(replay.mode)) {
+            return `unknown game mode '${replay.mode}'`;
+        }
+        return null;
+    }
+
+    /**
+     * Whether every recorded tick has been played
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.tick >= this.replay.ticks;
+    }
+
+    /**
+     * Takes the level-up choice recorded for the current tick, if any
+     * @returns {number|null} Option index, or null if none is due
+     */
+    takeChoice() {
+        const choice = this.replay.choices[this.choiceIndex];
+
+        if (choice && choice[0] <= this.tick) {
+            this.choiceIndex++;
+            return choice[1];
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether the recorded run continued into overtime after its victory
+     * @returns {boolean}
+     */
+    takesOvertime() {
+        return this.replay.overtime === true;
+    }
+
+    /**
+     * Reads the direction mask for the next tick and advances
+     * @returns {number} Direction bitmask (0 once finished)
+     */
+    nextTick() {
+        if (this.isFinished()) {
+            return 0;
+        }
+
+        const input = this.replay.input;
+        const mask = input[this.runIndex];
+
+        this.runUsed++;
+        if (this.runUsed >= input[this.runIndex + 1]) {
+            this.runIndex += 2;
+            this.runUsed = 0;
+        }
+
+        this.tick++;
+        return mask;
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Run Records - Per-mode results across runs
+ * Deaths and victories are counted separately: a death records how far the run got,
+ * a victory records the win, and a run that dies in overtime records how long the
+ * overtime lasted without counting as a death. Plain JSON with no DOM dependencies -
+ * the Game decides where records live
+ * @module core/RunRecords
+ */
+
+/**
+ * Records format version - bump when the shape changes incompatibly
+ * @type {number}
+ */
+export const RECORDS_VERSION = 1;
+
+/**
+ * How a run ended
+ * @readonly
+ * @enum {string}
+ */
+export const RUN_OUTCOME = {
+    /** Died before the run length */
+    DEATH: 'death',
+
+    /** Survived the run length */
+    VICTORY: 'victory',
+
+    /** Died (or quit) in overtime after a victory */
+    OVERTIME: 'overtime'
+};
+
+Object.freeze(RUN_OUTCOME);
+
+/**
+ * @typedef {Object} ModeRecords
+ * @property {number} deaths - Runs lost before the run length
+ * @property {number} victories - Runs that reached the run length
+ * @property {number} bestTime - Longest time reached in a run lost before the run length
+ * @property {number} bestOvertime - Longest overtime survived after a victory
+ * @property {number} bestKills - Most kills in a single run
+ */
+
+/**
+ * @typedef {Object} RunSummary
+ * @property {string} mode - Game mode id
+ * @property {string} outcome - RUN_OUTCOME value
+ * @property {number} time - Game time reached in seconds
+ * @property {number} overtime - Seconds survived in overtime
+ * @property {number} kills - Enemies killed
+ */
+
+/**
+ * Creates an empty set of records
+ * @returns {{version: number, modes: Object<string, ModeRecords>}}
+ */
+export function createRecords() {
+    return { version: RECORDS_VERSION, modes: {} };
+}
+
+/**
+ * Checks whether stored records can be used by this build
+ * @param {Object} records - Stored records
+ * @returns {boolean}
+ */
+export function isValidRecords(records) {
+    return Boolean(records) && records.version === RECORDS_VERSION && typeof records.modes === 'object';
+}
+
+/**
+ * Gets the records of one game mode
+ * @param {Object} records - Records
+ * @param {string} modeId - Game mode id
+ * @returns {ModeRecords}
+ */
+export function getModeRecords(records, modeId) {
+    return records.modes[modeId] || { deaths: 0, victories: 0, bestTime: 0, bestOvertime: 0, bestKills: 0 };
+}
+
+/**
+ * Adds a finished (or won) run to the records
+ * @param {Object} records - Records (modified)
+ * @param {RunSummary} run - Run summary
+ * @returns {{newBestTime: boolean, newBestOvertime: boolean, newBestKills: boolean}} Which records the run beat
+ */
+export function recordRun(records, run) {
+    const mode = { ...getModeRecords(records, run.mode) };
+    const result = { newBestTime: false, newBestOvertime: false, newBestKills: false };
+
+    switch (run.outcome) {
+        case RUN_OUTCOME.DEATH:
+            mode.deaths++;
+            result.newBestTime = run.time > mode.bestTime;
+            mode.bestTime = Math.max(mode.bestTime, run.time);
+            break;
+        case RUN_OUTCOME.VICTORY:
+            mode.victories++;
+            break;
+        case RUN_OUTCOME.OVERTIME:
+            result.newBestOvertime = run.overtime > mode.bestOvertime;
+            mode.bestOvertime = Math.max(mode.bestOvertime, run.overtime);
+            break;
+    }
+
+    result.newBestKills = run.kills > mode.bestKills;
+    mode.bestKills = Math.max(mode.bestKills, run.kills);
+
+    records.modes[run.mode] = mode;
+    return result;
+}
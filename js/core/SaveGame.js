@@ -0,0 +1,373 @@
+/**
+ * Save Game - Mid-run snapshots of the Simulation
+ * A save is plain JSON: the player, their weapons and passives, every enemy, pickup,
+ * mine, drone and hazard, the game mode, spawn timers, straggler counts, director state,
+ * run metrics and the RNG streams. Restoring rebuilds entities through their constructors
+ * (and weapons through createWeapon) before applying the saved fields. Has no DOM
+ * dependencies - the Game decides where saves live
+ * @module core/SaveGame
+ */
+
+import { Enemy } from '../entities/Enemy.js';
+import { Pickup } from '../entities/Pickup.js';
+import { Mine } from '../entities/Mine.js';
+import { OrbitDrone } from '../entities/OrbitDrone.js';
+import { getEnemyType } from '../config/EnemyConfig.js';
+import { createWeapon, WEAPON_TYPES } from '../config/WeaponConfig.js';
+import { getPassiveConfig } from '../config/PassiveConfig.js';
+import { getStage } from '../config/StageConfig.js';
+import { getAffix } from '../config/AffixConfig.js';
+import { getGameMode } from '../config/GameModeConfig.js';
+import { RNG } from '../utils/Random.js';
+
+/**
+ * Save format version - bump when the format or the entities it rebuilds change incompatibly
+ * @type {number}
+ */
+export const SAVE_VERSION = 14;
+
+/**
+ * Captures the current run
+ * Player projectiles and visual effects are not saved - they only live for a moment
+ * @param {Simulation} simulation - Simulation to snapshot
+ * @returns {Object} Serializable save data
+ */
+export function createSave(simulation) {
+    const { player, gameState, spawnSystem, weaponSystem, directorSystem } = simulation;
+
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        rng: RNG.getState(),
+        mode: simulation.mode.id,
+        clockTime: simulation.clock.now(),
+        gameTime: simulation.gameTime,
+        killCount: simulation.killCount,
+        levelingUp: simulation.isLevelingUp(),
+        victory: simulation.victory,
+        overtime: simulation.overtime,
+
+        player: {
+            x: player.position.x,
+            y: player.position.y,
+            health: player.health,
+            experience: player.experience,
+            level: player.level,
+            invulnerableTimer: player.invulnerableTimer,
+            weapons: player.weapons.map(weapon => ({
+                id: weapon.id,
+                level: weapon.level,
+                cooldown: weapon.cooldown,
+                baseStats: { ...weapon.baseStats }
+            })),
+            passiveItems: player.passiveItems.map(passive => ({
+                id: passive.id,
+                level: passive.level
+            }))
+        },
+
+        enemies: gameState.enemies.map(enemy => ({
+            id: enemy.id,
+            enemyType: enemy.enemyType,
+            x: enemy.position.x,
+            y: enemy.position.y,
+            vx: enemy.velocity.x,
+            vy: enemy.velocity.y,
+            speed: enemy.speed,
+            health: enemy.health,
+            maxHealth: enemy.maxHealth,
+            damage: enemy.damage,
+            damageMultiplier: enemy.damageMultiplier,
+            projectileDamage: enemy.projectileDamage,
+            xpValue: enemy.xpValue,
+            spawnMultipliers: { ...enemy.spawnMultipliers },
+            behaviorState: structuredClone(enemy.behaviorState),
+            auraDamage: enemy.aura ? enemy.aura.damage : null,
+            spawnBurstTime: enemy.spawnBurstTime,
+            dying: enemy.dying,
+            deathTimer: enemy.deathTimer,
+            phase: enemy.phase,
+            attackTimer: enemy.attackTimer,
+            summonTimer: enemy.summonTimer,
+            attackAngle: enemy.attackAngle,
+            affixes: enemy.affixes.map(affix => affix.id),
+            trailTimer: enemy.trailTimer,
+            heading: enemy.heading ? { ...enemy.heading } : null,
+            escapeTimer: enemy.escapeTimer,
+            offscreenTime: enemy.offscreenTime
+        })),
+
+        enemyProjectiles: gameState.enemyProjectiles.map(proj => ({
+            ...proj,
+            position: { ...proj.position },
+            velocity: { ...proj.velocity }
+        })),
+
+        hazards: gameState.hazards.map(hazard => ({
+            ...hazard,
+            position: { ...hazard.position }
+        })),
+
+        pickups: gameState.pickups.map(pickup => ({
+            pickupType: pickup.pickupType,
+            x: pickup.position.x,
+            y: pickup.position.y,
+            value: pickup.value
+        })),
+
+        mines: weaponSystem.activeMines.map(mine => ({
+            x: mine.position.x,
+            y: mine.position.y,
+            damage: mine.damage,
+            explosionRadius: mine.explosionRadius,
+            armDelay: mine.armDelay,
+            lifetime: mine.lifetime,
+            age: mine.age,
+            armed: mine.armed,
+            pulseTimer: mine.pulseTimer,
+            mineChar: mine.mineChar,
+            mineColorArmed: mine.mineColorArmed,
+            mineColorUnarmed: mine.mineColorUnarmed
+        })),
+
+        drones: {
+            lastDroneLevel: weaponSystem.lastDroneLevel,
+            list: weaponSystem.orbitDrones.map(drone => ({
+                droneIndex: drone.droneIndex,
+                angle: drone.angle,
+                orbitRadius: drone.orbitRadius,
+                orbitSpeed: (drone.orbitSpeed * 180) / Math.PI, // Constructor takes degrees
+                damage: drone.damage,
+                size: drone.size,
+                droneChar: drone.droneChar,
+                droneColor: drone.droneColor,
+                hitCooldowns: [...drone.hitCooldowns.entries()]
+            }))
+        },
+
+        spawn: {
+            stage: spawnSystem.stage.id,
+            timelineIndex: spawnSystem.timelineIndex,
+            gameTime: spawnSystem.gameTime,
+            waveTimer: spawnSystem.waveTimer,
+            continuousSpawnTimer: spawnSystem.continuousSpawnTimer,
+            intensity: spawnSystem.intensity,
+            overtimeStart: spawnSystem.overtimeStart,
+            reaperTimer: spawnSystem.reaperTimer,
+            refunds: spawnSystem.refunds,
+            mapEvents: {
+                timer: spawnSystem.mapEvents.timer,
+                cooldowns: { ...spawnSystem.mapEvents.cooldowns },
+                pending: spawnSystem.mapEvents.pending.map(pending => ({ ...pending })),
+                blackout: spawnSystem.mapEvents.blackout ? { ...spawnSystem.mapEvents.blackout } : null
+            }
+        },
+
+        stragglers: {
+            relocated: simulation.stragglerSystem.relocatedCount,
+            culled: simulation.stragglerSystem.culledCount
+        },
+
+        director: {
+            samples: directorSystem.samples.map(sample => ({ ...sample })),
+            sampleTimer: directorSystem.sampleTimer,
+            evalTimer: directorSystem.evalTimer,
+            reliefTimer: directorSystem.reliefTimer,
+            reliefCooldown: directorSystem.reliefCooldown,
+            resumeIntensity: directorSystem.resumeIntensity,
+            decisions: directorSystem.decisions.map(decision => ({ ...decision }))
+        }
+    };
+}
+
+/**
+ * Checks whether a save can be restored by this build
+ * @param {Object} save - Save data
+ * @returns {string|null} Reason it's incompatible, or null if it can be restored
+ */
+export function validateSave(save) {
+    if (!save || !save.player || !Array.isArray(save.enemies)) {
+        return 'not a save file';
+    }
+    if (save.version !== SAVE_VERSION) {
+        return `version ${save.version} (expected ${SAVE_VERSION})`;
+    }
+
+    const unknownEnemy = save.enemies.find(e => !getEnemyType(e.enemyType));
+    if (unknownEnemy) {
+        return `unknown enemy type '${unknownEnemy.enemyType}'`;
+    }
+
+    const unknownAffix = save.enemies.flatMap(e => e.affixes).find(id => !getAffix(id));
+    if (unknownAffix) {
+        return `unknown affix '${unknownAffix}'`;
+    }
+
+    const unknownWeapon = save.player.weapons.find(w => !Object.values(WEAPON_TYPES).some(type => type.id === w.id));
+    if (unknownWeapon) {
+        return `unknown weapon '${unknownWeapon.id}'`;
+    }
+
+    const unknownPassive = save.player.passiveItems.find(p => !getPassiveConfig(p.id));
+    if (unknownPassive) {
+        return `unknown passive '${unknownPassive.id}'`;
+    }
+
+    if (!getGameMode(save.mode)) {
+        return `unknown game mode '${save.mode}'`;
+    }
+
+    if (!getStage(save.spawn.stage)) {
+        return `unknown stage '${save.spawn.stage}'`;
+    }
+
+    return null;
+}
+
+/**
+ * Replaces the simulation's run with a validated save
+ * If the save was taken on the level-up screen, fresh upgrade options are offered
+ * @param {Simulation} simulation - Simulation to restore into
+ * @param {Object} save - Save data that passed validateSave()
+ */
+export function restoreSave(simulation, save) {
+    const { player, gameState, spawnSystem, weaponSystem, directorSystem } = simulation;
+
+    // 1. Start from a clean world in the saved mode
+    simulation.reset();
+    simulation.setMode(save.mode);
+
+    // 2. Player
+    player.reset(save.player.x, save.player.y);
+    player.experience = save.player.experience;
+    player.level = save.player.level;
+    player.invulnerableTimer = save.player.invulnerableTimer;
+    player.invulnerable = player.invulnerableTimer > 0;
+
+    for (const saved of save.player.weapons) {
+        const weapon = createWeapon(saved.id);
+        weapon.level = saved.level;
+        weapon.cooldown = saved.cooldown;
+        weapon.baseStats = { ...saved.baseStats };
+        player.weapons.push(weapon);
+    }
+
+    player.passiveItems = save.player.passiveItems.map(passive => ({ ...passive }));
+    player.passiveStats = player.calculatePassiveStats();
+    player.health = save.player.health;
+
+    // 3. Enemies (the constructor draws from the gameplay stream - restored in step 7)
+    gameState.enemies = save.enemies.map(saved => {
+        const enemy = new Enemy(saved.x, saved.y, getEnemyType(saved.enemyType), simulation.clock);
+        enemy.applyAffixes(saved.affixes); // Saved stats below already include the multipliers
+        enemy.id = saved.id;
+        enemy.velocity.set(saved.vx, saved.vy);
+        enemy.speed = saved.speed;
+        enemy.health = saved.health;
+        enemy.maxHealth = saved.maxHealth;
+        enemy.damage = saved.damage;
+        enemy.damageMultiplier = saved.damageMultiplier;
+        enemy.projectileDamage = saved.projectileDamage;
+        enemy.xpValue = saved.xpValue;
+        enemy.spawnMultipliers = saved.spawnMultipliers;
+        enemy.behaviorState = saved.behaviorState;
+        if (enemy.aura) enemy.aura.damage = saved.auraDamage;
+        enemy.spawnBurstTime = saved.spawnBurstTime;
+        enemy.dying = saved.dying;
+        enemy.deathTimer = saved.deathTimer;
+        enemy.phase = saved.phase;
+        enemy.attackTimer = saved.attackTimer;
+        enemy.summonTimer = saved.summonTimer;
+        enemy.attackAngle = saved.attackAngle;
+        enemy.trailTimer = saved.trailTimer;
+        enemy.heading = saved.heading;
+        enemy.escapeTimer = saved.escapeTimer;
+        enemy.offscreenTime = saved.offscreenTime;
+        return enemy;
+    });
+
+    gameState.enemyProjectiles = save.enemyProjectiles.map(proj => ({
+        ...proj,
+        position: { ...proj.position },
+        velocity: { ...proj.velocity }
+    }));
+
+    gameState.hazards = save.hazards.map(hazard => ({
+        ...hazard,
+        position: { ...hazard.position }
+    }));
+
+    // 4. Pickups
+    gameState.pickups = save.pickups.map(saved =>
+        new Pickup(saved.x, saved.y, saved.pickupType, saved.value)
+    );
+
+    // 5. Deployables and drones (owned by the WeaponSystem)
+    weaponSystem.activeMines = save.mines.map(saved => {
+        const mine = new Mine(saved.x, saved.y, {
+            damage: saved.damage,
+            explosionRadius: saved.explosionRadius,
+            armDelay: saved.armDelay,
+            mineLifetime: saved.lifetime,
+            mineChar: saved.mineChar,
+            mineColorArmed: saved.mineColorArmed,
+            mineColorUnarmed: saved.mineColorUnarmed
+        });
+        mine.age = saved.age;
+        mine.armed = saved.armed;
+        mine.pulseTimer = saved.pulseTimer;
+        return mine;
+    });
+
+    const drones = save.drones.list;
+    weaponSystem.orbitDrones = drones.map(saved => {
+        const drone = new OrbitDrone(saved.droneIndex, drones.length, saved);
+        drone.angle = saved.angle;
+        drone.hitCooldowns = new Map(saved.hitCooldowns);
+        drone.update(0, player.position); // Init pos
+        return drone;
+    });
+    // Matching counts stop the WeaponSystem from rebuilding the formation next tick
+    weaponSystem.lastDroneCount = drones.length;
+    weaponSystem.lastDroneLevel = save.drones.lastDroneLevel;
+
+    gameState.activeMines = weaponSystem.activeMines;
+    gameState.orbitDrones = weaponSystem.orbitDrones;
+
+    // 6. Timers, stage timeline, director and run metrics
+    spawnSystem.gameTime = save.spawn.gameTime;
+    spawnSystem.restoreTimeline(save.spawn.stage, save.spawn.timelineIndex);
+    spawnSystem.waveTimer = save.spawn.waveTimer;
+    spawnSystem.continuousSpawnTimer = save.spawn.continuousSpawnTimer;
+    spawnSystem.intensity = save.spawn.intensity;
+    spawnSystem.overtimeStart = save.spawn.overtimeStart;
+    spawnSystem.reaperTimer = save.spawn.reaperTimer;
+    spawnSystem.refunds = save.spawn.refunds;
+    spawnSystem.mapEvents.timer = save.spawn.mapEvents.timer;
+    spawnSystem.mapEvents.cooldowns = { ...save.spawn.mapEvents.cooldowns };
+    spawnSystem.mapEvents.pending = save.spawn.mapEvents.pending.map(pending => ({ ...pending }));
+    spawnSystem.mapEvents.blackout = save.spawn.mapEvents.blackout ? { ...save.spawn.mapEvents.blackout } : null;
+    simulation.stragglerSystem.relocatedCount = save.stragglers.relocated;
+    simulation.stragglerSystem.culledCount = save.stragglers.culled;
+    directorSystem.samples = save.director.samples.map(sample => ({ ...sample }));
+    directorSystem.sampleTimer = save.director.sampleTimer;
+    directorSystem.evalTimer = save.director.evalTimer;
+    directorSystem.reliefTimer = save.director.reliefTimer;
+    directorSystem.reliefCooldown = save.director.reliefCooldown;
+    directorSystem.resumeIntensity = save.director.resumeIntensity;
+    directorSystem.decisions = save.director.decisions.map(decision => ({ ...decision }));
+    simulation.clock.time = save.clockTime;
+    simulation.gameTime = save.gameTime;
+    simulation.killCount = save.killCount;
+    simulation.victory = save.victory;
+    simulation.overtime = save.overtime;
+
+    // 7. Random streams pick up where the saved run left off
+    RNG.setState(save.rng);
+
+    simulation.camera.centerOn(player.position);
+
+    if (save.levelingUp) {
+        simulation.experienceSystem.triggerLevelUp(player);
+    }
+}
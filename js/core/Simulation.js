@@ -0,0 +1,616 @@
+/**
+ * Simulation - Headless gameplay core
+ * Owns the game state, the player and every gameplay system and advances them
+ * with step(dt, inputVector). Has no DOM, canvas or window access, so a run can
+ * be driven under Node (tests, balance bots) as well as by the browser Game
+ * @module core/Simulation
+ */
+
+import { Camera } from './Camera.js';
+import { GameClock } from './GameClock.js';
+import { EventBus, GAME_EVENTS } from './EventBus.js';
+import { Player } from '../entities/Player.js';
+import { SpawnSystem } from '../systems/SpawnSystem.js';
+import { CollisionSystem } from '../systems/CollisionSystem.js';
+import { WeaponSystem } from '../systems/WeaponSystem.js';
+import { BossSystem } from '../systems/BossSystem.js';
+import { EliteSystem } from '../systems/EliteSystem.js';
+import { DirectorSystem } from '../systems/DirectorSystem.js';
+import { StragglerSystem } from '../systems/StragglerSystem.js';
+import { ExperienceSystem } from '../systems/ExperienceSystem.js';
+import { EffectSystem } from '../systems/EffectSystem.js';
+import { ParticleSystem } from '../systems/ParticleSystem.js';
+import { FeedbackSystem } from '../systems/FeedbackSystem.js';
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { createWeapon } from '../config/WeaponConfig.js';
+import { EFFECT_PRESETS } from '../config/EffectConfig.js';
+import { getGameMode } from '../config/GameModeConfig.js';
+import { RNG } from '../utils/Random.js';
+import { Vector2D } from '../utils/Vector2D.js';
+
+/**
+ * Runs the game world one fixed step at a time
+ */
+export class Simulation {
+    /**
+     * Creates a new Simulation
+     * @param {Object} [options] - Simulation options
+     * @param {number} [options.viewportWidth] - Width of the camera view (spawn edges follow it)
+     * @param {number} [options.viewportHeight] - Height of the camera view
+     * @param {Function} [options.onLevelUp] - Called with the upgrade options when the player levels up
+     * @param {string} [options.mode] - Game mode id (see GameModeConfig, defaults to GAME_CONFIG.MODE)
+     * @param {string} [options.stage] - Stage id whose timeline drives spawning (overrides the mode's stage)
+     */
+    constructor(options = {}) {
+        /** @type {number} Camera view width in world units */
+        this.viewportWidth = options.viewportWidth || GAME_CONFIG.CANVAS_WIDTH;
+
+        /** @type {number} Camera view height in world units */
+        this.viewportHeight = options.viewportHeight || GAME_CONFIG.CANVAS_HEIGHT;
+
+        /** @type {Function|null} Level-up callback (UI hook) */
+        this.onLevelUp = options.onLevelUp || null;
+
+        /** @type {GameClock} Simulation clock - only advances while the run is being stepped */
+        this.clock = new GameClock();
+
+        /** @type {EventBus} Gameplay events - subscribe here to react to hits, kills, pickups and level-ups */
+        this.events = new EventBus();
+
+        /** @type {GameMode} Rule set of the current run */
+        this.mode = getGameMode(options.mode || GAME_CONFIG.MODE);
+        if (!this.mode) {
+            throw new Error(`Unknown game mode: ${options.mode}`);
+        }
+
+        // Initialize player at center of WORLD
+        /** @type {Player} */
+        this.player = new Player(
+            GAME_CONFIG.WORLD.WIDTH / 2,
+            GAME_CONFIG.WORLD.HEIGHT / 2
+        );
+
+        /** @type {SpawnSystem} */
+        this.spawnSystem = new SpawnSystem(
+            this.viewportWidth,
+            this.viewportHeight,
+            this.clock,
+            this.events,
+            options.stage || this.mode.stage || GAME_CONFIG.SPAWN.STAGE
+        );
+
+        /** @type {DirectorSystem} Adaptive spawn intensity (enabled by the game mode) */
+        this.directorSystem = new DirectorSystem(this.events, this.spawnSystem);
+        this.directorSystem.enabled = this.mode.director;
+
+        /** @type {StragglerSystem} Relocates or culls enemies left far behind */
+        this.stragglerSystem = new StragglerSystem(this.spawnSystem);
+
+        /** @type {BossSystem} Boss phases, volleys and summons */
+        this.bossSystem = new BossSystem(this.events);
+
+        /** @type {EliteSystem} Elite affix hooks and trail hazards */
+        this.eliteSystem = new EliteSystem();
+
+        /** @type {CollisionSystem} */
+        this.collisionSystem = new CollisionSystem(this.events);
+
+        /** @type {WeaponSystem} */
+        this.weaponSystem = new WeaponSystem(this.events);
+
+        /** @type {ExperienceSystem} */
+        this.experienceSystem = new ExperienceSystem(this.handleLevelUp.bind(this), this.events);
+
+        /** @type {EffectSystem} */
+        this.effectSystem = new EffectSystem();
+
+        /** @type {ParticleSystem} */
+        this.particleSystem = new ParticleSystem(500);
+
+        // Camera - follows player through the world
+        /** @type {Camera} */
+        this.camera = new Camera(this.viewportWidth, this.viewportHeight);
+
+        // Game state
+        /** @type {Object} */
+        this.gameState = {
+            player: this.player,
+            enemies: [],
+            projectiles: [],
+            pickups: [],
+            particles: [],
+            damageNumbers: [],
+            orbitDrones: [],
+            activeMines: [],
+            enemyProjectiles: [],  // Projectiles fired by enemies (rangers)
+            hazards: [],           // Trail puddles left by elites
+            explosions: []         // Blasts waiting to go off this tick (mines, logic bombs)
+        };
+
+        /** @type {FeedbackSystem} Damage numbers and effects, driven by events */
+        this.feedbackSystem = new FeedbackSystem(
+            this.events,
+            this.gameState,
+            this.effectSystem,
+            this.particleSystem,
+            this.camera
+        );
+
+        /** @type {number} Total game time in seconds */
+        this.gameTime = 0;
+
+        /** @type {number} Total enemies killed */
+        this.killCount = 0;
+
+        /** @type {boolean} Whether the player has died */
+        this.gameOver = false;
+
+        /** @type {boolean} Whether the run reached the mode's run length */
+        this.victory = false;
+
+        /** @type {boolean} Whether the run continues past its victory */
+        this.overtime = false;
+
+        this.giveStartingWeapon();
+        this.camera.centerOn(this.player.position);
+    }
+
+    /**
+     * Gives the player the starting weapon (Magic Wand only - other weapons via level up)
+     * @private
+     */
+    giveStartingWeapon() {
+        const startingWeapon = createWeapon('magic_wand');
+        if (startingWeapon) {
+            this.player.weapons.push(startingWeapon);
+        }
+    }
+
+    /**
+     * Switches the game mode for the next run - call before the first step (after reset)
+     * @param {string} modeId - Game mode id (see GameModeConfig)
+     */
+    setMode(modeId) {
+        const mode = getGameMode(modeId);
+        if (!mode) {
+            throw new Error(`Unknown game mode: ${modeId}`);
+        }
+
+        this.mode = mode;
+        this.spawnSystem.setStage(mode.stage || GAME_CONFIG.SPAWN.STAGE);
+        this.directorSystem.enabled = mode.director;
+    }
+
+    /**
+     * Resets the world to the start of a fresh run
+     * Does not reseed the RNG - callers pick the seed
+     */
+    reset() {
+        // Reset player to center of WORLD
+        this.player.reset(
+            GAME_CONFIG.WORLD.WIDTH / 2,
+            GAME_CONFIG.WORLD.HEIGHT / 2
+        );
+        this.giveStartingWeapon();
+
+        // Clear entities
+        this.gameState.enemies = [];
+        this.gameState.projectiles = [];
+        this.gameState.pickups = [];
+        this.gameState.particles = [];
+        this.gameState.damageNumbers = [];
+        this.gameState.orbitDrones = [];
+        this.gameState.activeMines = [];
+        this.gameState.enemyProjectiles = [];
+        this.gameState.hazards = [];
+        this.gameState.explosions = [];
+
+        // Reset systems
+        this.spawnSystem.reset();
+        this.directorSystem.reset();
+        this.stragglerSystem.reset();
+        this.experienceSystem.isLevelingUp = false;
+        this.experienceSystem.currentUpgradeOptions = [];
+        this.effectSystem.clear();
+        this.particleSystem.clear();
+        // Clear weapon system drones and mines
+        this.weaponSystem.orbitDrones = [];
+        this.weaponSystem.activeMines = [];
+        this.weaponSystem.lastDroneCount = 0;
+        this.weaponSystem.lastDroneLevel = 0;
+
+        // Reset camera to center on player
+        this.camera.centerOn(this.player.position);
+
+        // Reset run metrics
+        this.clock.reset();
+        this.gameTime = 0;
+        this.killCount = 0;
+        this.gameOver = false;
+        this.victory = false;
+        this.overtime = false;
+    }
+
+    /**
+     * Advances the simulation by one step
+     * The gameplay layer's step is scaled by any running hit-stop; nothing advances while
+     * leveling up
+     * @param {number} realDeltaTime - Unscaled step duration in seconds
+     * @param {{x: number, y: number}} inputVector - Normalized movement input (plain object or Vector2D)
+     */
+    step(realDeltaTime, inputVector) {
+        if (this.gameOver) {
+            return;
+        }
+
+        // A won run waits for startOvertime() (or stays finished)
+        if (this.isAwaitingOvertime()) {
+            return;
+        }
+
+        // Skip game updates during level-up (pause effect) - the clock stops too
+        if (this.experienceSystem.isLevelingUp) {
+            return;
+        }
+
+        // 1. Remember where everything was for render interpolation
+        this.storePreviousPositions();
+
+        // Two time layers: hit-stop slows only the gameplay layer (the clock advances with it),
+        // while effects, particles, damage numbers and screen shake run at full speed
+        const deltaTime = this.clock.tick(realDeltaTime * this.effectSystem.getGameplayTimeScale());
+
+        if (deltaTime > 0) {
+            this.updateGameplay(deltaTime, inputVector);
+        }
+
+        // 9b. Update damage numbers
+        for (const dmgNum of this.gameState.damageNumbers) {
+            dmgNum.update(realDeltaTime);
+        }
+        this.gameState.damageNumbers = this.gameState.damageNumbers.filter(d => d.alive);
+
+        // 9c. Update effects and particles
+        this.effectSystem.update(realDeltaTime);
+        this.particleSystem.update(realDeltaTime);
+
+        // 10. Check game over
+        if (!this.player.isAlive()) {
+            this.gameOver = true;
+            return;
+        }
+
+        // 11. Survived the run length - victory, and the reaper comes
+        const runLength = this.mode.runLength;
+        if (!this.victory && runLength > 0 && this.gameTime >= runLength) {
+            this.declareVictory();
+        }
+    }
+
+    /**
+     * Marks the run as won and sends in the reaper - in every mode, so it stands behind the
+     * victory screen; it only hunts if overtime resumes the run
+     * @private
+     */
+    declareVictory() {
+        this.victory = true;
+        this.gameState.enemies.push(this.spawnSystem.spawnReaper());
+
+        console.log(`[Simulation] VICTORY at ${this.spawnSystem.getFormattedTime()} (${this.killCount} kills)`);
+    }
+
+    /**
+     * Continues a won run into overtime (if the mode allows it)
+     * @returns {boolean} True if overtime started
+     */
+    startOvertime() {
+        if (!this.isAwaitingOvertime() || !this.mode.overtime) {
+            return false;
+        }
+
+        this.overtime = true;
+        this.spawnSystem.startOvertime();
+        return true;
+    }
+
+    /**
+     * Advances the gameplay layer - player, enemies, weapons, collisions, pickups
+     * @param {number} deltaTime - Scaled gameplay step in seconds
+     * @param {{x: number, y: number}} inputVector - Normalized movement input
+     * @private
+     */
+    updateGameplay(deltaTime, inputVector) {
+        // Track game time
+        this.gameTime += deltaTime;
+
+        // 2. Update player (using WORLD bounds, not canvas)
+        this.player.update(
+            deltaTime,
+            new Vector2D(inputVector.x, inputVector.y),
+            GAME_CONFIG.WORLD.WIDTH,
+            GAME_CONFIG.WORLD.HEIGHT
+        );
+
+        // 2b. Apply passive health regeneration
+        this.player.applyRegeneration(deltaTime);
+
+        // 3. Update camera to follow player
+        this.camera.update(this.player.position, deltaTime);
+
+        // 4. Spawn enemies (at camera edges, away from the player)
+        const newEnemies = this.spawnSystem.update(deltaTime, this.gameState.enemies, this.camera, this.player.position);
+        this.gameState.enemies.push(...newEnemies);
+
+        // 4a. Adaptive director adjusts spawn intensity (no-op unless the game mode enables it)
+        this.directorSystem.update(deltaTime, this.player, this.gameState.enemies, this.camera);
+
+        // 4b. Update enemies (pass gameState for ranger projectile firing)
+        for (const enemy of this.gameState.enemies) {
+            if (enemy.alive) {
+                enemy.update(deltaTime, this.player.position, this.gameState);
+            }
+        }
+
+        // 4c. Enemies left far behind move ahead of the player (or are culled and refunded)
+        this.stragglerSystem.update(deltaTime, this.gameState.enemies, this.camera, this.player);
+
+        // 4d. Map event enemies whose time is up and culled stragglers leave the map (not kills, no loot)
+        this.gameState.enemies = this.gameState.enemies.filter(e => !e.escaped);
+
+        // 4e. Boss phases, volleys and summons
+        const summoned = this.bossSystem.update(deltaTime, this.gameState.enemies, this.player, this.gameState);
+        this.gameState.enemies.push(...summoned);
+
+        // 4f. Update enemy projectiles (movement and expiration)
+        this.gameState.enemyProjectiles = this.gameState.enemyProjectiles.filter(proj => {
+            proj.lifetime += deltaTime;
+            proj.position.x += proj.velocity.x * deltaTime;
+            proj.position.y += proj.velocity.y * deltaTime;
+
+            // Remove if expired
+            return proj.lifetime < proj.maxLifetime;
+        });
+
+        // 4g. Elite affix hooks (shields, trails) and hazard expiry
+        this.eliteSystem.update(deltaTime, this.gameState);
+
+        // 5. Update weapons and projectiles
+        const weaponResult = this.weaponSystem.update(
+            deltaTime,
+            this.player,
+            this.gameState.enemies,
+            this.gameState.projectiles
+        );
+        this.gameState.projectiles.push(...weaponResult.newProjectiles);
+        // Update orbit drones reference from weapon system
+        this.gameState.orbitDrones = weaponResult.orbitDrones || [];
+        // Update active mines from weapon system
+        this.gameState.activeMines = weaponResult.activeMines || [];
+
+        // 5b. Mine blasts and logic bombs whose fuse ran out
+        this.gameState.explosions.push(...(weaponResult.mineExplosions || []));
+        this.detonateExplosions();
+
+        // 6. Check collisions (projectile, drone and contact damage publish their own events)
+        this.collisionSystem.update(this.gameState);
+
+        // 7. Start death animation for newly killed enemies (health <= 0 but not yet dying)
+        const newlyKilledEnemies = this.gameState.enemies.filter(e => e.health <= 0 && !e.dying && e.alive);
+        for (const enemy of newlyKilledEnemies) {
+            // Start death animation (enemy stays visible during this)
+            enemy.startDeathAnimation();
+
+            this.events.emit(GAME_EVENTS.ENEMY_KILLED, { enemy });
+        }
+
+        // 7b. Update dying enemies and handle death completion
+        for (const enemy of this.gameState.enemies) {
+            if (enemy.dying) {
+                const deathComplete = enemy.updateDeathAnimation(deltaTime);
+
+                if (deathComplete) {
+                    // Death animation finished - spawn XP and effects
+                    const pickups = this.experienceSystem.spawnPickupsFromEnemy(enemy);
+                    this.gameState.pickups.push(...pickups);
+
+                    // Elite on-death affixes (splitting)
+                    if (enemy.isElite()) {
+                        this.gameState.enemies.push(...this.eliteSystem.handleDeath(enemy));
+                    }
+
+                    // On-death behaviors (swarms bursting into minions, logic bombs going off)
+                    const spawned = enemy.runDeathBehaviors(this.gameState);
+                    if (spawned.length > 0) {
+                        this.gameState.enemies.push(...spawned);
+
+                        // Purple particle burst for the split
+                        this.particleSystem.spawn(enemy.position.x, enemy.position.y, {
+                            count: 12,
+                            color: '#9900FF',
+                            speed: [60, 120],
+                            lifetime: 0.5,
+                            spread: 360,
+                            size: 14,
+                            char: '*'
+                        });
+                    }
+                }
+            }
+        }
+
+        // 7c. Blasts from enemies that just died (logic bombs killed before their fuse ran out)
+        this.detonateExplosions();
+
+        // 8. Remove dead entities (alive=false after death animation completes) and track kills
+        const enemyCountBefore = this.gameState.enemies.length;
+        this.gameState.enemies = this.gameState.enemies.filter(e => e.alive);
+        const enemiesKilled = enemyCountBefore - this.gameState.enemies.length;
+        this.killCount += enemiesKilled;
+        this.gameState.projectiles = this.gameState.projectiles.filter(p => p.alive);
+
+        // 9. Update XP/pickups (handles collection and level-up)
+        this.experienceSystem.update(deltaTime, this.player, this.gameState.pickups);
+        this.gameState.pickups = this.gameState.pickups.filter(p => p.alive);
+    }
+
+    /**
+     * Sets off the queued explosions: the CollisionSystem damages everything in each blast,
+     * then the blast's effect preset plays and particles fill its radius
+     * @private
+     */
+    detonateExplosions() {
+        const explosions = this.gameState.explosions;
+        this.gameState.explosions = [];
+
+        for (const explosion of explosions) {
+            this.effectSystem.applyPreset(EFFECT_PRESETS[explosion.effect], explosion.position, this.particleSystem, this.camera);
+
+            this.collisionSystem.applyExplosion(explosion, this.gameState.enemies, this.player);
+
+            // Spawn circular explosion effect - fill blast radius with particles
+            const particleCount = 40; // Number of particles in explosion
+            const radius = explosion.radius;
+
+            for (let i = 0; i < particleCount; i++) {
+                // Random position within circle (uniform distribution)
+                const angle = RNG.cosmetic.next() * Math.PI * 2;
+                const dist = Math.sqrt(RNG.cosmetic.next()) * radius; // sqrt for uniform distribution
+                const px = explosion.position.x + Math.cos(angle) * dist;
+                const py = explosion.position.y + Math.sin(angle) * dist;
+
+                this.particleSystem.spawn(px, py, {
+                    count: 1,
+                    color: explosion.colors.fill,
+                    speed: [5, 20], // Very slow - mostly stationary
+                    lifetime: 0.5,
+                    spread: 360,
+                    size: 14,
+                    char: '*'
+                });
+            }
+
+            // Also spawn ring outline particles for extra effect
+            const ringCount = 20;
+            for (let i = 0; i < ringCount; i++) {
+                const angle = (i / ringCount) * Math.PI * 2;
+                const px = explosion.position.x + Math.cos(angle) * radius;
+                const py = explosion.position.y + Math.sin(angle) * radius;
+
+                this.particleSystem.spawn(px, py, {
+                    count: 1,
+                    color: explosion.colors.ring,
+                    speed: [30, 60],
+                    lifetime: 0.4,
+                    direction: angle * (180 / Math.PI), // Outward
+                    spread: 30,
+                    size: 12,
+                    char: '*'
+                });
+            }
+        }
+    }
+
+    /**
+     * Snapshots current positions as the previous tick positions
+     * RenderSystem blends from these toward the current positions between ticks
+     * @private
+     */
+    storePreviousPositions() {
+        const { player, enemies, projectiles, pickups, orbitDrones, enemyProjectiles } = this.gameState;
+        const lists = [enemies, projectiles, pickups, orbitDrones, enemyProjectiles];
+
+        player.prevX = player.position.x;
+        player.prevY = player.position.y;
+
+        for (const list of lists) {
+            for (const entity of list) {
+                entity.prevX = entity.position.x;
+                entity.prevY = entity.position.y;
+            }
+        }
+
+        this.camera.savePreviousPosition();
+    }
+
+    /**
+     * Handles level-up from the ExperienceSystem and forwards it to the UI hook
+     * With no hook attached (headless), the choice waits for selectUpgrade()
+     * @param {Array} options - Available upgrade options
+     * @private
+     */
+    handleLevelUp(options) {
+        if (this.onLevelUp) {
+            this.onLevelUp(options);
+        }
+    }
+
+    /**
+     * Whether the run is waiting for an upgrade choice
+     * @returns {boolean}
+     */
+    isLevelingUp() {
+        return this.experienceSystem.isLevelingUp;
+    }
+
+    /**
+     * Gets the upgrade options currently offered
+     * @returns {Array} Upgrade options (empty when not leveling up)
+     */
+    getUpgradeOptions() {
+        return this.experienceSystem.currentUpgradeOptions;
+    }
+
+    /**
+     * Applies an upgrade choice and resumes the run
+     * @param {number} index - Index of the chosen option
+     */
+    selectUpgrade(index) {
+        this.experienceSystem.selectUpgrade(index, this.player, createWeapon);
+    }
+
+    /**
+     * Whether the player has died
+     * @returns {boolean}
+     */
+    isGameOver() {
+        return this.gameOver;
+    }
+
+    /**
+     * Whether the run reached its run length
+     * @returns {boolean}
+     */
+    isVictorious() {
+        return this.victory;
+    }
+
+    /**
+     * Whether the run is won and paused until overtime starts
+     * @returns {boolean}
+     */
+    isAwaitingOvertime() {
+        return this.victory && !this.overtime;
+    }
+
+    /**
+     * Seconds played in overtime (0 outside overtime)
+     * @returns {number}
+     */
+    getOvertimeTime() {
+        return this.overtime ? this.spawnSystem.gameTime - this.spawnSystem.overtimeStart : 0;
+    }
+
+    /**
+     * Builds the state object consumed by RenderSystem
+     * @returns {Object} Game state plus particles, garlic aura and blackout visibility
+     */
+    getRenderState() {
+        return {
+            ...this.gameState,
+            particles: this.particleSystem.getParticles(),
+            garlicAura: this.weaponSystem.getGarlicAura(this.player),
+            visibilityRadius: this.spawnSystem.mapEvents.getVisibilityRadius()
+        };
+    }
+
+}
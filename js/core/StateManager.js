@@ -0,0 +1,169 @@
+/**
+ * State Manager - Stack of game states (screens)
+ * Only the top state is updated, so it alone reads and consumes input. Overlay states
+ * (pause, level-up, game over) are drawn on top of the states below them, which stay
+ * frozen until the overlay is popped
+ * @module core/StateManager
+ */
+
+/**
+ * Base class for game states
+ * Subclasses override the hooks they need
+ */
+export class State {
+    /**
+     * Creates a new State
+     * @param {Object} game - Game the state belongs to
+     */
+    constructor(game) {
+        /** @type {Object} Owning game (canvas, input, simulation, run actions) */
+        this.game = game;
+
+        /** @type {string} State id (one of GAME_STATE) */
+        this.name = 'state';
+
+        /** @type {boolean} Whether the state below is drawn underneath this one */
+        this.overlay = false;
+
+        /** @type {StateManager|null} Manager while the state is on the stack */
+        this.manager = null;
+    }
+
+    /**
+     * Called when the state is pushed onto the stack
+     * @param {Object} [params] - Values passed to push()/replace()
+     */
+    enter(params) { }
+
+    /**
+     * Called when the state is popped or replaced
+     */
+    exit() { }
+
+    /**
+     * Called once per simulation tick while this is the active (top) state
+     * @param {number} deltaTime - Fixed tick duration in seconds
+     */
+    update(deltaTime) { }
+
+    /**
+     * Called once per display frame while the state is visible
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks (0-1)
+     */
+    render(alpha) { }
+
+    /**
+     * Whether this state is the one receiving updates and input
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.manager !== null && this.manager.getActive() === this;
+    }
+}
+
+/**
+ * Manages the stack of game states
+ */
+export class StateManager {
+    /**
+     * Creates an empty StateManager
+     */
+    constructor() {
+        /** @type {Array<State>} State stack (last = active) */
+        this.stack = [];
+    }
+
+    /**
+     * Pushes a state on top of the stack, freezing the current one
+     * @param {State} state - State to enter
+     * @param {Object} [params] - Passed to state.enter()
+     */
+    push(state, params = {}) {
+        state.manager = this;
+        this.stack.push(state);
+        state.enter(params);
+        console.log(`[StateManager] Enter ${state.name} (depth ${this.stack.length})`);
+    }
+
+    /**
+     * Pops the active state, resuming the one below
+     * @returns {State|null} The popped state
+     */
+    pop() {
+        const state = this.stack.pop() || null;
+        if (state) {
+            state.exit();
+            state.manager = null;
+            console.log(`[StateManager] Exit ${state.name}`);
+        }
+        return state;
+    }
+
+    /**
+     * Pops a specific state (and anything pushed above it)
+     * @param {State} state - State to remove
+     */
+    remove(state) {
+        if (!this.stack.includes(state)) return;
+
+        while (this.stack.length > 0 && this.pop() !== state) {
+            // Keep popping until the state itself is gone
+        }
+    }
+
+    /**
+     * Exits every state and starts over with a single one
+     * @param {State} state - State to enter
+     * @param {Object} [params] - Passed to state.enter()
+     */
+    replace(state, params = {}) {
+        while (this.stack.length > 0) {
+            this.pop();
+        }
+        this.push(state, params);
+    }
+
+    /**
+     * Gets the active (top) state
+     * @returns {State|null}
+     */
+    getActive() {
+        return this.stack[this.stack.length - 1] || null;
+    }
+
+    /**
+     * Finds a state on the stack by id
+     * @param {string} name - State id (one of GAME_STATE)
+     * @returns {State|null}
+     */
+    find(name) {
+        return this.stack.find(state => state.name === name) || null;
+    }
+
+    /**
+     * Updates the active state only
+     * @param {number} deltaTime - Fixed tick duration in seconds
+     */
+    update(deltaTime) {
+        const active = this.getActive();
+        if (active) {
+            active.update(deltaTime);
+        }
+    }
+
+    /**
+     * Renders the active state and every state visible beneath its overlays
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks (0-1)
+     */
+    render(alpha) {
+        // Walk down to the first opaque state, then draw bottom to top
+        let first = this.stack.length - 1;
+        while (first > 0 && this.stack[first].overlay) {
+            first--;
+        }
+
+        for (let i = Math.max(0, first); i < this.stack.length; i++) {
+            this.stack[i].render(alpha);
+        }
+    }
+}
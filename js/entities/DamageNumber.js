@@ -28,7 +28,7 @@ export class DamageNumber {
         /** @type {number} Starting Y for animation */
         this.startY = y;
 
-        /** @type {number} Damage value */
+        /** @type {number|string} Damage value (or a label such as 'BLOCK') */
         this.value = value;
 
         /** @type {string} Display color */
@@ -57,7 +57,7 @@ export class DamageNumber {
      * Initializes/resets the damage number (for pooling)
      * @param {number} x - X position
      * @param {number} y - Y position
-     * @param {number} value - Damage value
+     * @param {number|string} value - Damage value (or a label such as 'BLOCK')
      * @param {boolean} isCritical - Whether this is a critical hit
      */
     init(x, y, value, isCritical = false) {
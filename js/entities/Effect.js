@@ -5,6 +5,8 @@
  * @module entities/Effect
  */
 
+import { RNG } from '../utils/Random.js';
+
 /**
  * Base Effect class - all effects extend this
  */
@@ -148,8 +150,8 @@ export class ShakeEffect extends Effect {
 
         // Decreasing intensity over time
         const currentIntensity = this.intensity * (1 - progress);
-        this.target.shakeOffsetX = (Math.random() - 0.5) * 2 * currentIntensity;
-        this.target.shakeOffsetY = (Math.random() - 0.5) * 2 * currentIntensity;
+        this.target.shakeOffsetX = (RNG.cosmetic.next() - 0.5) * 2 * currentIntensity;
+        this.target.shakeOffsetY = (RNG.cosmetic.next() - 0.5) * 2 * currentIntensity;
     }
 
     onComplete() {
@@ -180,8 +182,8 @@ export class ScreenShakeEffect extends Effect {
 
         // Decreasing intensity over time
         const currentIntensity = this.intensity * (1 - progress);
-        this.target.shakeOffsetX = (Math.random() - 0.5) * 2 * currentIntensity;
-        this.target.shakeOffsetY = (Math.random() - 0.5) * 2 * currentIntensity;
+        this.target.shakeOffsetX = (RNG.cosmetic.next() - 0.5) * 2 * currentIntensity;
+        this.target.shakeOffsetY = (RNG.cosmetic.next() - 0.5) * 2 * currentIntensity;
     }
 
     onComplete() {
@@ -192,6 +194,24 @@ export class ScreenShakeEffect extends Effect {
     }
 }
 
+/**
+ * Hit-Stop Effect - briefly freezes or slows the gameplay layer
+ * Has no visual of its own; EffectSystem reads its timeScale while it runs.
+ * Ticks on effect-layer time, so it ends even while gameplay is frozen
+ */
+export class HitStopEffect extends Effect {
+    /**
+     * Creates a HitStopEffect
+     * @param {Object} target - Entity that caused the hit-stop
+     * @param {number} duration - Duration in seconds
+     * @param {number} timeScale - Gameplay speed while active (0 = full freeze)
+     */
+    constructor(target, duration = 0.05, timeScale = 0) {
+        super(target, duration);
+        this.timeScale = Math.max(0, Math.min(1, timeScale));
+    }
+}
+
 /**
  * Knockback Effect - pushes entity in a direction
  */
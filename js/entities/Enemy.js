@@ -1,11 +1,15 @@
 /**
- * Enemy Entity - Enemy characters that chase the player
- * Contains position, movement, and health logic
+ * Enemy Entity - Enemy characters that hunt the player
+ * Contains position, movement, and health logic; what an enemy does each tick comes from
+ * its type's behavior list (see BehaviorConfig)
  * NOTE: This class has NO render() method - all rendering goes through RenderSystem
  * @module entities/Enemy
  */
 
 import { Vector2D } from '../utils/Vector2D.js';
+import { RNG } from '../utils/Random.js';
+import { ELITE_CONFIG, getAffix } from '../config/AffixConfig.js';
+import { getBehavior, getBehaviors } from '../config/BehaviorConfig.js';
 
 /**
  * Enemy entity class
@@ -17,20 +21,33 @@ export class Enemy {
      * @param {number} x - Initial X position
      * @param {number} y - Initial Y position
      * @param {Object} config - Enemy type configuration
+     * @param {GameClock} clock - Simulation clock for timed behaviour (fire rate, spawn bursts)
      */
-    constructor(x, y, config) {
+    constructor(x, y, config, clock) {
         /** @type {string} Entity type identifier */
         this.type = 'enemy';
 
+        /** @type {GameClock} Simulation clock */
+        this.clock = clock;
+
         /** @type {string} Unique ID for tracking */
-        this.id = Math.random().toString(36).substr(2, 9);
+        this.id = RNG.gameplay.id();
 
         /** @type {string} Enemy type (basic, tank, fast) */
         this.enemyType = config.id;
 
+        /** @type {Object} Enemy type configuration */
+        this.typeConfig = config;
+
         /** @type {Vector2D} Current position */
         this.position = new Vector2D(x, y);
 
+        /** @type {number} X position at the previous simulation tick (for render interpolation) */
+        this.prevX = x;
+
+        /** @type {number} Y position at the previous simulation tick (for render interpolation) */
+        this.prevY = y;
+
         /** @type {Vector2D} Current velocity */
         this.velocity = new Vector2D(0, 0);
 
@@ -49,6 +66,15 @@ export class Enemy {
         /** @type {number} Damage dealt to player on collision */
         this.damage = config.damage;
 
+        /** @type {{health: number, damage: number, speed: number}} Game time and overtime multipliers applied at spawn (carried over to split copies) */
+        this.spawnMultipliers = { health: 1, damage: 1, speed: 1 };
+
+        /** @type {number} How strongly weapons prefer this enemy as a target (distance is divided by it) */
+        this.targetPriority = config.targetPriority ?? 1;
+
+        /** @type {number} Multiplier on damage that behaviors take from their parameters (blasts) */
+        this.damageMultiplier = 1;
+
         /** @type {number} XP dropped on death */
         this.xpValue = config.xpValue;
 
@@ -61,6 +87,9 @@ export class Enemy {
         /** @type {number} Death animation timer */
         this.deathTimer = 0;
 
+        /** @type {string} EFFECT_PRESETS key played when the enemy dies */
+        this.deathEffect = config.deathEffect || 'ENEMY_DEATH';
+
         /** @type {number} Duration of death animation */
         this.deathDuration = 0.1;  // 0.4s death animation
 
@@ -86,47 +115,123 @@ export class Enemy {
         /** @type {number} Knockback Y velocity */
         this.knockbackVelocityY = 0;
 
-        // Ranger-specific properties (for ranged enemies)
-        /** @type {number} Preferred distance to maintain from player */
-        this.preferredDistance = config.preferredDistance || 0;
-        /** @type {number} Distance at which to retreat from player */
-        this.retreatDistance = config.retreatDistance || 0;
-        /** @type {number} Maximum range at which to detect and shoot player */
-        this.detectionRange = config.detectionRange || 0;
-        /** @type {number} Projectile speed */
-        this.projectileSpeed = config.projectileSpeed || 0;
-        /** @type {number} Projectile damage */
-        this.projectileDamage = config.projectileDamage || 0;
-        /** @type {string} Projectile character */
-        this.projectileChar = config.projectileChar || '*';
-        /** @type {string} Projectile color */
-        this.projectileColor = config.projectileColor || '#FF6600';
-        /** @type {number} Projectile lifetime in seconds */
-        this.projectileLifetime = config.projectileLifetime || 2;
-        /** @type {number} Fire rate (shots per second) */
-        this.fireRate = config.fireRate || 0;
-        /** @type {number} Last time enemy fired a projectile */
-        this.lastFireTime = 0;
-
-        // Swarm-specific properties (for spawner enemies)
-        /** @type {boolean} Whether to spawn minions on death */
-        this.spawnOnDeath = config.spawnOnDeath || false;
-        /** @type {number} Number of minions to spawn */
-        this.spawnCount = config.spawnCount || 0;
-        /** @type {string} Type of enemy to spawn */
-        this.spawnType = config.spawnType || null;
-        /** @type {number|null} Time when spawn burst started (for mini enemies) */
+        // Behaviors (see BehaviorConfig)
+        /** @type {Array<ResolvedBehavior>} The type's behaviors with their parameters (shared, read-only) */
+        this.behaviors = getBehaviors(config);
+        /** @type {Object<string, Object>} Per-behavior state, keyed by behavior id (plain data, saved as-is) */
+        this.behaviorState = {};
+        for (const { behavior, params } of this.behaviors) {
+            if (behavior.createState) this.behaviorState[behavior.id] = behavior.createState(params);
+        }
+        const shoot = this.getBehaviorParams('shoot');
+        const aura = this.getBehaviorParams('aura');
+        /** @type {number} Projectile damage ('shoot' - kept here so it scales with the enemy) */
+        this.projectileDamage = shoot ? shoot.damage : 0;
+        /** @type {{radius: number, damage: number, color: string}|null} Damaging aura ('aura' - damage scales with the enemy) */
+        this.aura = aura ? { radius: aura.radius, damage: aura.damage, color: aura.color } : null;
+        /** @type {number|null} Clock time when spawn burst started (for split-off enemies) */
         this.spawnBurstTime = null;
 
+        // Map event properties (see MapEventConfig)
+        /** @type {{x: number, y: number}|null} Fixed unit direction to move in, ignoring the player (stampedes) */
+        this.heading = null;
+        /** @type {number|null} Seconds until the enemy leaves the map (null = stays) */
+        this.escapeTimer = null;
+        /** @type {boolean} Whether the enemy left the map (or blew itself up) - removed without counting as a kill */
+        this.escaped = false;
+        /** @type {number} Seconds spent far outside the camera view (see StragglerSystem) */
+        this.offscreenTime = 0;
+
+        // Boss-specific properties (driven by BossSystem)
+        /** @type {Object|null} Boss definition (glyph, phases, reward) - null for regular enemies */
+        this.bossConfig = config.boss || null;
+        /** @type {string} Display name (boss health bar) */
+        this.name = config.name;
+        /** @type {number} Current boss phase index */
+        this.phase = 0;
+        /** @type {number} Seconds until the next boss volley */
+        this.attackTimer = this.bossConfig?.phases[0].attack?.interval || 0;
+        /** @type {number} Seconds until the next boss summon */
+        this.summonTimer = this.bossConfig?.phases[0].summon?.interval || 0;
+        /** @type {number} Rotating aim angle for spiral volleys (radians) */
+        this.attackAngle = 0;
+
+        // Elite-specific properties (see AffixConfig, driven by EliteSystem)
+        /** @type {Array<Object>} Elite affixes - empty for regular enemies */
+        this.affixes = [];
+        /** @type {number} Damage reduction from a nearby shielding elite (recomputed every tick) */
+        this.shieldReduction = 0;
+        /** @type {number} Seconds until the next trail hazard */
+        this.trailTimer = 0;
+
         // Add slight speed variation for visual interest
-        this.speed *= 0.9 + Math.random() * 0.2; // ±10% speed variation
+        this.speed *= 0.9 + RNG.gameplay.next() * 0.2; // ±10% speed variation
+    }
+
+    /**
+     * Multiplies the enemy's stats (damage covers contact and projectile damage)
+     * Health is rounded to a whole number (at least 1) and set to the new maximum, so small
+     * multipliers don't push an enemy past a damage breakpoint
+     * @param {{health: number, speed: number, damage: number, xp: number}} multipliers - Missing stats are left as-is
+     */
+    scaleStats(multipliers) {
+        this.maxHealth = Math.max(1, Math.round(this.maxHealth * (multipliers.health ?? 1)));
+        this.health = this.maxHealth;
+        this.speed *= multipliers.speed ?? 1;
+        this.damage *= multipliers.damage ?? 1;
+        this.damageMultiplier *= multipliers.damage ?? 1;
+        this.projectileDamage *= multipliers.damage ?? 1;
+        if (this.aura) this.aura.damage *= multipliers.damage ?? 1;
+        this.xpValue *= multipliers.xp ?? 1;
+    }
+
+    /**
+     * Turns the enemy into an elite: applies the elite base stats, then each affix's multipliers
+     * @param {Array<string>} affixIds - Affix ids from AffixConfig
+     */
+    applyAffixes(affixIds) {
+        if (affixIds.length === 0) return;
+
+        this.affixes = affixIds.map(id => getAffix(id));
+
+        this.scaleStats(ELITE_CONFIG.STATS);
+        for (const affix of this.affixes) {
+            this.scaleStats(affix.stats);
+        }
+    }
+
+    /**
+     * Whether the enemy is an elite
+     * @returns {boolean}
+     */
+    isElite() {
+        return this.affixes.length > 0;
+    }
+
+    /**
+     * Runs affix hooks after this enemy's contact damage landed on the player
+     * @param {number} damage - Damage the player actually took from this enemy
+     */
+    onHitPlayer(damage) {
+        for (const affix of this.affixes) {
+            if (affix.onHitPlayer) affix.onHitPlayer(this, damage, affix);
+        }
+    }
+
+    /**
+     * Restores health, up to the maximum
+     * @param {number} amount - Health to restore
+     */
+    heal(amount) {
+        if (this.dying) return;
+        this.health = Math.min(this.maxHealth, this.health + amount);
     }
 
     /**
      * Updates the enemy each frame
      * @param {number} deltaTime - Time since last frame in seconds
      * @param {Vector2D} playerPosition - Current player position
-     * @param {Object} gameState - Game state for projectile spawning (optional, required for rangers)
+     * @param {Object} gameState - Game state for projectile spawning (optional, required for shooters)
      */
     update(deltaTime, playerPosition, gameState = null) {
         if (!this.alive) {
@@ -139,7 +244,7 @@ export class Enemy {
 
         // Handle spawn burst for newly spawned mini enemies
         if (this.spawnBurstTime !== null) {
-            const currentTime = performance.now() / 1000;
+            const currentTime = this.clock.now();
             const burstDuration = 0.3;  // 0.3s burst before normal AI
             const elapsed = currentTime - this.spawnBurstTime;
 
@@ -158,56 +263,38 @@ export class Enemy {
             }
         }
 
-        // Ranger AI: kiting behavior
-        if (this.enemyType === 'ranger') {
-            // BEHAVIOR 1: Retreat if too close
-            if (distance < this.retreatDistance) {
-                // Move AWAY from player
-                const dx = this.position.x - playerPosition.x;
-                const dy = this.position.y - playerPosition.y;
-                const length = Math.sqrt(dx * dx + dy * dy);
-
-                if (length > 0) {
-                    this.velocity = new Vector2D(
-                        (dx / length) * this.speed,
-                        (dy / length) * this.speed
-                    );
-                }
-            }
-            // BEHAVIOR 2: Approach if too far
-            else if (distance > this.preferredDistance + 20) {
-                // Move toward player (normal chase)
-                if (distance > 1) {
-                    const normalizedDir = direction.normalize();
-                    this.velocity = normalizedDir.multiply(this.speed);
-                }
-            }
-            // BEHAVIOR 3: Hold position (within good range)
-            else {
-                this.velocity = new Vector2D(
-                    this.velocity.x * 0.9,
-                    this.velocity.y * 0.9
-                );
+        // Map event enemies leave after their time is up
+        if (this.escapeTimer !== null && !this.dying) {
+            this.escapeTimer -= deltaTime;
+            if (this.escapeTimer <= 0) {
+                this.escaped = true;
+                return;
             }
+        }
 
-            // BEHAVIOR 4: Shoot at player if within detection range
-            if (distance < this.detectionRange && gameState) {
-                const currentTime = performance.now() / 1000;
-                if (currentTime - this.lastFireTime >= (1 / this.fireRate)) {
-                    this.fireProjectile(playerPosition, gameState);
-                    this.lastFireTime = currentTime;
-                }
-            }
+        // Stampede: keep running in a fixed direction, ignoring the player and the type's behaviors
+        if (this.heading) {
+            this.velocity = new Vector2D(this.heading.x * this.speed, this.heading.y * this.speed);
         } else {
-            // Standard enemy AI: chase player
-            if (distance > 1) {
-                const normalizedDir = direction.normalize();
-                this.velocity = normalizedDir.multiply(this.speed);
-            } else {
-                this.velocity = new Vector2D(0, 0);
+            const context = { playerPosition, direction, distance, gameState };
+
+            // Movement: the first behavior that steers wins
+            for (const { behavior, params } of this.behaviors) {
+                if (behavior.move && behavior.move(this, params, context, deltaTime)) break;
+            }
+
+            // Per-tick behaviors (shooting)
+            for (const { behavior, params } of this.behaviors) {
+                if (behavior.onUpdate) behavior.onUpdate(this, params, context, deltaTime);
             }
         }
 
+        // Behavior state that runs down on its own (a firewall shield fading out of range)
+        for (const id of Object.keys(this.behaviorState)) {
+            const behavior = getBehavior(id);
+            if (behavior.updateState) behavior.updateState(this, this.behaviorState[id], deltaTime);
+        }
+
         // Apply velocity to position
         this.position = this.position.add(this.velocity.multiply(deltaTime));
 
@@ -228,11 +315,52 @@ export class Enemy {
     }
 
     /**
-     * Fires a projectile toward the player (for ranger enemies)
+     * Gets the parameters of one of the type's behaviors
+     * @param {string} id - Behavior id (e.g. 'shoot')
+     * @returns {Object|null} Parameters, or null if the type doesn't have the behavior
+     */
+    getBehaviorParams(id) {
+        const entry = this.behaviors.find(({ behavior }) => behavior.id === id);
+        return entry ? entry.params : null;
+    }
+
+    /**
+     * Gets the attack warning to draw from the first behavior that has one (a charge wind-up
+     * or a burning fuse)
+     * @returns {{progress: number, direction?: {x: number, y: number}, length?: number, radius?: number}|null}
+     *   Wind-up progress (0-1) plus either the locked dash direction and length or the blast
+     *   radius - null when no attack is coming
+     */
+    getTelegraph() {
+        for (const { behavior, params } of this.behaviors) {
+            const telegraph = behavior.getTelegraph ? behavior.getTelegraph(this, params) : null;
+            if (telegraph) return telegraph;
+        }
+        return null;
+    }
+
+    /**
+     * Runs on-death behaviors once the death animation has finished
+     * @param {Object} gameState - Game state (receives explosions)
+     * @returns {Array<Enemy>} Enemies spawned by the behaviors (e.g. swarm minions)
+     */
+    runDeathBehaviors(gameState) {
+        const spawned = [];
+
+        for (const { behavior, params } of this.behaviors) {
+            if (behavior.onDeath) spawned.push(...behavior.onDeath(this, params, gameState));
+        }
+
+        return spawned;
+    }
+
+    /**
+     * Fires a projectile toward the player ('shoot' behavior)
      * @param {Vector2D} playerPosition - Target position
      * @param {Object} gameState - Game state to add projectile to
+     * @param {Object} shot - 'shoot' parameters (speed, char, color, lifetime)
      */
-    fireProjectile(playerPosition, gameState) {
+    fireProjectile(playerPosition, gameState, shot) {
         // Calculate direction to player
         const dx = playerPosition.x - this.position.x;
         const dy = playerPosition.y - this.position.y;
@@ -243,15 +371,17 @@ export class Enemy {
         // Create projectile
         const projectile = {
             position: { x: this.position.x, y: this.position.y },
+            prevX: this.position.x,
+            prevY: this.position.y,
             velocity: {
-                x: (dx / distance) * this.projectileSpeed,
-                y: (dy / distance) * this.projectileSpeed
+                x: (dx / distance) * shot.speed,
+                y: (dy / distance) * shot.speed
             },
             damage: this.projectileDamage,
-            char: this.projectileChar,
-            color: this.projectileColor,
+            char: shot.char,
+            color: shot.color,
             lifetime: 0,
-            maxLifetime: this.projectileLifetime,
+            maxLifetime: shot.lifetime,
             radius: 5,
             isEnemyProjectile: true  // Flag to distinguish from player projectiles
         };
@@ -264,57 +394,49 @@ export class Enemy {
     }
 
     /**
-     * Spawns minion enemies in a circle pattern (for swarm enemies)
-     * @param {Object} gameState - Game state to add minions to
-     * @param {Object} ENEMY_TYPES - Enemy type definitions
-     * @returns {Array} Array of spawned enemy objects (to be added to game)
+     * Breaks into smaller regular enemies - copies of this enemy's type unless another type
+     * is given ('split' behavior, splitting elites). Copies are scaled by this enemy's spawn
+     * multipliers, so late splits aren't minute-0 enemies
+     * @param {number} count - Number of enemies
+     * @param {number} healthFraction - Their health as a fraction of their type's (scaled) health
+     * @param {EnemyType} [typeConfig] - Type to spawn (defaults to this enemy's type)
+     * @param {number} [distance] - Distance from the death point (defaults to this enemy's radius)
+     * @returns {Array<Enemy>} Spawned enemies (to be added to game)
      */
-    spawnMinions(gameState, ENEMY_TYPES) {
-        if (!this.spawnOnDeath || !this.spawnType || this.spawnCount <= 0) {
-            return [];
-        }
-
-        // Get spawn config
-        const spawnKey = this.spawnType.toUpperCase();
-        const spawnConfig = ENEMY_TYPES[spawnKey];
-        if (!spawnConfig) {
-            console.warn(`Unknown spawn type: ${this.spawnType}`);
-            return [];
-        }
-
-        const spawnedEnemies = [];
-        const angleStep = (Math.PI * 2) / this.spawnCount;
-        const spawnRadius = 40;  // Spawn 40px away from death point
+    split(count, healthFraction, typeConfig = this.typeConfig, distance = this.radius) {
+        const copies = [];
         const burstSpeed = 100;  // Initial outward velocity
 
-        for (let i = 0; i < this.spawnCount; i++) {
-            const angle = angleStep * i;
-            const spawnX = this.position.x + Math.cos(angle) * spawnRadius;
-            const spawnY = this.position.y + Math.sin(angle) * spawnRadius;
-
-            // Create new mini enemy
-            const miniEnemy = new Enemy(spawnX, spawnY, spawnConfig);
-
-            // Add initial burst velocity (outward from death point)
-            miniEnemy.velocity = new Vector2D(
-                Math.cos(angle) * burstSpeed,
-                Math.sin(angle) * burstSpeed
+        for (let i = 0; i < count; i++) {
+            const angle = (Math.PI * 2 * i) / count;
+            const copy = new Enemy(
+                this.position.x + Math.cos(angle) * distance,
+                this.position.y + Math.sin(angle) * distance,
+                typeConfig,
+                this.clock
             );
-
-            // Mark spawn time for burst behavior
-            miniEnemy.spawnBurstTime = performance.now() / 1000;
-
-            // Slightly smaller scale that grows
-            miniEnemy.scale = 0.8;
-
-            spawnedEnemies.push(miniEnemy);
+            copy.scaleStats(this.spawnMultipliers);
+            copy.spawnMultipliers = this.spawnMultipliers;
+            copy.maxHealth = Math.max(1, Math.round(copy.maxHealth * healthFraction));
+            copy.health = copy.maxHealth;
+            copy.xpValue = Math.ceil(copy.xpValue * healthFraction);
+
+            // Outward burst, growing to full size
+            copy.velocity = new Vector2D(Math.cos(angle) * burstSpeed, Math.sin(angle) * burstSpeed);
+            copy.spawnBurstTime = this.clock.now();
+            copy.scale = 0.8;
+
+            copies.push(copy);
         }
 
-        return spawnedEnemies;
+        return copies;
     }
 
     /**
      * Applies damage to the enemy
+     * Armor affixes and a nearby shielding elite reduce it, then behavior state such as a
+     * firewall shield soaks up what it can; the damage actually taken is kept in
+     * lastDamageTaken and the part the shield absorbed in lastShieldAbsorbed
      * @param {number} amount - Amount of damage to apply
      * @returns {boolean} True if enemy died from this damage
      */
@@ -323,10 +445,24 @@ export class Enemy {
             return false;
         }
 
+        for (const affix of this.affixes) {
+            if (affix.modifyDamageTaken) amount = affix.modifyDamageTaken(this, amount, affix);
+        }
+        amount *= 1 - this.shieldReduction;
+
+        // Behavior state (a firewall shield) soaks up damage before health
+        let absorbed = 0;
+        for (const id of Object.keys(this.behaviorState)) {
+            const behavior = getBehavior(id);
+            if (behavior.absorbDamage) absorbed += behavior.absorbDamage(this, this.behaviorState[id], amount - absorbed);
+        }
+        amount -= absorbed;
+
         this.health -= amount;
         this.damaged = true;
         this.damageFlashTimer = 0.1; // 100ms flash
         this.lastDamageTaken = amount; // Track for damage numbers
+        this.lastShieldAbsorbed = absorbed;
 
         if (this.health <= 0) {
             this.health = 0;
@@ -337,6 +473,20 @@ export class Enemy {
         return false;
     }
 
+    /**
+     * Checks whether a hit is stopped by one of the enemy's behaviors (frontal armor)
+     * @param {{x: number, y: number}} travel - Direction the projectile was moving (any length)
+     * @returns {boolean} True if a behavior blocks the hit
+     */
+    blocksHit(travel) {
+        if (this.dying) return false;
+
+        for (const { behavior, params } of this.behaviors) {
+            if (behavior.blocksHit && behavior.blocksHit(this, params, travel)) return true;
+        }
+        return false;
+    }
+
     /**
      * Starts the death animation sequence
      * Enemy stays visible during this time for visual feedback
@@ -70,7 +70,7 @@ export class Mine {
      * Updates the mine each frame
      * @param {number} deltaTime - Time since last frame in seconds
      * @param {Array} enemies - Array of enemy entities for proximity check
-     * @returns {Object|null} Explosion data if mine exploded, null otherwise
+     * @returns {Explosion|null} Explosion data if mine exploded, null otherwise
      */
     update(deltaTime, enemies) {
         if (!this.alive || this.exploded) {
@@ -108,7 +108,7 @@ export class Mine {
 
                 if (dist <= this.explosionRadius) {
                     // Trigger explosion!
-                    return this.explode(enemies);
+                    return this.explode();
                 }
             }
         }
@@ -118,36 +118,20 @@ export class Mine {
 
     /**
      * Triggers mine explosion
-     * @param {Array} enemies - All enemies to check for blast damage
-     * @returns {Object} Explosion data with affected enemies
+     * The blast itself (who gets hit, particles) is handled by the Simulation's shared explosion path
+     * @returns {Explosion} Explosion data
      */
-    explode(enemies) {
+    explode() {
         this.exploded = true;
         this.alive = false;
 
-        const affectedEnemies = [];
-
-        // Find all enemies within explosion radius
-        for (const enemy of enemies) {
-            if (!enemy.alive || enemy.health <= 0) continue;
-
-            const dx = enemy.position.x - this.position.x;
-            const dy = enemy.position.y - this.position.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-
-            if (dist <= this.explosionRadius) {
-                affectedEnemies.push({
-                    enemy,
-                    distance: dist
-                });
-            }
-        }
-
         return {
             position: { x: this.position.x, y: this.position.y },
             damage: this.damage,
             radius: this.explosionRadius,
-            affectedEnemies
+            source: 'mine',
+            effect: 'MINE_EXPLOSION',
+            colors: { fill: '#FF00FF', ring: '#FF88FF' }
         };
     }
 
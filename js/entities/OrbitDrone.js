@@ -28,6 +28,12 @@ export class OrbitDrone {
         /** @type {Vector2D} Current position (calculated from player + orbit) */
         this.position = new Vector2D(0, 0);
 
+        /** @type {number|undefined} X position at the previous simulation tick (for render interpolation) */
+        this.prevX = undefined;
+
+        /** @type {number|undefined} Y position at the previous simulation tick (for render interpolation) */
+        this.prevY = undefined;
+
         /** @type {number} Current orbit angle in radians */
         this.angle = (Math.PI * 2 / totalDrones) * droneIndex;
 
@@ -16,24 +16,30 @@ export class Pickup {
      * Creates a new Pickup
      * @param {number} x - X position
      * @param {number} y - Y position
-     * @param {string} type - Pickup type ('xp', 'health')
+     * @param {string} type - Pickup type ('xp', 'health', 'cache')
      * @param {number} value - Value of the pickup
      */
     constructor(x, y, type, value) {
         /** @type {string} Entity type identifier */
         this.type = 'pickup';
 
-        /** @type {string} Pickup type (xp, health) */
+        /** @type {string} Pickup type (xp, health, cache) */
         this.pickupType = type;
 
         /** @type {Vector2D} Current position */
         this.position = new Vector2D(x, y);
 
+        /** @type {number} X position at the previous simulation tick (for render interpolation) */
+        this.prevX = x;
+
+        /** @type {number} Y position at the previous simulation tick (for render interpolation) */
+        this.prevY = y;
+
         /** @type {number} Value of this pickup */
         this.value = value;
 
         /** @type {number} Collision radius */
-        this.radius = value > 5 ? 10 : 6;
+        this.radius = type === 'cache' ? 12 : value > 5 ? 10 : 6;
 
         /** @type {number} Magnetic pull radius */
         this.magnetRadius = 50;
@@ -119,4 +125,14 @@ export class Pickup {
     static createHealthPickup(x, y, value) {
         return new Pickup(x, y, 'health', value);
     }
+
+    /**
+     * Factory method to create an upgrade cache (boss reward - grants a free upgrade pick)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {Pickup} New cache pickup
+     */
+    static createCache(x, y) {
+        return new Pickup(x, y, 'cache', 1);
+    }
 }
@@ -27,6 +27,12 @@ export class Player {
         /** @type {Vector2D} Current position */
         this.position = new Vector2D(x, y);
 
+        /** @type {number} X position at the previous simulation tick (for render interpolation) */
+        this.prevX = x;
+
+        /** @type {number} Y position at the previous simulation tick (for render interpolation) */
+        this.prevY = y;
+
         /** @type {Vector2D} Current velocity */
         this.velocity = new Vector2D(0, 0);
 
@@ -230,6 +236,8 @@ export class Player {
      */
     reset(x, y) {
         this.position.set(x, y);
+        this.prevX = x;
+        this.prevY = y;
         this.velocity.set(0, 0);
         this.health = this.maxHealth;
         this.invulnerable = false;
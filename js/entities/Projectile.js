@@ -29,6 +29,12 @@ export class Projectile {
         /** @type {Vector2D} Current position */
         this.position = new Vector2D(x, y);
 
+        /** @type {number} X position at the previous simulation tick (for render interpolation) */
+        this.prevX = x;
+
+        /** @type {number} Y position at the previous simulation tick (for render interpolation) */
+        this.prevY = y;
+
         /** @type {Vector2D} Starting position (for range calculation) */
         this.startPosition = new Vector2D(x, y);
 
@@ -175,13 +181,14 @@ export class Projectile {
     }
 
     /**
-     * Finds the nearest enemy within lock-on radius
+     * Finds the nearest enemy within lock-on radius (support enemies count as closer,
+     * see Enemy.targetPriority)
      * @param {Array} enemies - Array of enemy entities
      * @returns {Object|null} Nearest enemy or null if none in range
      */
     findNearestEnemy(enemies) {
         let nearest = null;
-        let minDist = this.lockOnRadius;
+        let minDist = Infinity;
 
         for (const enemy of enemies) {
             if (!enemy.alive || enemy.health <= 0) continue;
@@ -189,9 +196,11 @@ export class Projectile {
             const dx = enemy.position.x - this.position.x;
             const dy = enemy.position.y - this.position.y;
             const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist >= this.lockOnRadius) continue;
 
-            if (dist < minDist) {
-                minDist = dist;
+            const weighted = dist / enemy.targetPriority;
+            if (weighted < minDist) {
+                minDist = weighted;
                 nearest = enemy;
             }
         }
@@ -1,36 +1,34 @@
 /**
  * Main Entry Point
  * Initializes and starts the game
+ * The browser Game wraps the headless Simulation with input, rendering and UI screens
  * @module main
  */
 
 import { GameLoop } from './core/GameLoop.js';
-import { Camera } from './core/Camera.js';
 import { GAME_STATE } from './core/GameState.js';
-import { Player } from './entities/Player.js';
-import { DamageNumber } from './entities/DamageNumber.js';
+import { StateManager } from './core/StateManager.js';
+import { PlayingState } from './core/PlayingState.js';
+import { Simulation } from './core/Simulation.js';
 import { InputSystem } from './systems/InputSystem.js';
 import { RenderSystem } from './systems/RenderSystem.js';
-import { SpawnSystem } from './systems/SpawnSystem.js';
-import { CollisionSystem } from './systems/CollisionSystem.js';
-import { WeaponSystem } from './systems/WeaponSystem.js';
-import { ExperienceSystem } from './systems/ExperienceSystem.js';
-import { EffectSystem } from './systems/EffectSystem.js';
-import { ParticleSystem } from './systems/ParticleSystem.js';
 import { ASCIIRenderer } from './renderers/ASCIIRenderer.js';
 import { LevelUpUI } from './ui/LevelUpUI.js';
 import { TitleScreen } from './ui/TitleScreen.js';
 import { PauseScreen } from './ui/PauseScreen.js';
 import { GameOverScreen } from './ui/GameOverScreen.js';
+import { VictoryScreen } from './ui/VictoryScreen.js';
 import { DebugUI } from './ui/DebugUI.js';
 import { GAME_CONFIG } from './config/GameConfig.js';
-import { createWeapon } from './config/WeaponConfig.js';
-import { EFFECT_PRESETS } from './config/EffectConfig.js';
-import { ENEMY_TYPES } from './config/EnemyConfig.js';
 import { getPassiveConfig } from './config/PassiveConfig.js';
+import { getGameMode } from './config/GameModeConfig.js';
+import { RNG, createSeed } from './utils/Random.js';
+import { ReplayPlayer } from './core/Replay.js';
+import { createSave, validateSave, restoreSave } from './core/SaveGame.js';
+import { createRecords, isValidRecords, recordRun, RUN_OUTCOME } from './core/RunRecords.js';
 
 /**
- * Main game class that coordinates all systems
+ * Browser game shell - feeds keyboard input into the Simulation and draws it
  */
 class Game {
     /**
@@ -52,13 +50,6 @@ class Game {
         this.canvas.width = GAME_CONFIG.CANVAS_WIDTH;
         this.canvas.height = GAME_CONFIG.CANVAS_HEIGHT;
 
-        // Initialize player at center of WORLD (not canvas)
-        /** @type {Player} */
-        this.player = new Player(
-            GAME_CONFIG.WORLD.WIDTH / 2,
-            GAME_CONFIG.WORLD.HEIGHT / 2
-        );
-
         // Initialize systems
         /** @type {InputSystem} */
         this.inputSystem = new InputSystem();
@@ -70,78 +61,59 @@ class Game {
         /** @type {RenderSystem} */
         this.renderSystem = new RenderSystem(this.renderer);
 
-        /** @type {SpawnSystem} */
-        this.spawnSystem = new SpawnSystem(this.canvas.width, this.canvas.height);
+        /** @type {LevelUpUI} */
+        this.levelUpUI = new LevelUpUI(this);
+
+        // Headless gameplay core - owns the player, game state and gameplay systems
+        /** @type {Simulation} */
+        this.simulation = new Simulation({
+            viewportWidth: this.canvas.width,
+            viewportHeight: this.canvas.height,
+            onLevelUp: this.handleLevelUp.bind(this)
+        });
 
-        /** @type {CollisionSystem} */
-        this.collisionSystem = new CollisionSystem();
+        /** @type {string} Game mode new runs start in (changed on the title screen) */
+        this.selectedMode = GAME_CONFIG.MODE;
 
-        /** @type {WeaponSystem} */
-        this.weaponSystem = new WeaponSystem();
+        /** @type {number} Seconds of play since the last autosave */
+        this.autosaveTimer = 0;
 
-        // Give player starting weapon (Magic Wand only - other weapons via level up)
-        const startingWeapon = createWeapon('magic_wand');
-        if (startingWeapon) {
-            this.player.weapons.push(startingWeapon);
-        }
+        /** @type {Object} Per-mode deaths, victories and bests across runs */
+        this.records = this.readRecords();
 
-        /** @type {ExperienceSystem} */
-        this.experienceSystem = new ExperienceSystem(this.handleLevelUp.bind(this));
+        /** @type {Object|null} Records the last recorded run beat (for the end screens) */
+        this.lastRunResult = null;
 
-        /** @type {EffectSystem} */
-        this.effectSystem = new EffectSystem();
+        // Game states - the active (top) state gets updates and input
+        /** @type {StateManager} */
+        this.stateManager = new StateManager();
 
-        /** @type {ParticleSystem} */
-        this.particleSystem = new ParticleSystem(500);
+        /** @type {PlayingState} */
+        this.playingState = new PlayingState(this);
 
-        /** @type {LevelUpUI} */
-        this.levelUpUI = new LevelUpUI(this.canvas);
-
-        // Camera - follows player through the world
-        /** @type {Camera} */
-        this.camera = new Camera(this.canvas.width, this.canvas.height);
-        this.camera.centerOn(this.player.position);
-
-        // Game state
-        /** @type {Object} */
-        this.gameState = {
-            player: this.player,
-            enemies: [],
-            projectiles: [],
-            pickups: [],
-            particles: [],
-            damageNumbers: [],
-            orbitDrones: [],
-            activeMines: [],
-            enemyProjectiles: []  // Projectiles fired by enemies (rangers)
-        };
-
-        // Game state management
-        /** @type {string} Current game state */
-        this.currentState = GAME_STATE.TITLE;
-
-        /** @type {number} Total game time in seconds */
-        this.gameTime = 0;
-
-        /** @type {number} Total enemies killed */
-        this.killCount = 0;
-
-        // UI Screens
         /** @type {TitleScreen} */
-        this.titleScreen = new TitleScreen();
+        this.titleScreen = new TitleScreen(this, this.getSavedRunSummary());
 
         /** @type {PauseScreen} */
-        this.pauseScreen = new PauseScreen();
+        this.pauseScreen = new PauseScreen(this);
 
         /** @type {GameOverScreen} */
-        this.gameOverScreen = new GameOverScreen();
+        this.gameOverScreen = new GameOverScreen(this);
+
+        /** @type {VictoryScreen} */
+        this.victoryScreen = new VictoryScreen(this);
+
+        this.stateManager.push(this.titleScreen);
 
         /** @type {DebugUI} */
         this.debugUI = new DebugUI(this.canvas);
 
-        // Create game loop with update callback
+        // Create game loop with fixed-tick update and per-frame render callbacks
         /** @type {GameLoop} */
-        this.gameLoop = new GameLoop(this.update.bind(this));
+        this.gameLoop = new GameLoop(this.update.bind(this), this.render.bind(this));
+
+        // Save the run when the tab is closed or hidden
+        window.addEventListener('pagehide', () => this.saveRun());
 
         // Expose game instance to window for debug UI
         window.game = this;
@@ -151,423 +123,27 @@ class Game {
     }
 
     /**
-     * Main update function called every frame
-     * @param {number} deltaTime - Time since last frame in seconds
+     * Main update function called once per fixed simulation tick
+     * Rendering happens separately in render()
+     * @param {number} deltaTime - Fixed tick duration in seconds
      */
     update(deltaTime) {
-        // Handle different game states
-        switch (this.currentState) {
-            case GAME_STATE.TITLE:
-                this.titleScreen.update(deltaTime);
-                // Check for SPACE key to start game
-                if (this.inputSystem.isKeyPressed('Space')) {
-                    this.inputSystem.pressedKeys.delete('Space'); // Consume key
-                    this.startGame();
-                }
-                // Render title screen
-                this.titleScreen.render(this.ctx, this.canvas.width, this.canvas.height);
-                this.debugUI.render(this); // Debug UI also on title
-                return; // Don't run game logic
-
-            case GAME_STATE.PAUSED:
-                this.pauseScreen.update(deltaTime);
-                // Check for ESC to resume
-                if (this.inputSystem.isKeyPressed('Escape')) {
-                    this.inputSystem.pressedKeys.delete('Escape'); // Consume key
-                    this.resumeGame();
-                }
-                // Check for R to restart
-                if (this.inputSystem.isKeyPressed('KeyR')) {
-                    this.inputSystem.pressedKeys.delete('KeyR'); // Consume key
-                    this.restart();
-                }
-                // Render frozen game state + pause overlay
-                {
-                    const pausedRenderState = {
-                        ...this.gameState,
-                        particles: this.particleSystem.getParticles(),
-                        garlicAura: this.weaponSystem.getGarlicAura(this.player)
-                    };
-                    this.renderSystem.render(this.ctx, this.camera.getPosition(), pausedRenderState);
-                    this.drawHUD();
-                    this.pauseScreen.render(this.ctx, this.canvas.width, this.canvas.height, {
-                        level: this.player.level,
-                        time: this.gameTime
-                    });
-                }
-                return; // Don't run game logic
-
-            case GAME_STATE.GAME_OVER:
-                this.gameOverScreen.update(deltaTime);
-                // Check for R to restart run (go directly to playing)
-                if (this.inputSystem.isKeyPressed('KeyR')) {
-                    this.inputSystem.pressedKeys.delete('KeyR'); // Consume key
-                    this.restartRun();
-                }
-                // Check for SPACE to return to title
-                if (this.inputSystem.isKeyPressed('Space')) {
-                    this.inputSystem.pressedKeys.delete('Space'); // Consume key
-                    this.returnToTitle();
-                }
-                // Render death state + game over overlay
-                {
-                    const gameOverRenderState = {
-                        ...this.gameState,
-                        particles: this.particleSystem.getParticles(),
-                        garlicAura: this.weaponSystem.getGarlicAura(this.player)
-                    };
-                    this.renderSystem.render(this.ctx, this.camera.getPosition(), gameOverRenderState);
-                    this.gameOverScreen.render(this.ctx, this.canvas.width, this.canvas.height, {
-                        level: this.player.level,
-                        time: this.gameTime,
-                        kills: this.killCount
-                    });
-                }
-                return; // Don't run game logic
-
-            case GAME_STATE.PLAYING:
-                // Continue to game logic below
-                break;
-        }
-
-        // === PLAYING STATE - Game Logic ===
-
-        // Check for ESC to pause
-        if (this.inputSystem.isKeyPressed('Escape')) {
-            this.inputSystem.pressedKeys.delete('Escape'); // Consume key
-            this.pauseGame();
-            return;
-        }
-
-        // Track game time
-        this.gameTime += deltaTime;
-
-        // Skip game updates during level-up (pause effect)
-        if (this.experienceSystem.isLevelingUp) {
-            this.renderSystem.render(this.ctx, this.camera.getPosition(), this.gameState);
-            this.levelUpUI.render();
-            return;
-        }
-
-        // 1. Get input
-        const inputVector = this.inputSystem.getMovementVector();
-
-        // 2. Update player (using WORLD bounds, not canvas)
-        this.player.update(
-            deltaTime,
-            inputVector,
-            GAME_CONFIG.WORLD.WIDTH,
-            GAME_CONFIG.WORLD.HEIGHT
-        );
-
-        // 2b. Apply passive health regeneration
-        this.player.applyRegeneration(deltaTime);
-
-        // 3. Update camera to follow player
-        this.camera.update(this.player.position, deltaTime);
-
-        // 4. Spawn enemies (at camera edges)
-        const newEnemies = this.spawnSystem.update(deltaTime, this.gameState.enemies, this.camera);
-        this.gameState.enemies.push(...newEnemies);
-
-        // 4. Update enemies (pass gameState for ranger projectile firing)
-        for (const enemy of this.gameState.enemies) {
-            if (enemy.alive) {
-                enemy.update(deltaTime, this.player.position, this.gameState);
-            }
-        }
-
-        // 4b. Update enemy projectiles (movement and expiration)
-        this.gameState.enemyProjectiles = this.gameState.enemyProjectiles.filter(proj => {
-            proj.lifetime += deltaTime;
-            proj.position.x += proj.velocity.x * deltaTime;
-            proj.position.y += proj.velocity.y * deltaTime;
-
-            // Remove if expired
-            return proj.lifetime < proj.maxLifetime;
-        });
-
-        // 5. Update weapons and projectiles
-        const weaponResult = this.weaponSystem.update(
-            deltaTime,
-            this.player,
-            this.gameState.enemies,
-            this.gameState.projectiles
-        );
-        this.gameState.projectiles.push(...weaponResult.newProjectiles);
-        // Update orbit drones reference from weapon system
-        this.gameState.orbitDrones = weaponResult.orbitDrones || [];
-        // Update active mines from weapon system
-        this.gameState.activeMines = weaponResult.activeMines || [];
-
-        // 5b. Handle mine explosions (damage enemies and spawn effects)
-        for (const explosion of weaponResult.mineExplosions || []) {
-            // Damage all enemies in blast radius
-            for (const hit of explosion.affectedEnemies) {
-                hit.enemy.takeDamage(explosion.damage);
-                hit.enemy.lastDamageTaken = explosion.damage;
-
-                // Damage number (magenta for mines)
-                const dmgNum = new DamageNumber();
-                const offsetX = (Math.random() - 0.5) * 30;
-                const offsetY = -5 - Math.random() * 10;
-                dmgNum.init(
-                    hit.enemy.position.x + offsetX,
-                    hit.enemy.position.y + offsetY,
-                    Math.ceil(explosion.damage)
-                );
-                dmgNum.color = '#FF00FF'; // Magenta for mine explosion
-                this.gameState.damageNumbers.push(dmgNum);
-
-                // Apply hit effect
-                this.effectSystem.applyPreset(
-                    EFFECT_PRESETS.ENEMY_HIT,
-                    hit.enemy,
-                    this.particleSystem
-                );
-            }
-
-            // Spawn circular explosion effect - fill blast radius with particles
-            const particleCount = 40; // Number of particles in explosion
-            const radius = explosion.radius;
-
-            for (let i = 0; i < particleCount; i++) {
-                // Random position within circle (uniform distribution)
-                const angle = Math.random() * Math.PI * 2;
-                const dist = Math.sqrt(Math.random()) * radius; // sqrt for uniform distribution
-                const px = explosion.position.x + Math.cos(angle) * dist;
-                const py = explosion.position.y + Math.sin(angle) * dist;
-
-                this.particleSystem.spawn(px, py, {
-                    count: 1,
-                    color: '#FF00FF',
-                    speed: [5, 20], // Very slow - mostly stationary
-                    lifetime: 0.5,
-                    spread: 360,
-                    size: 14,
-                    char: '*'
-                });
-            }
-
-            // Also spawn ring outline particles for extra effect
-            const ringCount = 20;
-            for (let i = 0; i < ringCount; i++) {
-                const angle = (i / ringCount) * Math.PI * 2;
-                const px = explosion.position.x + Math.cos(angle) * radius;
-                const py = explosion.position.y + Math.sin(angle) * radius;
-
-                this.particleSystem.spawn(px, py, {
-                    count: 1,
-                    color: '#FF88FF',
-                    speed: [30, 60],
-                    lifetime: 0.4,
-                    direction: angle * (180 / Math.PI), // Outward
-                    spread: 30,
-                    size: 12,
-                    char: '*'
-                });
-            }
-        }
-
-        // 5b. Handle garlic aura hits (damage numbers + effects)
-        for (const hit of weaponResult.auraHits) {
-            // Damage number for aura damage (green tint for garlic)
-            const dmgNum = new DamageNumber();
-            const offsetX = (Math.random() - 0.5) * 30;
-            const offsetY = -5 - Math.random() * 10;
-            dmgNum.init(
-                hit.enemy.position.x + offsetX,
-                hit.enemy.position.y + offsetY,
-                Math.ceil(hit.damage)
-            );
-            dmgNum.color = '#90EE90'; // Light green for garlic
-            this.gameState.damageNumbers.push(dmgNum);
-
-            // Apply hit effect (smaller than projectile hit)
-            this.effectSystem.scalePulse(hit.enemy, 0.08, 1.1);
-        }
-
-        // 6. Check collisions (includes projectile-enemy and drone-enemy)
-        const collisionResults = this.collisionSystem.update(this.gameState);
-
-        // 6b2. Handle drone hit effects
-        for (const hit of collisionResults.droneHits) {
-            // Damage number for drone damage (cyan tint)
-            const dmgNum = new DamageNumber();
-            const offsetX = (Math.random() - 0.5) * 30;
-            const offsetY = -5 - Math.random() * 10;
-            dmgNum.init(
-                hit.enemy.position.x + offsetX,
-                hit.enemy.position.y + offsetY,
-                Math.ceil(hit.damage)
-            );
-            dmgNum.color = '#00FFFF'; // Cyan for drone
-            this.gameState.damageNumbers.push(dmgNum);
-
-            // Apply ENEMY_HIT effects (same as projectile hits)
-            this.effectSystem.applyPreset(
-                EFFECT_PRESETS.ENEMY_HIT,
-                hit.enemy,
-                this.particleSystem
-            );
-        }
-
-        // 6b. Spawn damage numbers and effects for enemies hit
-        for (const enemy of collisionResults.enemiesHit) {
-            // Damage number
-            const dmgNum = new DamageNumber();
-            const offsetX = (Math.random() - 0.5) * 50;
-            const offsetY = -5 - Math.random() * 15;
-            dmgNum.init(
-                enemy.position.x + offsetX,
-                enemy.position.y + offsetY,
-                Math.ceil(enemy.lastDamageTaken || 5)
-            );
-            this.gameState.damageNumbers.push(dmgNum);
-
-            // Apply ENEMY_HIT effects (scale pulse, flash, particles)
-            this.effectSystem.applyPreset(
-                EFFECT_PRESETS.ENEMY_HIT,
-                enemy,
-                this.particleSystem
-            );
-        }
-        // 7. Start death animation for newly killed enemies (health <= 0 but not yet dying)
-        const newlyKilledEnemies = this.gameState.enemies.filter(e => e.health <= 0 && !e.dying && e.alive);
-        for (const enemy of newlyKilledEnemies) {
-            // Start death animation (enemy stays visible during this)
-            enemy.startDeathAnimation();
-
-            // Apply ENEMY_DEATH effects (flash, scale during death)
-            this.effectSystem.applyPreset(
-                EFFECT_PRESETS.ENEMY_DEATH,
-                enemy,
-                this.particleSystem
-            );
-        }
+        // Replay shortcuts work in every state
+        this.handleReplayKeys();
 
-        // 7b. Update dying enemies and handle death completion
-        for (const enemy of this.gameState.enemies) {
-            if (enemy.dying) {
-                const deathComplete = enemy.updateDeathAnimation(deltaTime);
-
-                if (deathComplete) {
-                    // Death animation finished - spawn XP and effects
-                    const pickups = this.experienceSystem.spawnPickupsFromEnemy(enemy);
-                    this.gameState.pickups.push(...pickups);
-
-                    // Handle swarm spawn-on-death
-                    if (enemy.spawnOnDeath) {
-                        // Spawn minion enemies
-                        const minions = enemy.spawnMinions(this.gameState, ENEMY_TYPES);
-                        this.gameState.enemies.push(...minions);
-
-                        // Purple particle burst for swarm death
-                        this.particleSystem.spawn(enemy.position.x, enemy.position.y, {
-                            count: 12,
-                            color: '#9900FF',
-                            speed: [60, 120],
-                            lifetime: 0.5,
-                            spread: 360,
-                            size: 14,
-                            char: '*'
-                        });
-                    }
-                }
-            }
-        }
-
-        // 8. Remove dead entities (alive=false after death animation completes) and track kills
-        const enemyCountBefore = this.gameState.enemies.length;
-        this.gameState.enemies = this.gameState.enemies.filter(e => e.alive);
-        const enemiesKilled = enemyCountBefore - this.gameState.enemies.length;
-        this.killCount += enemiesKilled;
-        this.gameState.projectiles = this.gameState.projectiles.filter(p => p.alive);
-
-        // 9. Update XP/pickups (handles collection and level-up)
-        this.experienceSystem.update(deltaTime, this.player, this.gameState.pickups);
-        this.gameState.pickups = this.gameState.pickups.filter(p => p.alive);
-
-        // 9b. Update damage numbers
-        for (const dmgNum of this.gameState.damageNumbers) {
-            dmgNum.update(deltaTime);
-        }
-        this.gameState.damageNumbers = this.gameState.damageNumbers.filter(d => d.alive);
-
-        // 9c. Update effects and particles
-        this.effectSystem.update(deltaTime);
-        this.particleSystem.update(deltaTime);
-
-        // 10. Check game over
-        if (!this.player.isAlive()) {
-            this.currentState = GAME_STATE.GAME_OVER;
-            console.log('Game Over!');
-        }
-
-        // 11. Render based on current state
-        switch (this.currentState) {
-            case GAME_STATE.TITLE:
-                this.titleScreen.render(this.ctx, this.canvas.width, this.canvas.height);
-                break;
-
-            case GAME_STATE.PAUSED:
-                // Render game first (frozen state)
-                const pausedRenderState = {
-                    ...this.gameState,
-                    particles: this.particleSystem.getParticles(),
-                    garlicAura: this.weaponSystem.getGarlicAura(this.player)
-                };
-                this.renderSystem.render(this.ctx, this.camera.getPosition(), pausedRenderState);
-                this.drawHUD();
-                // Then overlay pause screen
-                this.pauseScreen.render(this.ctx, this.canvas.width, this.canvas.height, {
-                    level: this.player.level,
-                    time: this.gameTime
-                });
-                break;
-
-            case GAME_STATE.GAME_OVER:
-                // Render game first (death state)
-                const gameOverRenderState = {
-                    ...this.gameState,
-                    particles: this.particleSystem.getParticles(),
-                    garlicAura: this.weaponSystem.getGarlicAura(this.player)
-                };
-                this.renderSystem.render(this.ctx, this.camera.getPosition(), gameOverRenderState);
-                // Then overlay game over screen
-                this.gameOverScreen.render(this.ctx, this.canvas.width, this.canvas.height, {
-                    level: this.player.level,
-                    time: this.gameTime,
-                    kills: this.killCount
-                });
-                break;
-
-            case GAME_STATE.PLAYING:
-            default:
-                // Normal gameplay rendering
-                const renderState = {
-                    ...this.gameState,
-                    particles: this.particleSystem.getParticles(),
-                    garlicAura: this.weaponSystem.getGarlicAura(this.player)
-                };
-                this.renderSystem.render(this.ctx, this.camera.getPosition(), renderState);
-
-                // Draw HUD or level-up UI
-                if (this.experienceSystem.isLevelingUp) {
-                    this.levelUpUI.render();
-                } else {
-                    this.drawHUD();
-                }
+        // Only the active state runs (and reads input); states beneath it stay frozen
+        this.stateManager.update(deltaTime);
+    }
 
-                // Draw debug UI (always on top)
-                this.debugUI.render(this);
-                break;
-        }
+    /**
+     * Main render function called once per display frame
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks (0-1)
+     */
+    render(alpha) {
+        this.stateManager.render(alpha);
 
-        // 13. Draw debug info if enabled
-        if (GAME_CONFIG.DEBUG.SHOW_HITBOXES) {
-            this.renderSystem.renderDebug(this.ctx, this.camera.getPosition(), this.gameState);
-        }
+        // Draw debug UI (always on top)
+        this.debugUI.render(this);
     }
 
     /**
@@ -575,6 +151,8 @@ class Game {
      * @private
      */
     drawHUD() {
+        const player = this.simulation.player;
+
         this.ctx.save();
 
         this.ctx.font = GAME_CONFIG.FONTS.HUD;
@@ -586,9 +164,9 @@ class Game {
             const fps = this.gameLoop.getFPS();
             this.ctx.fillStyle = '#ffffff';
             this.ctx.fillText(`FPS: ${fps}`, 10, 10);
-            this.ctx.fillText(`Enemies: ${this.gameState.enemies.length}`, 10, 26);
-            this.ctx.fillText(`Projectiles: ${this.gameState.projectiles.length}`, 10, 42);
-            this.ctx.fillText(`Time: ${this.spawnSystem.getFormattedTime()}`, 10, 58);
+            this.ctx.fillText(`Enemies: ${this.simulation.gameState.enemies.length}`, 10, 26);
+            this.ctx.fillText(`Projectiles: ${this.simulation.gameState.projectiles.length}`, 10, 42);
+            this.ctx.fillText(`Time: ${this.simulation.spawnSystem.getFormattedTime()}`, 10, 58);
 
             // Show god mode indicator
             if (GAME_CONFIG.DEBUG.GOD_MODE) {
@@ -599,13 +177,14 @@ class Game {
             // Show player position in world
             this.ctx.fillStyle = '#888888';
             this.ctx.fillText(
-                `Pos: ${Math.floor(this.player.position.x)}, ${Math.floor(this.player.position.y)}`,
+                `Pos: ${Math.floor(player.position.x)}, ${Math.floor(player.position.y)}`,
                 10, 90
             );
+            this.ctx.fillText(`Seed: ${RNG.seed}`, 10, 106);
         }
 
         // Health bar (top-center)
-        const healthPercent = this.player.getHealthPercent();
+        const healthPercent = player.getHealthPercent();
         const barWidth = 200;
         const barHeight = 16;
         const barX = (this.canvas.width - barWidth) / 2;
@@ -625,17 +204,17 @@ class Game {
         this.ctx.strokeRect(barX, barY, barWidth, barHeight);
 
         // Health text (show effective max health with passive bonuses)
-        const effectiveMaxHealth = this.player.getEffectiveMaxHealth();
+        const effectiveMaxHealth = player.getEffectiveMaxHealth();
         this.ctx.fillStyle = '#ffffff';
         this.ctx.textAlign = 'center';
         this.ctx.fillText(
-            `HP: ${Math.ceil(this.player.health)}/${effectiveMaxHealth}`,
+            `HP: ${Math.ceil(player.health)}/${effectiveMaxHealth}`,
             this.canvas.width / 2,
             barY + barHeight + 4
         );
 
         // XP bar (below health bar)
-        const xpProgress = this.experienceSystem.getXPProgress(this.player);
+        const xpProgress = this.simulation.experienceSystem.getXPProgress(player);
         const xpBarY = barY + barHeight + 24;
         const xpBarHeight = 10;
 
@@ -656,18 +235,52 @@ class Game {
         this.ctx.font = '12px monospace';
         this.ctx.fillStyle = '#00ffff';
         this.ctx.textAlign = 'left';
-        this.ctx.fillText(`Lv.${this.player.level}`, barX + barWidth + 10, xpBarY + 2);
+        this.ctx.fillText(`Lv.${player.level}`, barX + barWidth + 10, xpBarY + 2);
 
         // Kill count and Time (bottom left)
         this.ctx.font = '14px monospace';
         this.ctx.fillStyle = '#ffffff';
         this.ctx.textAlign = 'left';
-        const minutes = Math.floor(this.gameTime / 60);
-        const seconds = Math.floor(this.gameTime % 60);
+        const minutes = Math.floor(this.simulation.gameTime / 60);
+        const seconds = Math.floor(this.simulation.gameTime % 60);
         const timeStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-        this.ctx.fillText(`Time: ${timeStr}`, 15, this.canvas.height - 35);
+        const runLength = this.simulation.mode.runLength;
+        if (this.simulation.overtime) {
+            // Overtime: count up from the victory instead
+            const overtime = this.simulation.getOvertimeTime();
+            this.ctx.fillStyle = '#ffcc00';
+            this.ctx.fillText(
+                `Time: ${timeStr}  OT +${Math.floor(overtime / 60)}:${Math.floor(overtime % 60).toString().padStart(2, '0')}`,
+                15, this.canvas.height - 35
+            );
+        } else if (runLength > 0) {
+            const lengthStr = `${Math.floor(runLength / 60)}:${Math.floor(runLength % 60).toString().padStart(2, '0')}`;
+            this.ctx.fillText(`Time: ${timeStr} / ${lengthStr}`, 15, this.canvas.height - 35);
+        } else {
+            this.ctx.fillText(`Time: ${timeStr}`, 15, this.canvas.height - 35);
+        }
         this.ctx.fillStyle = '#ff6666';
-        this.ctx.fillText(`Kills: ${this.killCount}`, 15, this.canvas.height - 18);
+        this.ctx.fillText(`Kills: ${this.simulation.killCount}`, 15, this.canvas.height - 18);
+
+        // Replay playback indicator
+        const playback = this.inputSystem.getPlaybackProgress();
+        if (playback) {
+            const tickRate = this.gameLoop.getTickRate();
+            const percent = Math.floor((playback.tick / playback.total) * 100);
+            this.ctx.fillStyle = '#ff00ff';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(
+                `▶ REPLAY ${Math.floor(playback.tick / tickRate)}s / ${Math.floor(playback.total / tickRate)}s (${percent}%)`,
+                this.canvas.width / 2, 70
+            );
+            this.ctx.textAlign = 'left';
+        }
+
+        // Map event warning (top-center)
+        this.drawMapEventWarning();
+
+        // Boss health bars (bottom-center)
+        this.drawBossBars();
 
         // Player Stats Panel (right side)
         this.drawPlayerStats();
@@ -675,11 +288,98 @@ class Game {
         this.ctx.restore();
     }
 
+    /**
+     * Draws the blinking warning for an upcoming map event, or the time left in a blackout
+     * @private
+     */
+    drawMapEventWarning() {
+        const mapEvents = this.simulation.spawnSystem.mapEvents;
+        const warning = mapEvents.getWarning();
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+
+        if (warning) {
+            // Blink four times a second
+            if (Math.floor(warning.timeLeft * 4) % 2 === 0) {
+                this.ctx.font = 'bold 20px monospace';
+                this.ctx.fillStyle = warning.event.color;
+                this.ctx.fillText(
+                    `⚠ ${warning.event.warning} ⚠  ${Math.ceil(warning.timeLeft)}`,
+                    this.canvas.width / 2, 95
+                );
+            }
+        } else if (mapEvents.blackout) {
+            this.ctx.font = '14px monospace';
+            this.ctx.fillStyle = '#8888FF';
+            this.ctx.fillText(`BLACKOUT ${Math.ceil(mapEvents.blackout.remaining)}s`, this.canvas.width / 2, 95);
+        }
+
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * Draws a health bar for every living boss, stacked up from the bottom-center
+     * Phase thresholds are marked on the bar
+     * @private
+     */
+    drawBossBars() {
+        const bosses = this.simulation.gameState.enemies.filter(e => e.bossConfig && e.alive && !e.dying);
+
+        const barWidth = 400;
+        const barHeight = 12;
+        const barX = (this.canvas.width - barWidth) / 2;
+
+        bosses.forEach((boss, i) => {
+            const barY = this.canvas.height - 30 - i * 36;
+            const phases = boss.bossConfig.phases;
+            const phase = phases[boss.phase];
+
+            // Name and phase
+            this.ctx.font = 'bold 14px monospace';
+            this.ctx.fillStyle = phase.color;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'bottom';
+            this.ctx.fillText(
+                `☠ ${boss.name.toUpperCase()} ☠  ${boss.phase + 1}/${phases.length}`,
+                this.canvas.width / 2,
+                barY - 3
+            );
+
+            // Background
+            this.ctx.fillStyle = '#330000';
+            this.ctx.fillRect(barX, barY, barWidth, barHeight);
+
+            // Health fill
+            this.ctx.fillStyle = phase.color;
+            this.ctx.fillRect(barX, barY, barWidth * boss.getHealthPercent(), barHeight);
+
+            // Phase threshold markers
+            this.ctx.strokeStyle = '#000000';
+            this.ctx.lineWidth = 2;
+            for (const { threshold } of phases.slice(1)) {
+                const markerX = barX + barWidth * threshold;
+                this.ctx.beginPath();
+                this.ctx.moveTo(markerX, barY);
+                this.ctx.lineTo(markerX, barY + barHeight);
+                this.ctx.stroke();
+            }
+
+            // Border
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(barX, barY, barWidth, barHeight);
+        });
+
+        this.ctx.textBaseline = 'top';
+    }
+
     /**
      * Draws player stats panel on the right side of the HUD
      * @private
      */
     drawPlayerStats() {
+        const player = this.simulation.player;
         const statsX = this.canvas.width - 150;
         const statsY = 10;
         const lineHeight = 14;
@@ -697,29 +397,29 @@ class Game {
         let y = statsY + lineHeight + 4;
 
         // Speed (with passive multiplier)
-        const speedMult = this.player.passiveStats?.speedMultiplier || 1;
-        const effectiveSpeed = Math.round(this.player.baseSpeed * speedMult);
+        const speedMult = player.passiveStats?.speedMultiplier || 1;
+        const effectiveSpeed = Math.round(player.baseSpeed * speedMult);
         this.ctx.fillText(`SPD: ${effectiveSpeed}`, statsX, y);
         y += lineHeight;
 
         // Max Health (with passive bonus)
-        const effectiveMaxHealth = this.player.getEffectiveMaxHealth();
+        const effectiveMaxHealth = player.getEffectiveMaxHealth();
         this.ctx.fillText(`HP:  ${effectiveMaxHealth}`, statsX, y);
         y += lineHeight;
 
         // Pickup radius (with passive bonus)
-        const effectivePickup = this.player.getEffectivePickupRadius();
+        const effectivePickup = player.getEffectivePickupRadius();
         this.ctx.fillText(`MAG: ${effectivePickup}`, statsX, y);
         y += lineHeight;
 
         // Damage multiplier (from passives)
-        const dmgMult = this.player.passiveStats?.damageMultiplier || 1;
+        const dmgMult = player.passiveStats?.damageMultiplier || 1;
         this.ctx.fillText(`DMG: ${Math.round(dmgMult * 100)}%`, statsX, y);
         y += lineHeight;
 
         // Cooldown multiplier (from passives) - show as Cooldown Reduction
         // passiveStats.cooldownMultiplier is e.g. -0.4 (40% reduction)
-        const cdr = -(this.player.passiveStats?.cooldownMultiplier || 0);
+        const cdr = -(player.passiveStats?.cooldownMultiplier || 0);
         const cdrPercent = Math.round(cdr * 100);
         // Cap visual display if needed, but showing actual value is good
         this.ctx.fillText(`CDR: ${cdrPercent}%`, statsX, y);
@@ -732,21 +432,21 @@ class Game {
 
         // List weapons
         this.ctx.fillStyle = '#88ff88';
-        for (const weapon of this.player.weapons) {
+        for (const weapon of player.weapons) {
             const lvlText = weapon.level > 1 ? ` Lv.${weapon.level}` : '';
             this.ctx.fillText(`${weapon.name}${lvlText}`, statsX, y);
             y += lineHeight;
         }
 
         // Passives header (if player has any)
-        if (this.player.passiveItems.length > 0) {
+        if (player.passiveItems.length > 0) {
             y += 6;
             this.ctx.fillStyle = '#ffff00';
             this.ctx.fillText('─ PASSIVES ─', statsX, y);
             y += lineHeight + 4;
 
             // List passives with their symbols
-            for (const passive of this.player.passiveItems) {
+            for (const passive of player.passiveItems) {
                 const config = getPassiveConfig(passive.id);
                 if (config) {
                     this.ctx.fillStyle = config.color;
@@ -780,8 +480,8 @@ class Game {
             this.ctx.lineWidth = 1;
             this.ctx.strokeRect(slotX, slotY, slotSize, slotSize);
 
-            if (i < this.player.weapons.length) {
-                const weapon = this.player.weapons[i];
+            if (i < player.weapons.length) {
+                const weapon = player.weapons[i];
                 // Resolve config to get symbol/color - weapon object should arguably have this, 
                 // but if it's dynamic we might need to look it up or ensure it's on the weapon instance.
                 // WeaponInstance usually copies from config. Let's assume weapon instance has it or we can find it.
@@ -830,8 +530,8 @@ class Game {
             this.ctx.lineWidth = 1;
             this.ctx.strokeRect(slotX, slotY, slotSize, slotSize);
 
-            if (i < this.player.passiveItems.length) {
-                const passive = this.player.passiveItems[i];
+            if (i < player.passiveItems.length) {
+                const passive = player.passiveItems[i];
                 const config = getPassiveConfig(passive.id);
 
                 if (config) {
@@ -851,113 +551,128 @@ class Game {
     }
 
     /**
-     * Handles game over state
+     * Handles level-up event - shows upgrade choices
+     * @param {Array} options - Available upgrade options
      * @private
      */
-    handleGameOver() {
-        this.gameLoop.pause();
+    handleLevelUp(options) {
+        this.stateManager.push(this.levelUpUI, {
+            options,
+            onSelect: (selectedIndex) => {
+                this.inputSystem.recordChoice(selectedIndex);
+                this.simulation.selectUpgrade(selectedIndex);
+            }
+        });
+    }
 
-        // Draw game over screen
-        this.ctx.save();
+    /**
+     * Ends the run - shows the game over screen over the final frame
+     */
+    showGameOver() {
+        // A level-up offered on the killing tick no longer matters
+        this.stateManager.remove(this.levelUpUI);
+        this.stateManager.push(this.gameOverScreen);
+        this.clearSave();
+        this.recordRunEnd(this.simulation.isVictorious() ? RUN_OUTCOME.OVERTIME : RUN_OUTCOME.DEATH);
+        console.log('Game Over!');
+    }
 
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    /**
+     * The run reached its length - shows the victory screen over the final frame
+     * A replay that went into overtime continues straight away
+     */
+    showVictory() {
+        // A level-up offered on the final tick stays underneath for overtime
+        this.clearSave();
+        this.recordRunEnd(RUN_OUTCOME.VICTORY);
 
-        this.ctx.font = '48px monospace';
-        this.ctx.fillStyle = '#ff0000';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillText('GAME OVER', this.canvas.width / 2, this.canvas.height / 2 - 30);
+        if (this.inputSystem.isPlayback() && this.inputSystem.replayTakesOvertime()) {
+            this.simulation.startOvertime();
+            return;
+        }
 
-        this.ctx.font = '20px monospace';
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.fillText(
-            `Survived: ${this.spawnSystem.getFormattedTime()}`,
-            this.canvas.width / 2,
-            this.canvas.height / 2 + 20
-        );
+        this.stateManager.push(this.victoryScreen);
+        console.log('Victory!');
+    }
 
-        this.ctx.font = '16px monospace';
-        this.ctx.fillText(
-            'Press R to restart',
-            this.canvas.width / 2,
-            this.canvas.height / 2 + 60
-        );
+    /**
+     * Continues the won run into overtime (from the victory screen)
+     */
+    startOvertime() {
+        if (!this.simulation.startOvertime()) {
+            return;
+        }
 
-        this.ctx.restore();
+        this.inputSystem.recordOvertime();
+        this.stateManager.remove(this.victoryScreen);
+        this.autosaveTimer = 0;
+        console.log('[Run] Overtime started');
+    }
 
-        // Listen for restart
-        const handleRestart = (e) => {
-            if (e.code === 'KeyR') {
-                window.removeEventListener('keydown', handleRestart);
-                this.restart();
-            }
-        };
-        window.addEventListener('keydown', handleRestart);
+    /**
+     * Abandons the current run (from the pause menu) - overtime reached still counts
+     */
+    abandonRun() {
+        if (this.simulation.overtime) {
+            this.recordRunEnd(RUN_OUTCOME.OVERTIME);
+        }
+        this.clearSave();
+        this.restart();
     }
 
     /**
-     * Handles level-up event - shows upgrade choices
-     * @param {Array} options - Available upgrade options
+     * Adds the current run to the records and stores them (replays aren't recorded)
+     * @param {string} outcome - RUN_OUTCOME value
      * @private
      */
-    handleLevelUp(options) {
-        this.levelUpUI.show(options, (selectedIndex) => {
-            this.experienceSystem.selectUpgrade(
-                selectedIndex,
-                this.player,
-                createWeapon
-            );
+    recordRunEnd(outcome) {
+        this.lastRunResult = null;
+        if (this.inputSystem.isPlayback()) {
+            return;
+        }
+
+        this.lastRunResult = recordRun(this.records, {
+            mode: this.simulation.mode.id,
+            outcome,
+            time: this.simulation.gameTime,
+            overtime: this.simulation.getOvertimeTime(),
+            kills: this.simulation.killCount
         });
+
+        try {
+            localStorage.setItem(GAME_CONFIG.SAVE.RECORDS_KEY, JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('[Records] Could not store run records:', error);
+        }
+    }
+
+    /**
+     * Reads the run records from localStorage
+     * @returns {Object} Stored records, or empty ones if there are none (or they're incompatible)
+     * @private
+     */
+    readRecords() {
+        try {
+            const records = JSON.parse(localStorage.getItem(GAME_CONFIG.SAVE.RECORDS_KEY));
+            if (isValidRecords(records)) {
+                return records;
+            }
+        } catch (error) {
+            console.warn('[Records] Could not read run records:', error);
+        }
+        return createRecords();
     }
 
     /**
      * Restarts the game
      */
     restart() {
-        // Reset player to center of WORLD
-        this.player.reset(
-            GAME_CONFIG.WORLD.WIDTH / 2,
-            GAME_CONFIG.WORLD.HEIGHT / 2
-        );
+        // Reset the world (player, entities, systems, camera, metrics)
+        this.simulation.reset();
 
-        // Give player starting weapon again (Magic Wand only)
-        const startingWeapon = createWeapon('magic_wand');
-        if (startingWeapon) {
-            this.player.weapons.push(startingWeapon);
-        }
-
-        // Clear entities
-        this.gameState.enemies = [];
-        this.gameState.projectiles = [];
-        this.gameState.pickups = [];
-        this.gameState.particles = [];
-        this.gameState.damageNumbers = [];
-        this.gameState.orbitDrones = [];
-        this.gameState.activeMines = [];
-        this.gameState.enemyProjectiles = [];
-
-        // Reset systems
-        this.spawnSystem.reset();
-        this.experienceSystem.isLevelingUp = false;
-        this.effectSystem.clear();
-        this.particleSystem.clear();
-        // Clear weapon system drones and mines
-        this.weaponSystem.orbitDrones = [];
-        this.weaponSystem.activeMines = [];
-        this.weaponSystem.lastDroneCount = 0;
-        this.weaponSystem.lastDroneLevel = 0;
-
-        // Reset camera to center on player
-        this.camera.centerOn(this.player.position);
-
-        // Reset game metrics
-        this.gameTime = 0;
-        this.killCount = 0;
-
-        // Return to title screen
-        this.currentState = GAME_STATE.TITLE;
-        this.titleScreen = new TitleScreen();
+        // Return to title screen (exits any overlays)
+        this.titleScreen = new TitleScreen(this, this.getSavedRunSummary());
+        this.stateManager.replace(this.titleScreen);
 
         // Resume game loop
         this.gameLoop.resume();
@@ -972,9 +687,9 @@ class Game {
         // Call restart to reset everything
         this.restart();
         // But then immediately start playing
-        this.currentState = GAME_STATE.PLAYING;
-        this.gameTime = 0;
-        this.killCount = 0;
+        this.stateManager.replace(this.playingState);
+        this.seedRun();
+        this.beginRecording();
         console.log('Run restarted - playing immediately!');
     }
 
@@ -982,29 +697,233 @@ class Game {
      * Starts the game from title screen
      */
     startGame() {
-        this.currentState = GAME_STATE.PLAYING;
-        // Reset stats
-        this.gameTime = 0;
-        this.killCount = 0;
-        console.log('Game started!');
+        // A new run replaces any saved one
+        this.clearSave();
+        this.simulation.setMode(this.selectedMode);
+        this.stateManager.replace(this.playingState);
+        this.seedRun();
+        this.beginRecording();
+        console.log(`Game started! (${this.simulation.mode.name} mode)`);
+    }
+
+    /**
+     * Writes the current run to localStorage
+     * Only live runs are saved - not the title screen, a finished or won run, or a replay
+     * @returns {boolean} True if the run was saved
+     */
+    saveRun() {
+        const inRun = this.stateManager.find(GAME_STATE.PLAYING) !== null;
+        if (!inRun || this.simulation.isGameOver() || this.simulation.isAwaitingOvertime() || this.inputSystem.isPlayback()) {
+            return false;
+        }
+
+        this.autosaveTimer = 0;
+
+        try {
+            localStorage.setItem(GAME_CONFIG.SAVE.STORAGE_KEY, JSON.stringify(createSave(this.simulation)));
+            return true;
+        } catch (error) {
+            console.warn('[Save] Could not save run:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Reads the saved run from localStorage
+     * Saves from an incompatible version are rejected and deleted
+     * @returns {Object|null} Valid save data, or null if there is none
+     * @private
+     */
+    readSave() {
+        let save = null;
+
+        try {
+            const json = localStorage.getItem(GAME_CONFIG.SAVE.STORAGE_KEY);
+            if (json === null) {
+                return null;
+            }
+            save = JSON.parse(json);
+        } catch (error) {
+            console.warn('[Save] Could not read saved run:', error);
+        }
+
+        const problem = validateSave(save);
+        if (problem) {
+            console.warn(`[Save] Discarding incompatible save: ${problem}`);
+            this.clearSave();
+            return null;
+        }
+
+        return save;
+    }
+
+    /**
+     * Deletes the saved run
+     */
+    clearSave() {
+        try {
+            localStorage.removeItem(GAME_CONFIG.SAVE.STORAGE_KEY);
+        } catch (error) {
+            console.warn('[Save] Could not delete saved run:', error);
+        }
+    }
+
+    /**
+     * Gets what the title screen shows for the saved run
+     * @returns {{level: number, time: number, mode: string}|null} Summary, or null if there's nothing to continue
+     * @private
+     */
+    getSavedRunSummary() {
+        const save = this.readSave();
+        return save ? { level: save.player.level, time: save.gameTime, mode: getGameMode(save.mode).name } : null;
+    }
+
+    /**
+     * Restores the saved run and resumes playing it
+     * @returns {boolean} True if the run was restored
+     */
+    continueRun() {
+        const save = this.readSave();
+        if (!save) {
+            this.titleScreen.savedRun = null;
+            return false;
+        }
+
+        // Resumed runs aren't recorded - a replay has to start from the seed
+        this.inputSystem.stopPlayback();
+        this.inputSystem.stopRecording();
+        this.levelUpUI.acceptInput = true;
+
+        this.stateManager.replace(this.playingState);
+        this.autosaveTimer = 0;
+        restoreSave(this.simulation, save);
+
+        console.log(`[Save] Continued run at level ${save.player.level} (seed ${RNG.seed})`);
+        return true;
+    }
+
+    /**
+     * Starts recording the new run's input so it can be saved as a replay
+     * @private
+     */
+    beginRecording() {
+        this.inputSystem.stopPlayback();
+        this.levelUpUI.acceptInput = true;
+        this.inputSystem.startRecording(RNG.seed, this.gameLoop.getTickRate(), this.simulation.mode.id);
+    }
+
+    /**
+     * Handles replay shortcuts (F8 = save replay, F9 = load replay)
+     * @private
+     */
+    handleReplayKeys() {
+        if (this.inputSystem.isKeyPressed('F8')) {
+            this.inputSystem.pressedKeys.delete('F8'); // Consume key
+            this.downloadReplay();
+        }
+        if (this.inputSystem.isKeyPressed('F9')) {
+            this.inputSystem.pressedKeys.delete('F9'); // Consume key
+            this.openReplayFile();
+        }
+    }
+
+    /**
+     * Saves the current run's recording as a .json replay file
+     */
+    downloadReplay() {
+        const replay = this.inputSystem.getRecording();
+        if (!replay) {
+            console.warn('[Replay] Nothing recorded yet');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `breach-replay-${replay.seed}-${replay.ticks}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        console.log(`[Replay] Saved ${replay.ticks} ticks (seed ${replay.seed})`);
+    }
+
+    /**
+     * Opens a file picker and plays back the chosen replay file
+     * @private
+     */
+    openReplayFile() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            try {
+                this.startReplay(JSON.parse(await file.text()));
+            } catch (error) {
+                console.error('[Replay] Could not read replay file:', error);
+            }
+        });
+        fileInput.click();
+    }
+
+    /**
+     * Restarts the run and plays a replay back instead of keyboard movement
+     * @param {Object} replay - Replay data
+     * @returns {boolean} True if playback started
+     */
+    startReplay(replay) {
+        const problem = ReplayPlayer.validate(replay, this.gameLoop.getTickRate());
+        if (problem) {
+            console.error(`[Replay] Incompatible replay: ${problem}`);
+            return false;
+        }
+
+        this.restart();
+        this.simulation.setMode(replay.mode);
+        this.stateManager.replace(this.playingState);
+        RNG.reseed(replay.seed);
+        this.inputSystem.startPlayback(replay);
+        this.levelUpUI.acceptInput = false;
+
+        console.log(`[Replay] Playing ${replay.ticks} ticks (seed ${replay.seed}, ${replay.mode} mode)`);
+        return true;
+    }
+
+    /**
+     * Seeds the shared RNG streams for a new run
+     * A ?seed=<number> URL parameter forces a specific seed so runs can be reproduced
+     * @private
+     */
+    seedRun() {
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        const seed = seedParam !== null && !isNaN(Number(seedParam))
+            ? Number(seedParam)
+            : createSeed();
+
+        RNG.reseed(seed);
+        console.log(`[RNG] Run seed: ${RNG.seed}`);
     }
 
     /**
-     * Pauses the game (from PLAYING to PAUSED)
+     * Pauses the game (pushes the pause screen over the run)
      */
     pauseGame() {
-        if (this.currentState === GAME_STATE.PLAYING) {
-            this.currentState = GAME_STATE.PAUSED;
+        if (this.stateManager.find(GAME_STATE.PLAYING) && !this.stateManager.find(GAME_STATE.PAUSED)) {
+            this.stateManager.push(this.pauseScreen);
+            this.saveRun();
             console.log('Game paused');
         }
     }
 
     /**
-     * Resumes the game (from PAUSED to PLAYING)
+     * Resumes the game (pops the pause screen)
      */
     resumeGame() {
-        if (this.currentState === GAME_STATE.PAUSED) {
-            this.currentState = GAME_STATE.PLAYING;
+        if (this.stateManager.getActive() === this.pauseScreen) {
+            this.stateManager.pop();
             console.log('Game resumed');
         }
     }
@@ -37,8 +37,8 @@ export class ASCIIRenderer extends IRenderer {
 
         // Flash red when damaged, otherwise green
         if (state.damaged || state.invulnerable) {
-            // Flicker effect when invulnerable
-            const visible = state.invulnerable ? Math.floor(Date.now() / 100) % 2 === 0 : true;
+            // Flicker effect when invulnerable (driven by the game-time timer, so it freezes on pause)
+            const visible = state.invulnerable ? Math.floor(state.invulnerableTimer * 10) % 2 === 0 : true;
             ctx.fillStyle = visible ? GAME_CONFIG.COLORS.PLAYER_DAMAGED : 'transparent';
         } else {
             ctx.fillStyle = GAME_CONFIG.COLORS.PLAYER;
@@ -57,6 +57,9 @@ export class ASCIIRenderer extends IRenderer {
      * @param {number} radius - Enemy radius
      * @param {string} type - Enemy type
      * @param {number} healthPercent - Health percentage (0-1)
+     * @param {Object} effectOptions - Scale and flash effect state, affixColors for elites, plus
+     *   the wind-up telegraph (blinks the glyph), stunned state (dims it, '?' above) and a
+     *   firewall shield (ring around it) and frontal armor (plate arc on the facing side)
      */
     drawEnemy(ctx, x, y, radius, type, healthPercent, effectOptions = {}) {
         ctx.save();
@@ -91,6 +94,36 @@ export class ASCIIRenderer extends IRenderer {
                 baseFontSize = 12;
                 color = GAME_CONFIG.COLORS.ENEMY_SWARM_MINI;
                 break;
+            case 'treasure_carrier':
+                char = GAME_CONFIG.ASCII.ENEMY_TREASURE;
+                baseFontSize = 18;
+                color = GAME_CONFIG.COLORS.ENEMY_TREASURE;
+                break;
+            case 'charger':
+                char = GAME_CONFIG.ASCII.ENEMY_CHARGER;
+                baseFontSize = 18;
+                color = GAME_CONFIG.COLORS.ENEMY_CHARGER;
+                break;
+            case 'logic_bomb':
+                char = GAME_CONFIG.ASCII.ENEMY_LOGIC_BOMB;
+                baseFontSize = 16;
+                color = GAME_CONFIG.COLORS.ENEMY_LOGIC_BOMB;
+                break;
+            case 'patcher':
+                char = GAME_CONFIG.ASCII.ENEMY_PATCHER;
+                baseFontSize = 16;
+                color = GAME_CONFIG.COLORS.ENEMY_PATCHER;
+                break;
+            case 'firewall_node':
+                char = GAME_CONFIG.ASCII.ENEMY_FIREWALL;
+                baseFontSize = 18;
+                color = GAME_CONFIG.COLORS.ENEMY_FIREWALL;
+                break;
+            case 'bulwark':
+                char = GAME_CONFIG.ASCII.ENEMY_BULWARK;
+                baseFontSize = 20;
+                color = GAME_CONFIG.COLORS.ENEMY_BULWARK;
+                break;
             case 'basic':
             default:
                 char = GAME_CONFIG.ASCII.ENEMY_BASIC;
@@ -99,6 +132,12 @@ export class ASCIIRenderer extends IRenderer {
                 break;
         }
 
+        // Winding up an attack: blink white, faster as the attack gets closer
+        const telegraph = effectOptions.telegraph;
+        if (telegraph && Math.floor(telegraph.progress * telegraph.progress * 12) % 2 === 0) {
+            color = '#FFFFFF';
+        }
+
         // Apply scale effect
         const scale = effectOptions.scale || 1;
         const scaledFontSize = Math.round(baseFontSize * scale);
@@ -108,6 +147,53 @@ export class ASCIIRenderer extends IRenderer {
         ctx.textBaseline = 'middle';
         ctx.fillStyle = color;
 
+        if (effectOptions.stunned) {
+            ctx.globalAlpha = 0.6;
+            ctx.fillText('?', x, y - scaledFontSize);
+        }
+
+        // Shielded by a firewall node: a ring hugging the glyph
+        if (effectOptions.shielded) {
+            ctx.save();
+            ctx.globalAlpha *= 0.8;
+            ctx.strokeStyle = GAME_CONFIG.COLORS.ENEMY_SHIELD;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, scaledFontSize * 0.75, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // Frontal armor: a thick plate arc on the side facing the player
+        const armor = effectOptions.armor;
+        if (armor) {
+            const facingAngle = Math.atan2(armor.facing.y, armor.facing.x);
+            const halfArc = (armor.arc / 2) * Math.PI / 180;
+            ctx.save();
+            ctx.strokeStyle = armor.color;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(x, y, scaledFontSize * 0.85, facingAngle - halfArc, facingAngle + halfArc);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // Elites: outline in the first affix color, one bracket pair per affix
+        const affixColors = effectOptions.affixColors || [];
+        if (affixColors.length > 0) {
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = affixColors[0];
+            ctx.strokeText(char, x, y);
+
+            affixColors.forEach((affixColor, i) => {
+                const offset = scaledFontSize * 0.6 + i * scaledFontSize * 0.35;
+                ctx.fillStyle = affixColor;
+                ctx.fillText('[', x - offset, y);
+                ctx.fillText(']', x + offset, y);
+            });
+            ctx.fillStyle = color;
+        }
+
         ctx.fillText(char, x, y);
 
         // Apply flash effect overlay
@@ -122,6 +208,100 @@ export class ASCIIRenderer extends IRenderer {
         ctx.restore();
     }
 
+    /**
+     * Draws an attack telegraph that brightens and marches forward as the wind-up runs out:
+     * a dashed line along a locked dash direction, or a dashed ring around a blast radius
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Start X position (the attacker)
+     * @param {number} y - Start Y position
+     * @param {Object} telegraph - Telegraph (progress 0-1, plus direction and length or radius)
+     */
+    drawTelegraph(ctx, x, y, telegraph) {
+        const { direction, length, radius, progress } = telegraph;
+
+        ctx.save();
+
+        ctx.globalAlpha = 0.3 + progress * 0.5;
+        ctx.strokeStyle = GAME_CONFIG.COLORS.TELEGRAPH;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 6]);
+        ctx.lineDashOffset = -progress * 28;
+        ctx.beginPath();
+        if (radius !== undefined) {
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+        } else {
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + direction.x * length, y + direction.y * length);
+        }
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draws an enemy's damage aura or support field as a dashed ring
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} aura - Aura (radius, color)
+     */
+    drawEnemyAura(ctx, x, y, aura) {
+        ctx.save();
+
+        ctx.globalAlpha = 0.35;
+        ctx.strokeStyle = aura.color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 6]);
+        ctx.beginPath();
+        ctx.arc(x, y, aura.radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draws a boss as a block of glyph rows, colored by its current phase
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X position (cluster center)
+     * @param {number} y - Y position (cluster center)
+     * @param {Object} boss - Boss enemy
+     * @param {Object} effectOptions - Scale and flash effect state
+     */
+    drawBoss(ctx, x, y, boss, effectOptions = {}) {
+        ctx.save();
+
+        const rows = boss.bossConfig.glyph;
+        const phase = boss.bossConfig.phases[boss.phase];
+
+        // Rows fill the collision circle's diameter
+        const scale = effectOptions.scale || 1;
+        const fontSize = Math.round(((boss.radius * 2) / rows.length) * scale);
+
+        ctx.font = `bold ${fontSize}px monospace`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const drawRows = () => {
+            rows.forEach((row, i) => {
+                ctx.fillText(row, x, y + (i - (rows.length - 1) / 2) * fontSize);
+            });
+        };
+
+        ctx.fillStyle = phase.color;
+        drawRows();
+
+        // Apply flash effect overlay
+        const flashAlpha = effectOptions.flashAlpha || 0;
+        if (flashAlpha > 0) {
+            ctx.globalAlpha = flashAlpha;
+            ctx.fillStyle = effectOptions.flashColor || '#FFFFFF';
+            drawRows();
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.restore();
+    }
+
     /**
      * Draws a projectile as an ASCII character
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -236,6 +416,27 @@ export class ASCIIRenderer extends IRenderer {
         ctx.restore();
     }
 
+    /**
+     * Draws an elite trail hazard, fading out over its lifetime
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} hazard - Hazard object
+     */
+    drawHazard(ctx, x, y, hazard) {
+        ctx.save();
+
+        ctx.globalAlpha = 0.7 * (1 - hazard.lifetime / hazard.maxLifetime);
+        ctx.font = `${Math.round(hazard.radius * 1.6)}px monospace`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = hazard.color;
+
+        ctx.fillText(hazard.char, x, y);
+
+        ctx.restore();
+    }
+
     /**
      * Draws a pickup (XP gem, health, etc.)
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -256,6 +457,11 @@ export class ASCIIRenderer extends IRenderer {
                 color = GAME_CONFIG.COLORS.HEALTH_PICKUP;
                 font = GAME_CONFIG.FONTS.PICKUP;
                 break;
+            case 'cache':
+                char = GAME_CONFIG.ASCII.CACHE_PICKUP;
+                color = GAME_CONFIG.COLORS.CACHE_PICKUP;
+                font = GAME_CONFIG.FONTS.PICKUP_LARGE;
+                break;
             case 'xp':
             default:
                 // Use larger character for higher value XP
@@ -373,7 +579,7 @@ export class ASCIIRenderer extends IRenderer {
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} x - X position
      * @param {number} y - Y position
-     * @param {number} value - Damage value
+     * @param {number|string} value - Damage value (or a label such as 'BLOCK')
      * @param {string} color - Text color
      * @param {number} opacity - Text opacity (0-1)
      * @param {number} scale - Text scale
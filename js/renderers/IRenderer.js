@@ -33,12 +33,67 @@ export class IRenderer {
      * @param {number} radius - Enemy collision radius
      * @param {string} type - Enemy type ('basic', 'tank', 'fast', etc.)
      * @param {number} healthPercent - Current health as percentage (0-1)
+     * @param {Object} [effectOptions] - Scale, flash and elite affix colors
      * @throws {Error} Must be implemented by subclass
      */
     drawEnemy(ctx, x, y, radius, type, healthPercent) {
         throw new Error('IRenderer.drawEnemy() must be implemented by subclass');
     }
 
+    /**
+     * Draws an attack telegraph (an enemy winding up a charge or burning a fuse)
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} x - Start X position (the attacker)
+     * @param {number} y - Start Y position
+     * @param {Object} telegraph - Telegraph (progress 0-1, plus direction and length or radius)
+     */
+    drawTelegraph(ctx, x, y, telegraph) {
+        // Default implementation - plain line along the attack, or the blast circle
+        ctx.save();
+        ctx.globalAlpha = 0.5;
+        ctx.beginPath();
+        if (telegraph.radius !== undefined) {
+            ctx.arc(x, y, telegraph.radius, 0, Math.PI * 2);
+        } else {
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + telegraph.direction.x * telegraph.length, y + telegraph.direction.y * telegraph.length);
+        }
+        ctx.strokeStyle = '#FF0000';
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Draws the damage aura or support field around an enemy ('aura', 'heal', 'shield' behaviors)
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} aura - Aura (radius, color)
+     */
+    drawEnemyAura(ctx, x, y, aura) {
+        // Default implementation - faint circle outline
+        ctx.save();
+        ctx.globalAlpha = 0.4;
+        ctx.beginPath();
+        ctx.arc(x, y, aura.radius, 0, Math.PI * 2);
+        ctx.strokeStyle = aura.color;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Draws a boss as a cluster of glyphs
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} x - X position (cluster center)
+     * @param {number} y - Y position (cluster center)
+     * @param {Object} boss - Boss enemy (radius, bossConfig, phase)
+     * @param {Object} [effectOptions] - Scale and flash effect state
+     * @throws {Error} Must be implemented by subclass
+     */
+    drawBoss(ctx, x, y, boss, effectOptions = {}) {
+        throw new Error('IRenderer.drawBoss() must be implemented by subclass');
+    }
+
     /**
      * Draws a projectile entity
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -103,6 +158,24 @@ export class IRenderer {
         ctx.restore();
     }
 
+    /**
+     * Draws an elite trail hazard
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} hazard - Hazard object (radius, char, color, lifetime, maxLifetime)
+     */
+    drawHazard(ctx, x, y, hazard) {
+        // Default implementation - simple filled circle
+        ctx.save();
+        ctx.globalAlpha = 0.4;
+        ctx.beginPath();
+        ctx.arc(x, y, hazard.radius, 0, Math.PI * 2);
+        ctx.fillStyle = hazard.color;
+        ctx.fill();
+        ctx.restore();
+    }
+
 
     /**
      * Draws a particle effect
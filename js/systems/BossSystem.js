@@ -0,0 +1,198 @@
+/**
+ * Boss System - Runs boss phases, attack patterns and summons
+ * Bosses are regular enemies (they chase, collide and die like any other) whose
+ * EnemyConfig carries a `boss` definition; this system layers the phase logic on top
+ * @module systems/BossSystem
+ */
+
+import { Enemy } from '../entities/Enemy.js';
+import { getEnemyType } from '../config/EnemyConfig.js';
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
+import { Vector2D } from '../utils/Vector2D.js';
+
+/**
+ * Drives every boss on the field
+ */
+export class BossSystem {
+    /**
+     * Creates a new BossSystem
+     * @param {EventBus} events - Event bus for phase changes
+     */
+    constructor(events) {
+        /** @type {EventBus} Event bus */
+        this.events = events;
+    }
+
+    /**
+     * Updates phases, volleys and summons for all living bosses
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Array<Enemy>} enemies - Current enemy array
+     * @param {Object} player - Player entity (volley target)
+     * @param {Object} gameState - Game state (receives boss projectiles)
+     * @returns {Array<Enemy>} Minions summoned this frame
+     */
+    update(deltaTime, enemies, player, gameState) {
+        const summoned = [];
+
+        for (const boss of enemies) {
+            if (!boss.bossConfig || !boss.alive || boss.dying) continue;
+
+            this.updatePhase(boss);
+            const phase = boss.bossConfig.phases[boss.phase];
+
+            // Volleys
+            if (phase.attack) {
+                boss.attackTimer -= deltaTime;
+                if (boss.attackTimer <= 0) {
+                    boss.attackTimer += phase.attack.interval;
+                    this.fireVolley(boss, phase.attack, player.position, gameState);
+                }
+            }
+
+            // Summons (skipped while the field is full, timer keeps running)
+            if (phase.summon) {
+                boss.summonTimer -= deltaTime;
+                if (boss.summonTimer <= 0) {
+                    boss.summonTimer += phase.summon.interval;
+                    const space = GAME_CONFIG.SPAWN.MAX_ENEMIES - (enemies.length + summoned.length);
+                    summoned.push(...this.summon(boss, phase.summon, space));
+                }
+            }
+        }
+
+        return summoned;
+    }
+
+    /**
+     * Advances a boss to the deepest phase its health has reached
+     * @param {Enemy} boss - Boss enemy
+     */
+    updatePhase(boss) {
+        const phases = boss.bossConfig.phases;
+        const healthPercent = boss.getHealthPercent();
+
+        let next = boss.phase;
+        while (next + 1 < phases.length && healthPercent <= phases[next + 1].threshold) {
+            next++;
+        }
+        if (next === boss.phase) return;
+
+        const previous = phases[boss.phase];
+        const phase = phases[next];
+
+        boss.phase = next;
+        boss.speed = (boss.speed / previous.speed) * phase.speed;
+        // Short breather before the new pattern starts
+        boss.attackTimer = phase.attack ? phase.attack.interval * 0.5 : 0;
+        boss.summonTimer = phase.summon ? phase.summon.interval * 0.5 : 0;
+
+        console.log(`[BossSystem] ${boss.name} phase ${next + 1}/${phases.length}`);
+
+        this.events.emit(GAME_EVENTS.BOSS_PHASE_CHANGED, { boss, phase: next });
+    }
+
+    /**
+     * Fires one volley of an attack pattern
+     * @param {Enemy} boss - Boss enemy
+     * @param {BossAttack} attack - Attack pattern config
+     * @param {Vector2D} target - Player position
+     * @param {Object} gameState - Game state to add projectiles to
+     */
+    fireVolley(boss, attack, target, gameState) {
+        const step = (Math.PI * 2) / attack.count;
+        let angles;
+
+        switch (attack.pattern) {
+            case 'aimed': {
+                // Fan centered on the player
+                const aim = Math.atan2(target.y - boss.position.y, target.x - boss.position.x);
+                const spread = (attack.spread * Math.PI) / 180;
+                angles = Array.from({ length: attack.count }, (_, i) =>
+                    attack.count > 1 ? aim - spread / 2 + (spread * i) / (attack.count - 1) : aim
+                );
+                break;
+            }
+
+            case 'spiral':
+                // Ring that rotates a little every volley
+                angles = Array.from({ length: attack.count }, (_, i) => boss.attackAngle + step * i);
+                boss.attackAngle = (boss.attackAngle + (attack.spin * Math.PI) / 180) % (Math.PI * 2);
+                break;
+
+            case 'ring':
+            default:
+                angles = Array.from({ length: attack.count }, (_, i) => step * i);
+                break;
+        }
+
+        for (const angle of angles) {
+            gameState.enemyProjectiles.push(this.createProjectile(boss, angle, attack));
+        }
+    }
+
+    /**
+     * Builds a boss projectile (same shape as ranger projectiles)
+     * @param {Enemy} boss - Boss enemy
+     * @param {number} angle - Direction in radians
+     * @param {BossAttack} attack - Attack pattern config
+     * @returns {Object} Enemy projectile
+     * @private
+     */
+    createProjectile(boss, angle, attack) {
+        // Start at the edge of the glyph cluster, not its center
+        const x = boss.position.x + Math.cos(angle) * boss.radius;
+        const y = boss.position.y + Math.sin(angle) * boss.radius;
+
+        return {
+            position: { x, y },
+            prevX: x,
+            prevY: y,
+            velocity: {
+                x: Math.cos(angle) * attack.speed,
+                y: Math.sin(angle) * attack.speed
+            },
+            damage: attack.damage,
+            char: attack.char || '*',
+            color: attack.color || '#FF6600',
+            lifetime: 0,
+            maxLifetime: 4,
+            radius: 5,
+            isEnemyProjectile: true
+        };
+    }
+
+    /**
+     * Calls minions in a ring around the boss
+     * @param {Enemy} boss - Boss enemy
+     * @param {{enemy: string, count: number}} summon - Summon config
+     * @param {number} space - Enemies that still fit under the cap
+     * @returns {Array<Enemy>} Summoned minions
+     */
+    summon(boss, summon, space) {
+        const config = getEnemyType(summon.enemy);
+        const count = Math.min(summon.count, space);
+        const minions = [];
+        const burstSpeed = 100;
+
+        for (let i = 0; i < count; i++) {
+            const angle = (Math.PI * 2 * i) / count;
+            const distance = boss.radius + 30;
+            const minion = new Enemy(
+                boss.position.x + Math.cos(angle) * distance,
+                boss.position.y + Math.sin(angle) * distance,
+                config,
+                boss.clock
+            );
+
+            // Same outward burst as swarm minions
+            minion.velocity = new Vector2D(Math.cos(angle) * burstSpeed, Math.sin(angle) * burstSpeed);
+            minion.spawnBurstTime = boss.clock.now();
+            minion.scale = 0.8;
+
+            minions.push(minion);
+        }
+
+        return minions;
+    }
+}
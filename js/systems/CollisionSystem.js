@@ -6,6 +6,21 @@
 
 import { GAME_CONFIG } from '../config/GameConfig.js';
 import { SpatialHash } from '../utils/SpatialHash.js';
+import { RNG } from '../utils/Random.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
+
+/**
+ * An area blast (mines, logic bombs)
+ * @typedef {Object} Explosion
+ * @property {{x: number, y: number}} position - Blast center
+ * @property {number} radius - Blast radius
+ * @property {number} damage - Damage to everything caught in it
+ * @property {string} source - Damage source reported in the damage events ('mine', 'explosion')
+ * @property {boolean} [hurtsPlayer] - Whether the player is caught too (default: only enemies)
+ * @property {Object} [owner] - Entity that exploded (never hit by its own blast)
+ * @property {string} effect - EFFECT_PRESETS key played at the blast
+ * @property {{fill: string, ring: string}} colors - Blast particle colors
+ */
 
 /**
  * Handles collision detection between game entities
@@ -14,8 +29,12 @@ import { SpatialHash } from '../utils/SpatialHash.js';
 export class CollisionSystem {
     /**
      * Creates a new CollisionSystem
+     * @param {EventBus} events - Event bus for damage events
      */
-    constructor() {
+    constructor(events) {
+        /** @type {EventBus} Event bus */
+        this.events = events;
+
         /** @type {number} Minimum push distance to separate overlapping enemies */
         this.enemySeparationStrength = 0.5;
 
@@ -78,7 +97,8 @@ export class CollisionSystem {
         const nearbyEnemies = this.enemyGrid.getNearby(player);
 
         for (const enemy of nearbyEnemies) {
-            if (!enemy.alive) {
+            // Harmless enemies (e.g. treasure carriers) can be touched freely
+            if (!enemy.alive || enemy.damage <= 0) {
                 continue;
             }
 
@@ -91,7 +111,14 @@ export class CollisionSystem {
 
         // Apply damage to player if collision occurred
         if (results.damaged) {
-            player.takeDamage(results.totalDamage);
+            const taken = this.damagePlayer(player, results.totalDamage, 'contact');
+
+            // Each attacker's affixes see its share of the damage that landed
+            if (taken > 0) {
+                for (const enemy of results.collidingEnemies) {
+                    enemy.onHitPlayer((taken * enemy.damage) / results.totalDamage);
+                }
+            }
         }
 
         return results;
@@ -134,7 +161,7 @@ export class CollisionSystem {
                         other.position.y += ny * pushAmount;
                     } else {
                         // If exactly overlapping, push in random direction
-                        const angle = Math.random() * Math.PI * 2;
+                        const angle = RNG.gameplay.next() * Math.PI * 2;
                         const pushAmount = overlap * this.enemySeparationStrength;
 
                         enemy.position.x -= Math.cos(angle) * pushAmount;
@@ -147,6 +174,7 @@ export class CollisionSystem {
 
     /**
      * Checks projectile-enemy collisions using spatial hash
+     * Projectiles flying into an armored enemy's front are blocked (no damage, projectile spent)
      * @param {Array} projectiles - Array of projectile entities
      * @param {Array} enemies - Array of enemy entities (not used, uses grid)
      * @returns {Array} Array of collision results
@@ -173,6 +201,14 @@ export class CollisionSystem {
                 }
 
                 if (this.checkCircleCollision(projectile, enemy)) {
+                    // Frontal armor stops the projectile without damage
+                    if (enemy.blocksHit(projectile.velocity)) {
+                        projectile.hitEnemies.add(enemy.id);
+                        projectile.alive = false;
+                        this.events.emit(GAME_EVENTS.ENEMY_BLOCKED, { enemy, source: 'projectile' });
+                        break;
+                    }
+
                     results.push({
                         projectile,
                         enemy,
@@ -180,7 +216,7 @@ export class CollisionSystem {
                     });
 
                     // Apply damage to enemy
-                    enemy.takeDamage(projectile.damage);
+                    this.damageEnemy(enemy, projectile.damage, 'projectile');
 
                     // Track this enemy as hit
                     projectile.hitEnemies.add(enemy.id);
@@ -243,19 +279,142 @@ export class CollisionSystem {
 
         // Apply damage to player if hit
         if (results.playerHit) {
-            player.takeDamage(results.damage);
+            this.damagePlayer(player, results.damage, 'projectile');
         }
 
         return results;
     }
 
+    /**
+     * Checks elite trail hazards under the player
+     * Overlapping puddles don't stack - the strongest one hits
+     * @param {Array} hazards - Array of hazard objects
+     * @param {Object} player - The player entity
+     * @returns {number} Damage dealt (0 if none)
+     */
+    checkHazardPlayerCollisions(hazards, player) {
+        // Skip if god mode enabled or player is invulnerable
+        if (GAME_CONFIG.DEBUG.GOD_MODE || player.invulnerable) {
+            return 0;
+        }
+
+        let damage = 0;
+        for (const hazard of hazards) {
+            if (this.checkCircleCollision(hazard, player)) {
+                damage = Math.max(damage, hazard.damage);
+            }
+        }
+
+        return damage > 0 ? this.damagePlayer(player, damage, 'hazard') : 0;
+    }
+
+    /**
+     * Checks enemy damage auras ('aura' behavior) around the player
+     * Like hazards, overlapping auras don't stack - the strongest one hits
+     * @param {Array} enemies - Array of enemy entities
+     * @param {Object} player - The player entity
+     * @returns {number} Damage dealt (0 if none)
+     */
+    checkAuraPlayerCollisions(enemies, player) {
+        // Skip if god mode enabled or player is invulnerable
+        if (GAME_CONFIG.DEBUG.GOD_MODE || player.invulnerable) {
+            return 0;
+        }
+
+        let damage = 0;
+        for (const enemy of enemies) {
+            if (!enemy.aura || !enemy.alive || enemy.dying) continue;
+
+            if (this.checkCircleCollision({ position: enemy.position, radius: enemy.aura.radius }, player)) {
+                damage = Math.max(damage, enemy.aura.damage);
+            }
+        }
+
+        return damage > 0 ? this.damagePlayer(player, damage, 'aura') : 0;
+    }
+
+    /**
+     * Damages every enemy (and optionally the player) inside an explosion's radius
+     * Enemies already dying are skipped; the player is spared by god mode and invulnerability
+     * @param {Explosion} explosion - Explosion
+     * @param {Array} enemies - Array of enemy entities
+     * @param {Object} player - The player entity
+     * @returns {{enemiesHit: Array, playerDamage: number}} Enemies caught and damage the player took
+     */
+    applyExplosion(explosion, enemies, player) {
+        const { position, radius, damage, source } = explosion;
+        const blast = { position, radius };
+        const enemiesHit = [];
+
+        for (const enemy of enemies) {
+            if (enemy === explosion.owner || !enemy.alive || enemy.health <= 0) continue;
+
+            if (this.checkCircleCollision(blast, { position: enemy.position, radius: 0 })) {
+                enemiesHit.push(enemy);
+                this.damageEnemy(enemy, damage, source);
+            }
+        }
+
+        let playerDamage = 0;
+        if (explosion.hurtsPlayer && !GAME_CONFIG.DEBUG.GOD_MODE && !player.invulnerable &&
+            this.checkCircleCollision(blast, player)) {
+            playerDamage = this.damagePlayer(player, damage, source);
+        }
+
+        return { enemiesHit, playerDamage };
+    }
+
+    /**
+     * Damages the player and publishes the damage actually taken
+     * @param {Object} player - The player entity
+     * @param {number} amount - Raw damage (before passive reduction)
+     * @param {string} source - Damage source ('contact', 'projectile', 'hazard', 'aura', 'explosion')
+     * @returns {number} Damage actually taken
+     * @private
+     */
+    damagePlayer(player, amount, source) {
+        const healthBefore = player.health;
+
+        if (player.takeDamage(amount)) {
+            this.events.emit(GAME_EVENTS.PLAYER_DAMAGED, {
+                player,
+                amount: healthBefore - player.health,
+                source
+            });
+        }
+
+        return healthBefore - player.health;
+    }
+
+    /**
+     * Damages an enemy and publishes the hit
+     * @param {Object} enemy - Enemy entity
+     * @param {number} amount - Damage to deal
+     * @param {string} source - Damage source ('projectile', 'drone', 'mine', 'explosion')
+     * @private
+     */
+    damageEnemy(enemy, amount, source) {
+        // Enemies in their death animation ignore damage - nothing to report
+        if (enemy.dying) return;
+
+        const killed = enemy.takeDamage(amount);
+
+        this.events.emit(GAME_EVENTS.ENEMY_DAMAGED, {
+            enemy,
+            amount: enemy.lastDamageTaken,
+            absorbed: enemy.lastShieldAbsorbed,
+            source,
+            killed
+        });
+    }
+
     /**
      * Full collision update (call once per frame)
      * @param {Object} gameState - Current game state
      * @returns {Object} All collision results
      */
     update(gameState) {
-        const { player, enemies, projectiles = [], orbitDrones = [], enemyProjectiles = [] } = gameState;
+        const { player, enemies, projectiles = [], orbitDrones = [], enemyProjectiles = [], hazards = [] } = gameState;
 
         // Reset collision counter
         this.collisionChecksThisFrame = 0;
@@ -316,6 +475,22 @@ export class CollisionSystem {
             gameState.enemyProjectiles = enemyProjectiles.filter(p => p.alive !== false);
         }
 
+        // Hazard-player collisions
+        if (hazards.length > 0) {
+            const hazardDamage = this.checkHazardPlayerCollisions(hazards, player);
+            if (hazardDamage > 0) {
+                results.playerHit = true;
+                results.playerDamage += hazardDamage;
+            }
+        }
+
+        // Enemy aura-player collisions
+        const auraDamage = this.checkAuraPlayerCollisions(enemies, player);
+        if (auraDamage > 0) {
+            results.playerHit = true;
+            results.playerDamage += auraDamage;
+        }
+
         // Store collision count
         results.collisionChecks = this.collisionChecksThisFrame;
 
@@ -357,7 +532,7 @@ export class CollisionSystem {
                     });
 
                     // Apply damage to enemy
-                    enemy.takeDamage(drone.damage);
+                    this.damageEnemy(enemy, drone.damage, 'drone');
 
                     // Record hit on drone (starts cooldown)
                     drone.recordHit(enemy);
@@ -0,0 +1,290 @@
+/**
+ * Director System - Adaptive difficulty
+ * Watches how the run is going (health, recent damage taken, kill rate, weapon DPS,
+ * enemies on screen) and turns SpawnSystem intensity up or down within the bounds
+ * in DirectorConfig. A near-death opens a relief window; cruising adds pressure.
+ * Every change is logged with the metrics behind it
+ * @module systems/DirectorSystem
+ */
+
+import { DIRECTOR_CONFIG } from '../config/DirectorConfig.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
+
+/**
+ * @typedef {Object} DirectorSample
+ * @property {number} damageTaken - Damage the player took
+ * @property {number} damageDealt - Damage the player's weapons dealt
+ * @property {number} kills - Enemies killed
+ */
+
+/**
+ * @typedef {Object} DirectorMetrics
+ * @property {number} health - Player health fraction (0-1)
+ * @property {number} damageTaken - Damage taken over the window
+ * @property {number} killRate - Kills per second over the window
+ * @property {number} dps - Damage dealt per second over the window
+ * @property {number} onScreen - Living enemies inside the camera view
+ * @property {number} clearTime - Seconds the current DPS needs to clear everything on screen
+ */
+
+/**
+ * @typedef {Object} DirectorDecision
+ * @property {string} time - Run time (MM:SS)
+ * @property {number} from - Intensity before
+ * @property {number} to - Intensity after
+ * @property {string} reason - 'cruising', 'struggling', 'near death' or 'relief over'
+ * @property {string} metrics - Metrics summary at the time
+ */
+
+/**
+ * Creates an empty one-second sample
+ * @returns {DirectorSample}
+ */
+function createSample() {
+    return { damageTaken: 0, damageDealt: 0, kills: 0 };
+}
+
+/**
+ * Adjusts spawn intensity from player performance
+ */
+export class DirectorSystem {
+    /**
+     * Creates a new DirectorSystem
+     * @param {EventBus} events - Event bus to sample damage and kills from
+     * @param {SpawnSystem} spawnSystem - Spawn system whose intensity is driven
+     */
+    constructor(events, spawnSystem) {
+        /** @type {SpawnSystem} Spawn system being driven */
+        this.spawnSystem = spawnSystem;
+
+        /** @type {boolean} Whether the director is active (set per game mode) */
+        this.enabled = false;
+
+        /** @type {Array<DirectorSample>} One sample per second, newest last, at most WINDOW long */
+        this.samples = [createSample()];
+
+        /** @type {number} Seconds into the newest sample */
+        this.sampleTimer = 0;
+
+        /** @type {number} Seconds until the next decision */
+        this.evalTimer = DIRECTOR_CONFIG.EVAL_INTERVAL;
+
+        /** @type {number} Seconds left in the current relief window */
+        this.reliefTimer = 0;
+
+        /** @type {number} Seconds before another relief window may start */
+        this.reliefCooldown = 0;
+
+        /** @type {number} Intensity to return to when relief ends */
+        this.resumeIntensity = 1;
+
+        /** @type {Array<DirectorDecision>} Most recent decisions, oldest first */
+        this.decisions = [];
+
+        events.on(GAME_EVENTS.PLAYER_DAMAGED, event => {
+            if (!this.enabled) return;
+            this.currentSample().damageTaken += event.amount;
+            this.checkNearDeath(event.player);
+        });
+        events.on(GAME_EVENTS.ENEMY_DAMAGED, event => {
+            if (this.enabled) this.currentSample().damageDealt += event.amount;
+        });
+        events.on(GAME_EVENTS.ENEMY_KILLED, () => {
+            if (this.enabled) this.currentSample().kills++;
+        });
+    }
+
+    /**
+     * Gets the sample being filled this second
+     * @returns {DirectorSample}
+     * @private
+     */
+    currentSample() {
+        return this.samples[this.samples.length - 1];
+    }
+
+    /**
+     * Advances the sample window and makes a decision every EVAL_INTERVAL seconds
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Player} player - The player
+     * @param {Array<Enemy>} enemies - Current enemies
+     * @param {Camera} camera - Camera (for the on-screen count)
+     */
+    update(deltaTime, player, enemies, camera) {
+        if (!this.enabled) return;
+
+        // 1. Roll the sample window
+        this.sampleTimer += deltaTime;
+        while (this.sampleTimer >= 1) {
+            this.sampleTimer -= 1;
+            this.samples.push(createSample());
+            if (this.samples.length > DIRECTOR_CONFIG.WINDOW) {
+                this.samples.shift();
+            }
+        }
+
+        this.reliefCooldown = Math.max(0, this.reliefCooldown - deltaTime);
+
+        // 2. Relief window runs its course before normal decisions resume
+        if (this.reliefTimer > 0) {
+            this.reliefTimer -= deltaTime;
+            if (this.reliefTimer <= 0) {
+                this.reliefTimer = 0;
+                this.reliefCooldown = DIRECTOR_CONFIG.RELIEF.COOLDOWN;
+                this.evalTimer = DIRECTOR_CONFIG.EVAL_INTERVAL;
+                this.setIntensity(this.resumeIntensity, 'relief over', this.getMetrics(player, enemies, camera));
+            }
+            return;
+        }
+
+        // 3. Periodic decision
+        this.evalTimer -= deltaTime;
+        if (this.evalTimer > 0) return;
+        this.evalTimer += DIRECTOR_CONFIG.EVAL_INTERVAL;
+
+        const metrics = this.getMetrics(player, enemies, camera);
+        const intensity = this.spawnSystem.intensity;
+
+        if (this.isStruggling(metrics)) {
+            this.setIntensity(Math.max(DIRECTOR_CONFIG.MIN_INTENSITY, intensity - DIRECTOR_CONFIG.STEP), 'struggling', metrics);
+        } else if (this.isCruising(metrics)) {
+            this.setIntensity(Math.min(DIRECTOR_CONFIG.MAX_INTENSITY, intensity + DIRECTOR_CONFIG.STEP), 'cruising', metrics);
+        }
+    }
+
+    /**
+     * Opens a relief window when a hit leaves the player nearly dead
+     * @param {Player} player - The player
+     * @private
+     */
+    checkNearDeath(player) {
+        const relief = DIRECTOR_CONFIG.RELIEF;
+        if (this.reliefTimer > 0 || this.reliefCooldown > 0) return;
+        if (!player.isAlive() || player.getHealthPercent() > relief.HEALTH) return;
+
+        // Come back from relief a step below where the player got into trouble
+        this.resumeIntensity = Math.max(DIRECTOR_CONFIG.MIN_INTENSITY, this.spawnSystem.intensity - DIRECTOR_CONFIG.STEP);
+        this.reliefTimer = relief.DURATION;
+        this.setIntensity(relief.INTENSITY, 'near death', `hp ${Math.round(player.getHealthPercent() * 100)}%`);
+    }
+
+    /**
+     * Measures the run over the sample window
+     * @param {Player} player - The player
+     * @param {Array<Enemy>} enemies - Current enemies
+     * @param {Camera} camera - Camera
+     * @returns {DirectorMetrics}
+     */
+    getMetrics(player, enemies, camera) {
+        const seconds = Math.max(1, this.samples.length - 1 + this.sampleTimer);
+        const totals = createSample();
+        for (const sample of this.samples) {
+            totals.damageTaken += sample.damageTaken;
+            totals.damageDealt += sample.damageDealt;
+            totals.kills += sample.kills;
+        }
+
+        let onScreen = 0;
+        let onScreenHealth = 0;
+        for (const enemy of enemies) {
+            if (!enemy.alive || enemy.dying) continue;
+            const { x, y } = enemy.position;
+            if (x >= camera.x && x <= camera.x + camera.viewportWidth &&
+                y >= camera.y && y <= camera.y + camera.viewportHeight) {
+                onScreen++;
+                onScreenHealth += enemy.health;
+            }
+        }
+
+        const dps = totals.damageDealt / seconds;
+
+        return {
+            health: player.getHealthPercent(),
+            damageTaken: totals.damageTaken,
+            killRate: totals.kills / seconds,
+            dps,
+            onScreen,
+            clearTime: onScreenHealth / Math.max(1, dps)
+        };
+    }
+
+    /**
+     * Whether any struggling threshold is crossed
+     * @param {DirectorMetrics} metrics - Current metrics
+     * @returns {boolean}
+     */
+    isStruggling(metrics) {
+        const s = DIRECTOR_CONFIG.STRUGGLING;
+        return metrics.health <= s.MAX_HEALTH ||
+            metrics.damageTaken >= s.MIN_DAMAGE_TAKEN ||
+            metrics.onScreen >= s.MIN_ON_SCREEN ||
+            metrics.clearTime >= s.MIN_CLEAR_TIME;
+    }
+
+    /**
+     * Whether every cruising condition holds
+     * @param {DirectorMetrics} metrics - Current metrics
+     * @returns {boolean}
+     */
+    isCruising(metrics) {
+        const c = DIRECTOR_CONFIG.CRUISING;
+        return metrics.health >= c.MIN_HEALTH &&
+            metrics.damageTaken <= c.MAX_DAMAGE_TAKEN &&
+            metrics.killRate >= c.MIN_KILL_RATE &&
+            metrics.clearTime <= c.MAX_CLEAR_TIME;
+    }
+
+    /**
+     * Applies a new intensity and records why
+     * @param {number} intensity - New intensity
+     * @param {string} reason - Decision reason
+     * @param {DirectorMetrics|string} metrics - Metrics (or a summary) behind the decision
+     * @private
+     */
+    setIntensity(intensity, reason, metrics) {
+        const from = this.spawnSystem.intensity;
+        const to = Math.round(intensity * 100) / 100;
+        if (to === from) return;
+
+        this.spawnSystem.intensity = to;
+
+        const decision = {
+            time: this.spawnSystem.getFormattedTime(),
+            from,
+            to,
+            reason,
+            metrics: typeof metrics === 'string' ? metrics : DirectorSystem.formatMetrics(metrics)
+        };
+        this.decisions.push(decision);
+        if (this.decisions.length > DIRECTOR_CONFIG.LOG_SIZE) {
+            this.decisions.shift();
+        }
+
+        console.log(`[Director] ${decision.time} intensity ${from.toFixed(2)} → ${to.toFixed(2)} (${reason}: ${decision.metrics})`);
+    }
+
+    /**
+     * Summarizes metrics for the decision log
+     * @param {DirectorMetrics} metrics - Metrics
+     * @returns {string}
+     */
+    static formatMetrics(metrics) {
+        return `hp ${Math.round(metrics.health * 100)}%, took ${Math.round(metrics.damageTaken)}, ` +
+            `${metrics.killRate.toFixed(1)} kills/s, ${Math.round(metrics.dps)} dps, ` +
+            `${metrics.onScreen} on screen (clear ${metrics.clearTime.toFixed(1)}s)`;
+    }
+
+    /**
+     * Clears the window, relief state and decision log for a fresh run
+     * (the enabled flag belongs to the game mode and is left alone)
+     */
+    reset() {
+        this.samples = [createSample()];
+        this.sampleTimer = 0;
+        this.evalTimer = DIRECTOR_CONFIG.EVAL_INTERVAL;
+        this.reliefTimer = 0;
+        this.reliefCooldown = 0;
+        this.resumeIntensity = 1;
+        this.decisions = [];
+    }
+}
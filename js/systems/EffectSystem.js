@@ -9,6 +9,7 @@ import {
     FlashEffect,
     ShakeEffect,
     ScreenShakeEffect,
+    HitStopEffect,
     KnockbackEffect
 } from '../entities/Effect.js';
 
@@ -113,6 +114,41 @@ export class EffectSystem {
         this.addEffect(new ScreenShakeEffect(camera, duration, intensity));
     }
 
+    /**
+     * Creates and adds a hit-stop effect
+     * Ignored while another hit-stop is running, so bursts of heavy hits
+     * can't chain into a long freeze
+     * @param {Object} target - Entity that caused the hit-stop
+     * @param {number} duration - Duration in seconds
+     * @param {number} timeScale - Gameplay speed while active (0 = full freeze)
+     */
+    hitStop(target, duration = 0.05, timeScale = 0) {
+        if (!target || this.isHitStopped()) return;
+        this.addEffect(new HitStopEffect(target, duration, timeScale));
+    }
+
+    /**
+     * Checks if a hit-stop is running
+     * @returns {boolean} True while gameplay is frozen or slowed by a hit-stop
+     */
+    isHitStopped() {
+        return this.effects.some(effect => effect instanceof HitStopEffect && !effect.completed);
+    }
+
+    /**
+     * Gets the gameplay layer's time scale
+     * @returns {number} Slowest active hit-stop scale, or 1 when none is running
+     */
+    getGameplayTimeScale() {
+        let timeScale = 1;
+        for (const effect of this.effects) {
+            if (effect instanceof HitStopEffect && !effect.completed) {
+                timeScale = Math.min(timeScale, effect.timeScale);
+            }
+        }
+        return timeScale;
+    }
+
     /**
      * Creates and adds a knockback effect
      * @param {Object} target - Target entity
@@ -162,6 +198,12 @@ export class EffectSystem {
                         this.screenShake(camera, preset.screenShake.duration, preset.screenShake.intensity);
                     }
                     break;
+
+                case 'hitStop':
+                    if (preset.hitStop) {
+                        this.hitStop(target, preset.hitStop.duration, preset.hitStop.timeScale);
+                    }
+                    break;
             }
         }
 
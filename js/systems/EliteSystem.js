@@ -0,0 +1,53 @@
+/**
+ * Elite System - Runs elite affix hooks and the trail hazards they leave
+ * Elites are regular enemies carrying affixes from AffixConfig (applied by Enemy);
+ * this system calls the per-tick and on-death hooks and ages the hazards
+ * @module systems/EliteSystem
+ */
+
+/**
+ * Drives every elite on the field
+ */
+export class EliteSystem {
+    /**
+     * Runs per-tick affix hooks and expires old hazards
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Object} gameState - Game state (enemies, receives hazards)
+     */
+    update(deltaTime, gameState) {
+        // 1. Shields are recomputed from scratch every tick
+        for (const enemy of gameState.enemies) {
+            enemy.shieldReduction = 0;
+        }
+
+        // 2. Per-tick hooks (shield allies, drop trail hazards)
+        for (const enemy of gameState.enemies) {
+            if (!enemy.isElite() || !enemy.alive || enemy.dying) continue;
+
+            for (const affix of enemy.affixes) {
+                if (affix.onUpdate) affix.onUpdate(enemy, deltaTime, affix, gameState);
+            }
+        }
+
+        // 3. Age hazards
+        gameState.hazards = gameState.hazards.filter(hazard => {
+            hazard.lifetime += deltaTime;
+            return hazard.lifetime < hazard.maxLifetime;
+        });
+    }
+
+    /**
+     * Runs on-death affix hooks once an elite's death animation has finished
+     * @param {Enemy} enemy - Dead enemy
+     * @returns {Array<Enemy>} Enemies spawned by the hooks (e.g. splitting copies)
+     */
+    handleDeath(enemy) {
+        const spawned = [];
+
+        for (const affix of enemy.affixes) {
+            if (affix.onDeath) spawned.push(...affix.onDeath(enemy, affix));
+        }
+
+        return spawned;
+    }
+}
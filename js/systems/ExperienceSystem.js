@@ -6,6 +6,9 @@
 import { Pickup } from '../entities/Pickup.js';
 import { getAvailableUpgrades, selectRandomUpgrades } from '../config/UpgradeConfig.js';
 import { WEAPON_TYPES } from '../config/WeaponConfig.js';
+import { ELITE_CONFIG } from '../config/AffixConfig.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
+import { RNG } from '../utils/Random.js';
 
 /**
  * Manages experience, leveling, and pickup collection
@@ -14,11 +17,15 @@ export class ExperienceSystem {
     /**
      * Creates a new ExperienceSystem
      * @param {Function} onLevelUp - Callback when player levels up
+     * @param {EventBus} events - Event bus for pickup and level-up events
      */
-    constructor(onLevelUp = null) {
+    constructor(onLevelUp = null, events) {
         /** @type {Function} Callback for level-up event */
         this.onLevelUp = onLevelUp;
 
+        /** @type {EventBus} Event bus */
+        this.events = events;
+
         /** @type {number} Base XP for level 1 */
         this.baseXP = 4;
 
@@ -72,8 +79,19 @@ export class ExperienceSystem {
                     leveledUp = this.addExperience(player, pickup.value) || leveledUp;
                 } else if (pickup.pickupType === 'health') {
                     player.heal(pickup.value);
+                } else if (pickup.pickupType === 'cache') {
+                    // Free upgrade pick - wait a frame if a level-up screen was just opened
+                    if (this.isLevelingUp) continue;
+                    this.triggerLevelUp(player);
+                    leveledUp = true;
                 }
                 pickup.alive = false;
+
+                this.events.emit(GAME_EVENTS.PICKUP_COLLECTED, {
+                    pickup,
+                    pickupType: pickup.pickupType,
+                    value: pickup.value
+                });
             }
         }
 
@@ -123,6 +141,12 @@ export class ExperienceSystem {
         // Select 3 random upgrades
         this.currentUpgradeOptions = selectRandomUpgrades(allUpgrades, 3);
 
+        this.events.emit(GAME_EVENTS.LEVEL_UP, {
+            player,
+            level: player.level,
+            options: this.currentUpgradeOptions
+        });
+
         // Trigger callback
         if (this.onLevelUp) {
             this.onLevelUp(this.currentUpgradeOptions);
@@ -153,7 +177,8 @@ export class ExperienceSystem {
     }
 
     /**
-     * Creates XP pickups from a dead enemy
+     * Creates XP pickups from a dead enemy, plus the guaranteed reward for bosses
+     * and the chance-based loot for elites
      * @param {Object} enemy - The dead enemy
      * @returns {Array} Array of new pickups
      */
@@ -170,6 +195,28 @@ export class ExperienceSystem {
             pickups.push(xpGem);
         }
 
+        // Boss (or treasure carrier) reward - spread to either side of the gem so all three stay visible
+        const reward = enemy.bossConfig?.reward || enemy.typeConfig.reward;
+        if (reward) {
+            if (reward.health > 0) {
+                pickups.push(Pickup.createHealthPickup(enemy.position.x - 30, enemy.position.y, reward.health));
+            }
+            if (reward.cache) {
+                pickups.push(Pickup.createCache(enemy.position.x + 30, enemy.position.y));
+            }
+        }
+
+        // Elite loot - more affixes, better odds of a cache
+        if (enemy.isElite()) {
+            const loot = ELITE_CONFIG.LOOT;
+            if (RNG.gameplay.next() < loot.HEALTH_CHANCE) {
+                pickups.push(Pickup.createHealthPickup(enemy.position.x - 20, enemy.position.y, loot.HEALTH_VALUE));
+            }
+            if (RNG.gameplay.next() < loot.CACHE_CHANCE_PER_AFFIX * enemy.affixes.length) {
+                pickups.push(Pickup.createCache(enemy.position.x + 20, enemy.position.y));
+            }
+        }
+
         return pickups;
     }
 
@@ -0,0 +1,160 @@
+/**
+ * Feedback System - Turns gameplay events into damage numbers and effects
+ * Listens on the event bus, so weapons and enemies only report what happened
+ * and never spawn their own hit feedback
+ * @module systems/FeedbackSystem
+ */
+
+import { DamageNumber } from '../entities/DamageNumber.js';
+import { EFFECT_PRESETS, getEffectPreset } from '../config/EffectConfig.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { RNG } from '../utils/Random.js';
+
+/**
+ * Damage number look per damage source
+ * spreadX/spreadY: random offset range around the enemy in pixels
+ * @type {Object<string, {color: string, spreadX: number, spreadY: number}>}
+ */
+const DAMAGE_NUMBER_STYLE = {
+    projectile: { color: '#ffffff', spreadX: 50, spreadY: 15 },
+    drone: { color: '#00FFFF', spreadX: 30, spreadY: 10 },   // Cyan for drone
+    aura: { color: '#90EE90', spreadX: 30, spreadY: 10 },    // Light green for garlic
+    mine: { color: '#FF00FF', spreadX: 30, spreadY: 10 }     // Magenta for mine explosion
+};
+
+/**
+ * Subscribes visual feedback to gameplay events
+ */
+export class FeedbackSystem {
+    /**
+     * Creates a new FeedbackSystem and subscribes it to the event bus
+     * @param {EventBus} events - Event bus to listen on
+     * @param {Object} gameState - Game state (receives damage numbers)
+     * @param {EffectSystem} effectSystem - Effect system for presets
+     * @param {ParticleSystem} particleSystem - Particle system for preset particles
+     * @param {Camera} camera - Camera for screen shake
+     */
+    constructor(events, gameState, effectSystem, particleSystem, camera) {
+        /** @type {Object} Game state */
+        this.gameState = gameState;
+
+        /** @type {EffectSystem} Effect system */
+        this.effectSystem = effectSystem;
+
+        /** @type {ParticleSystem} Particle system */
+        this.particleSystem = particleSystem;
+
+        /** @type {Camera} Camera */
+        this.camera = camera;
+
+        /** @type {Array<Function>} Unsubscribe functions */
+        this.subscriptions = [
+            events.on(GAME_EVENTS.ENEMY_DAMAGED, (event) => this.onEnemyDamaged(event)),
+            events.on(GAME_EVENTS.ENEMY_BLOCKED, (event) => this.onEnemyBlocked(event)),
+            events.on(GAME_EVENTS.ENEMY_KILLED, (event) => this.onEnemyKilled(event)),
+            events.on(GAME_EVENTS.PLAYER_DAMAGED, (event) => this.onPlayerDamaged(event)),
+            events.on(GAME_EVENTS.PICKUP_COLLECTED, (event) => this.onPickupCollected(event)),
+            events.on(GAME_EVENTS.LEVEL_UP, (event) => this.onLevelUp(event)),
+            events.on(GAME_EVENTS.BOSS_PHASE_CHANGED, (event) => this.onBossPhaseChanged(event))
+        ];
+    }
+
+    /**
+     * Spawns a damage number and hit effect on the damaged enemy
+     * @param {EnemyDamagedEvent} event
+     */
+    onEnemyDamaged({ enemy, amount, absorbed = 0, source }) {
+        const style = DAMAGE_NUMBER_STYLE[source] || DAMAGE_NUMBER_STYLE.projectile;
+
+        const dmgNum = new DamageNumber();
+        const offsetX = (RNG.cosmetic.next() - 0.5) * style.spreadX;
+        const offsetY = -5 - RNG.cosmetic.next() * style.spreadY;
+        dmgNum.init(
+            enemy.position.x + offsetX,
+            enemy.position.y + offsetY,
+            Math.ceil(amount + absorbed)
+        );
+        // Hits a firewall shield soaked up show in the shield color
+        dmgNum.color = absorbed > 0 ? GAME_CONFIG.COLORS.ENEMY_SHIELD : style.color;
+        this.gameState.damageNumbers.push(dmgNum);
+
+        if (source === 'aura') {
+            // Aura ticks constantly - smaller pulse instead of the full hit preset
+            this.effectSystem.scalePulse(enemy, 0.08, 1.1);
+        } else {
+            this.effectSystem.applyPreset(EFFECT_PRESETS.ENEMY_HIT, enemy, this.particleSystem);
+        }
+    }
+
+    /**
+     * Shows "BLOCK" and a spark on an enemy whose armor stopped a hit
+     * @param {EnemyBlockedEvent} event
+     */
+    onEnemyBlocked({ enemy }) {
+        const style = DAMAGE_NUMBER_STYLE.projectile;
+
+        const dmgNum = new DamageNumber();
+        dmgNum.init(
+            enemy.position.x + (RNG.cosmetic.next() - 0.5) * style.spreadX,
+            enemy.position.y - 5 - RNG.cosmetic.next() * style.spreadY,
+            'BLOCK'
+        );
+        dmgNum.color = enemy.getBehaviorParams('armor').color;
+        this.gameState.damageNumbers.push(dmgNum);
+
+        this.effectSystem.applyPreset(EFFECT_PRESETS.ENEMY_BLOCK, enemy, this.particleSystem);
+    }
+
+    /**
+     * Plays the enemy type's death effect on an enemy entering its death animation
+     * @param {EnemyKilledEvent} event
+     */
+    onEnemyKilled({ enemy }) {
+        const preset = getEffectPreset(enemy.deathEffect) || EFFECT_PRESETS.ENEMY_DEATH;
+        this.effectSystem.applyPreset(preset, enemy, this.particleSystem, this.camera);
+    }
+
+    /**
+     * Shakes the screen and flashes the player
+     * @param {PlayerDamagedEvent} event
+     */
+    onPlayerDamaged({ player }) {
+        this.effectSystem.applyPreset(EFFECT_PRESETS.PLAYER_HIT, player, this.particleSystem, this.camera);
+    }
+
+    /**
+     * Plays the collect effect for XP gems and health pickups
+     * @param {PickupCollectedEvent} event
+     */
+    onPickupCollected({ pickup, pickupType }) {
+        const preset = pickupType === 'health' ? EFFECT_PRESETS.HEALTH_COLLECT : EFFECT_PRESETS.XP_COLLECT;
+        this.effectSystem.applyPreset(preset, pickup, this.particleSystem);
+    }
+
+    /**
+     * Celebrates a level-up on the player
+     * @param {LevelUpEvent} event
+     */
+    onLevelUp({ player }) {
+        this.effectSystem.applyPreset(EFFECT_PRESETS.LEVEL_UP, player, this.particleSystem);
+    }
+
+    /**
+     * Marks a boss breaking into its next phase
+     * @param {BossPhaseChangedEvent} event
+     */
+    onBossPhaseChanged({ boss }) {
+        this.effectSystem.applyPreset(EFFECT_PRESETS.BOSS_PHASE, boss, this.particleSystem, this.camera);
+    }
+
+    /**
+     * Unsubscribes from the event bus
+     */
+    destroy() {
+        for (const unsubscribe of this.subscriptions) {
+            unsubscribe();
+        }
+        this.subscriptions = [];
+    }
+}
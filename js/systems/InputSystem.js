@@ -1,10 +1,12 @@
 /**
  * Input System - Handles keyboard input for player movement
  * Tracks pressed keys and provides movement vectors
+ * Can record per-tick input into a replay, or play a replay back instead of the keyboard
  * @module systems/InputSystem
  */
 
 import { Vector2D } from '../utils/Vector2D.js';
+import { DIRECTION_BIT, directionMaskToVector, ReplayRecorder, ReplayPlayer } from '../core/Replay.js';
 
 /**
  * Key codes for movement controls
@@ -31,6 +33,12 @@ export class InputSystem {
         /** @type {boolean} Whether the input system is active */
         this.active = true;
 
+        /** @type {ReplayRecorder|null} Recording of the current run */
+        this.recorder = null;
+
+        /** @type {ReplayPlayer|null} Replay being played back (replaces keyboard movement) */
+        this.replayPlayer = null;
+
         // Bind event handlers
         this._handleKeyDown = this._handleKeyDown.bind(this);
         this._handleKeyUp = this._handleKeyUp.bind(this);
@@ -51,32 +59,127 @@ export class InputSystem {
             return Vector2D.zero();
         }
 
-        let x = 0;
-        let y = 0;
+        return directionMaskToVector(this._getDirectionMask());
+    }
 
-        // Check each direction
-        if (this._isDirectionPressed('UP')) {
-            y -= 1;
+    /**
+     * Gets the movement input for one simulation tick
+     * Records it while recording, or reads it from the replay during playback
+     * Call exactly once per simulation step
+     * @returns {Vector2D} Movement vector for this tick
+     */
+    readTick() {
+        if (this.replayPlayer) {
+            return directionMaskToVector(this.replayPlayer.nextTick());
         }
-        if (this._isDirectionPressed('DOWN')) {
-            y += 1;
+
+        const mask = this.active ? this._getDirectionMask() : 0;
+
+        if (this.recorder) {
+            this.recorder.recordTick(mask);
         }
-        if (this._isDirectionPressed('LEFT')) {
-            x -= 1;
+
+        return directionMaskToVector(mask);
+    }
+
+    /**
+     * Starts recording a new run (discards any previous recording)
+     * @param {number} seed - Run seed
+     * @param {number} tickRate - Simulation ticks per second
+     * @param {string} mode - Game mode id of the run
+     */
+    startRecording(seed, tickRate, mode) {
+        this.recorder = new ReplayRecorder(seed, tickRate, mode);
+    }
+
+    /**
+     * Stops recording (a resumed run can't be replayed from its start)
+     */
+    stopRecording() {
+        this.recorder = null;
+    }
+
+    /**
+     * Records a level-up choice made by the player
+     * @param {number} index - Chosen option index
+     */
+    recordChoice(index) {
+        if (this.recorder && !this.replayPlayer) {
+            this.recorder.recordChoice(index);
         }
-        if (this._isDirectionPressed('RIGHT')) {
-            x += 1;
+    }
+
+    /**
+     * Records that the player took overtime after a victory
+     */
+    recordOvertime() {
+        if (this.recorder && !this.replayPlayer) {
+            this.recorder.recordOvertime();
         }
+    }
 
-        // Create vector and normalize for diagonal movement
-        const moveVector = new Vector2D(x, y);
+    /**
+     * Gets the recording of the current (or last) run
+     * @returns {Object|null} Replay data, or null if nothing was recorded
+     */
+    getRecording() {
+        return this.recorder ? this.recorder.toJSON() : null;
+    }
 
-        // Only normalize if we have diagonal input (magnitude > 1)
-        if (moveVector.magnitude() > 1) {
-            return moveVector.normalize();
+    /**
+     * Starts feeding a replay instead of keyboard movement
+     * @param {Object} replay - Validated replay data
+     */
+    startPlayback(replay) {
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.recorder = null;
+    }
+
+    /**
+     * Stops replay playback and returns control to the keyboard
+     */
+    stopPlayback() {
+        this.replayPlayer = null;
+    }
+
+    /**
+     * Whether a replay is being played back
+     * @returns {boolean}
+     */
+    isPlayback() {
+        return this.replayPlayer !== null;
+    }
+
+    /**
+     * Takes the recorded level-up choice due on the current playback tick
+     * @returns {number|null} Option index, or null if none is due
+     */
+    takeReplayChoice() {
+        return this.replayPlayer ? this.replayPlayer.takeChoice() : null;
+    }
+
+    /**
+     * Whether the replay being played back continued into overtime
+     * @returns {boolean}
+     */
+    replayTakesOvertime() {
+        return this.replayPlayer ? this.replayPlayer.takesOvertime() : false;
+    }
+
+    /**
+     * Gets playback progress
+     * @returns {{tick: number, total: number, finished: boolean}|null} Progress, or null when not playing back
+     */
+    getPlaybackProgress() {
+        if (!this.replayPlayer) {
+            return null;
         }
 
-        return moveVector;
+        return {
+            tick: this.replayPlayer.tick,
+            total: this.replayPlayer.replay.ticks,
+            finished: this.replayPlayer.isFinished()
+        };
     }
 
     /**
@@ -88,6 +191,32 @@ export class InputSystem {
         return this.pressedKeys.has(keyCode);
     }
 
+    /**
+     * Checks a key and consumes the press, so it triggers only one action
+     * @param {string} keyCode - The key code to check (e.g., 'Escape', 'Space')
+     * @returns {boolean} True if the key was pressed
+     */
+    consumeKey(keyCode) {
+        return this.pressedKeys.delete(keyCode);
+    }
+
+    /**
+     * Builds a bitmask of the movement directions currently held
+     * @returns {number} Combination of DIRECTION_BIT flags
+     * @private
+     */
+    _getDirectionMask() {
+        let mask = 0;
+
+        // Check each direction
+        if (this._isDirectionPressed('UP')) mask |= DIRECTION_BIT.UP;
+        if (this._isDirectionPressed('DOWN')) mask |= DIRECTION_BIT.DOWN;
+        if (this._isDirectionPressed('LEFT')) mask |= DIRECTION_BIT.LEFT;
+        if (this._isDirectionPressed('RIGHT')) mask |= DIRECTION_BIT.RIGHT;
+
+        return mask;
+    }
+
     /**
      * Checks if any of the keys for a direction are pressed
      * @param {string} direction - Direction to check ('UP', 'DOWN', 'LEFT', 'RIGHT')
@@ -0,0 +1,293 @@
+/**
+ * Map Event System - Scripted events between waves (see MapEventConfig)
+ * Owned by the SpawnSystem: every so often it picks an event by weight (skipping events
+ * on cooldown or too early in the run), warns for a few seconds, then runs it - a stampede
+ * crossing the screen, a ring ambush around the player, a blackout or a fleeing treasure
+ * carrier. Stage timelines can queue events by id as well
+ * @module systems/MapEventSystem
+ */
+
+import { MAP_EVENT_CONFIG, MAP_EVENTS, getMapEvent } from '../config/MapEventConfig.js';
+import { getEnemyType } from '../config/EnemyConfig.js';
+import { RNG } from '../utils/Random.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
+import { SPAWN_EDGE } from './SpawnFormations.js';
+
+/**
+ * Direction a stampede runs in, by the edge it enters from (across to the opposite edge)
+ * @type {Object<number, {x: number, y: number}>}
+ */
+const STAMPEDE_HEADINGS = {
+    [SPAWN_EDGE.TOP]: { x: 0, y: 1 },
+    [SPAWN_EDGE.RIGHT]: { x: -1, y: 0 },
+    [SPAWN_EDGE.BOTTOM]: { x: 0, y: -1 },
+    [SPAWN_EDGE.LEFT]: { x: 1, y: 0 }
+};
+
+/**
+ * Gets the camera edge a spawn point lies beyond (the side of the view it is furthest out on)
+ * @param {{x: number, y: number}} pos - Spawn point
+ * @param {SpawnArea} area - Spawn area
+ * @returns {number} SPAWN_EDGE value
+ */
+function getEdgeAt(pos, area) {
+    const dx = (pos.x - (area.x + area.width / 2)) / area.width;
+    const dy = (pos.y - (area.y + area.height / 2)) / area.height;
+
+    if (Math.abs(dx) > Math.abs(dy)) {
+        return dx > 0 ? SPAWN_EDGE.RIGHT : SPAWN_EDGE.LEFT;
+    }
+    return dy > 0 ? SPAWN_EDGE.BOTTOM : SPAWN_EDGE.TOP;
+}
+
+/**
+ * @typedef {Object} PendingMapEvent
+ * @property {string} id - Map event id
+ * @property {number} timer - Seconds of warning left before it starts
+ */
+
+/**
+ * Schedules, warns about and runs map events
+ */
+export class MapEventSystem {
+    /**
+     * Creates a new MapEventSystem
+     * @param {SpawnSystem} spawnSystem - Spawn system the events spawn through
+     */
+    constructor(spawnSystem) {
+        /** @type {SpawnSystem} Spawn system the events spawn through */
+        this.spawnSystem = spawnSystem;
+
+        /** @type {number} Seconds until the next random pick */
+        this.timer = MAP_EVENT_CONFIG.FIRST_EVENT;
+
+        /** @type {Object<string, number>} Seconds before each event can be picked again */
+        this.cooldowns = {};
+
+        /** @type {Array<PendingMapEvent>} Warned events waiting to start, soonest first */
+        this.pending = [];
+
+        /** @type {{id: string, remaining: number}|null} Running blackout */
+        this.blackout = null;
+    }
+
+    /**
+     * Advances cooldowns and warnings, starts events whose warning ran out and picks new ones
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} enemyCount - Enemies alive or already spawned this frame
+     * @returns {Array<Enemy>} Enemies spawned by events this frame
+     */
+    update(deltaTime, enemyCount) {
+        const spawned = [];
+
+        // 1. Cooldowns
+        for (const id of Object.keys(this.cooldowns)) {
+            this.cooldowns[id] = Math.max(0, this.cooldowns[id] - deltaTime);
+        }
+
+        // 2. Running blackout
+        if (this.blackout) {
+            this.blackout.remaining -= deltaTime;
+            if (this.blackout.remaining <= 0) {
+                this.blackout = null;
+                console.log(`[MapEvent] ${this.spawnSystem.getFormattedTime()} Power restored`);
+            }
+        }
+
+        // 3. Warned events start once their warning runs out
+        for (const pending of this.pending) {
+            pending.timer -= deltaTime;
+        }
+        while (this.pending.length > 0 && this.pending[0].timer <= 0) {
+            const event = getMapEvent(this.pending.shift().id);
+            spawned.push(...this.start(event, this.spawnSystem.maxEnemies - (enemyCount + spawned.length)));
+        }
+
+        // 4. Random pick (one event at a time)
+        this.timer -= deltaTime;
+        if (this.timer <= 0) {
+            this.timer = MAP_EVENT_CONFIG.MIN_INTERVAL +
+                RNG.gameplay.next() * (MAP_EVENT_CONFIG.MAX_INTERVAL - MAP_EVENT_CONFIG.MIN_INTERVAL);
+
+            const event = this.pending.length === 0 ? this.pickEvent() : null;
+            if (event) {
+                this.queue(event.id);
+            }
+        }
+
+        return spawned;
+    }
+
+    /**
+     * Picks a random event by weight among those off cooldown and allowed at this time
+     * @returns {MapEvent|null} Picked event, or null if none is available
+     */
+    pickEvent() {
+        const gameTime = this.spawnSystem.gameTime;
+        const available = Object.values(MAP_EVENTS).filter(event =>
+            event.minTime <= gameTime &&
+            !(this.cooldowns[event.id] > 0) &&
+            !(event.kind === 'blackout' && this.blackout)
+        );
+        if (available.length === 0) return null;
+
+        const totalWeight = available.reduce((sum, event) => sum + event.weight, 0);
+        let random = RNG.gameplay.next() * totalWeight;
+
+        for (const event of available) {
+            random -= event.weight;
+            if (random <= 0) {
+                return event;
+            }
+        }
+
+        return available[0];
+    }
+
+    /**
+     * Warns about an event and starts it MAP_EVENT_CONFIG.WARNING seconds later
+     * Puts the event on cooldown (stage timelines may queue it regardless)
+     * @param {string} id - Map event id
+     */
+    queue(id) {
+        const event = getMapEvent(id);
+        if (!event) {
+            console.warn(`[MapEvent] Unknown map event: ${id}`);
+            return;
+        }
+
+        this.pending.push({ id, timer: MAP_EVENT_CONFIG.WARNING });
+        this.cooldowns[id] = event.cooldown;
+
+        console.log(`[MapEvent] ${this.spawnSystem.getFormattedTime()} WARNING: ${event.warning}`);
+
+        this.spawnSystem.events.emit(GAME_EVENTS.MAP_EVENT_WARNING, { event, delay: MAP_EVENT_CONFIG.WARNING });
+    }
+
+    /**
+     * Runs an event
+     * @param {MapEvent} event - Map event
+     * @param {number} space - Enemies that fit under the cap
+     * @returns {Array<Enemy>} Spawned enemies
+     * @private
+     */
+    start(event, space) {
+        let spawned = [];
+
+        switch (event.kind) {
+            case 'stampede':
+                spawned = this.startStampede(event, space);
+                break;
+            case 'ambush':
+                spawned = this.startAmbush(event, space);
+                break;
+            case 'blackout':
+                this.blackout = { id: event.id, remaining: event.duration };
+                break;
+            case 'carrier':
+                spawned = this.startCarrier(event);
+                break;
+        }
+
+        console.log(`[MapEvent] ${this.spawnSystem.getFormattedTime()} ${event.id.toUpperCase()} (${spawned.length} enemies)`);
+
+        this.spawnSystem.events.emit(GAME_EVENTS.MAP_EVENT_STARTED, { event, enemies: spawned });
+        return spawned;
+    }
+
+    /**
+     * Stampede - a dense wall enters from one edge and runs straight across, ignoring the player
+     * Runners that placement moved to another edge cross from where they ended up
+     * @param {MapEvent} event - Map event
+     * @param {number} space - Enemies that fit under the cap
+     * @returns {Array<Enemy>}
+     * @private
+     */
+    startStampede(event, space) {
+        const count = Math.min(event.count, space);
+        if (count <= 0) return [];
+
+        const spawnSystem = this.spawnSystem;
+        const area = spawnSystem.getSpawnArea();
+        const edges = spawnSystem.placement.getValidEdges(area);
+        const edge = edges.length > 0
+            ? edges[Math.floor(RNG.gameplay.next() * edges.length)]
+            : Math.floor(RNG.gameplay.next() * 4);
+
+        const enemies = spawnSystem.spawnWave(count, [edge], getEnemyType(event.enemy), 'wall');
+        for (const enemy of enemies) {
+            enemy.heading = STAMPEDE_HEADINGS[getEdgeAt(enemy.position, area)];
+            enemy.speed *= event.speed;
+            enemy.escapeTimer = event.lifetime;
+        }
+
+        return enemies;
+    }
+
+    /**
+     * Ambush - a ring of enemies from the spawn pool around the player, closing in
+     * @param {MapEvent} event - Map event
+     * @param {number} space - Enemies that fit under the cap
+     * @returns {Array<Enemy>}
+     * @private
+     */
+    startAmbush(event, space) {
+        const count = Math.min(event.count, space);
+        if (count <= 0) return [];
+
+        const spawnSystem = this.spawnSystem;
+        const center = spawnSystem.getPlayerPosition();
+        const offset = RNG.gameplay.next() * Math.PI * 2;
+        const candidates = Array.from({ length: count }, (_, i) => {
+            const angle = offset + (Math.PI * 2 * i) / count;
+            return { x: center.x + Math.cos(angle) * event.radius, y: center.y + Math.sin(angle) * event.radius };
+        });
+
+        const enemyType = event.enemy ? getEnemyType(event.enemy) : null;
+        return spawnSystem.placement.place(candidates, spawnSystem.getSpawnArea(), center).map(pos =>
+            spawnSystem.createEnemy(pos.x, pos.y, enemyType || spawnSystem.selectEnemyType())
+        );
+    }
+
+    /**
+     * Treasure carrier - flees the player and leaves with its loot unless caught
+     * Ignores the enemy cap, like bosses
+     * @param {MapEvent} event - Map event
+     * @returns {Array<Enemy>}
+     * @private
+     */
+    startCarrier(event) {
+        return Array.from({ length: event.count }, () => {
+            const carrier = this.spawnSystem.spawnEnemy(getEnemyType(event.enemy));
+            carrier.escapeTimer = event.lifetime;
+            return carrier;
+        });
+    }
+
+    /**
+     * Gets the soonest warned event and the seconds until it starts (for the HUD)
+     * @returns {{event: MapEvent, timeLeft: number}|null}
+     */
+    getWarning() {
+        if (this.pending.length === 0) return null;
+        return { event: getMapEvent(this.pending[0].id), timeLeft: this.pending[0].timer };
+    }
+
+    /**
+     * Gets how far the player can see during a blackout
+     * @returns {number|null} Visibility radius, or null when there is no blackout
+     */
+    getVisibilityRadius() {
+        return this.blackout ? getMapEvent(this.blackout.id).radius : null;
+    }
+
+    /**
+     * Clears all events for a fresh run
+     */
+    reset() {
+        this.timer = MAP_EVENT_CONFIG.FIRST_EVENT;
+        this.cooldowns = {};
+        this.pending = [];
+        this.blackout = null;
+    }
+}
@@ -5,6 +5,7 @@
  */
 
 import { Particle } from '../entities/Particle.js';
+import { RNG } from '../utils/Random.js';
 
 /**
  * Manages spawning, updating, and rendering particles
@@ -63,20 +64,20 @@ export class ParticleSystem {
                 // Spread around a specific direction
                 const halfSpread = (spread / 2) * (Math.PI / 180);
                 const baseAngle = direction * (Math.PI / 180);
-                angle = baseAngle + (Math.random() - 0.5) * 2 * halfSpread;
+                angle = baseAngle + (RNG.cosmetic.next() - 0.5) * 2 * halfSpread;
             } else {
                 // Random direction within spread (centered upward for spread < 360)
                 if (spread >= 360) {
                     // Full circle
-                    angle = Math.random() * Math.PI * 2;
+                    angle = RNG.cosmetic.next() * Math.PI * 2;
                 } else {
                     // Partial spread centered around upward (-90 degrees)
                     const spreadRad = spread * (Math.PI / 180);
-                    angle = -Math.PI / 2 + (Math.random() - 0.5) * spreadRad;
+                    angle = -Math.PI / 2 + (RNG.cosmetic.next() - 0.5) * spreadRad;
                 }
             }
 
-            const speed = speedMin + Math.random() * (speedMax - speedMin);
+            const speed = speedMin + RNG.cosmetic.next() * (speedMax - speedMin);
             const velocityX = Math.cos(angle) * speed;
             const velocityY = Math.sin(angle) * speed;
 
@@ -2,9 +2,22 @@
  * Render System - Coordinates rendering of all game entities
  * Uses the Renderer abstraction to draw entities without knowing render details
  * Implements off-screen culling for performance
+ * Interpolates entity positions between the last two simulation ticks
  * @module systems/RenderSystem
  */
 
+import { PLACEMENT_REJECT, REJECTED_LIFETIME } from './SpawnPlacement.js';
+
+/**
+ * Overlay colors for rejected spawn points, per rejection reason
+ * @type {Object<string, string>}
+ */
+const REJECT_COLORS = {
+    [PLACEMENT_REJECT.BOUNDS]: '#ff3333',
+    [PLACEMENT_REJECT.OBSTACLE]: '#ffff00',
+    [PLACEMENT_REJECT.PLAYER]: '#ff8800'
+};
+
 /**
  * @typedef {Object} Camera
  * @property {number} x - Camera X offset
@@ -57,13 +70,32 @@ export class RenderSystem {
             y <= camera.y + height + this.cullMargin;
     }
 
+    /**
+     * Gets the interpolated render position of an entity
+     * Blends from the previous tick position (prevX/prevY) to the current position
+     * @param {Object} entity - Entity with position and optional prevX/prevY
+     * @param {number} alpha - Interpolation factor (0 = previous tick, 1 = current tick)
+     * @returns {{x: number, y: number}} Position to draw at
+     */
+    getRenderPosition(entity, alpha) {
+        const pos = entity.position;
+        if (alpha >= 1 || entity.prevX === undefined || entity.prevY === undefined) {
+            return pos;
+        }
+        return {
+            x: entity.prevX + (pos.x - entity.prevX) * alpha,
+            y: entity.prevY + (pos.y - entity.prevY) * alpha
+        };
+    }
+
     /**
      * Renders all game entities
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {Camera} camera - Camera offset
      * @param {Object} gameState - Current game state with all entities
+     * @param {number} [alpha=1] - Interpolation factor between the last two simulation ticks
      */
-    render(ctx, camera, gameState) {
+    render(ctx, camera, gameState, alpha = 1) {
         const {
             pickups = [],
             projectiles = [],
@@ -90,11 +122,12 @@ export class RenderSystem {
         // 3. Draw pickups (bottom layer) - with culling
         for (const pickup of pickups) {
             if (pickup.alive !== false) {
-                if (this.isVisible(pickup.position.x, pickup.position.y, camera, width, height)) {
+                const pos = this.getRenderPosition(pickup, alpha);
+                if (this.isVisible(pos.x, pos.y, camera, width, height)) {
                     this.renderer.drawPickup(
                         ctx,
-                        pickup.position.x,
-                        pickup.position.y,
+                        pos.x,
+                        pos.y,
                         pickup.radius || 8,
                         pickup.pickupType || 'xp',
                         pickup.value || 1
@@ -106,14 +139,26 @@ export class RenderSystem {
             }
         }
 
+        // 3b. Draw elite trail hazards (ground layer) - with culling
+        const hazards = gameState.hazards || [];
+        for (const hazard of hazards) {
+            if (this.isVisible(hazard.position.x, hazard.position.y, camera, width, height)) {
+                this.renderer.drawHazard(ctx, hazard.position.x, hazard.position.y, hazard);
+                this.renderedCount++;
+            } else {
+                this.culledCount++;
+            }
+        }
+
         // 4. Draw projectiles - with culling
         for (const projectile of projectiles) {
             if (projectile.alive !== false) {
-                if (this.isVisible(projectile.position.x, projectile.position.y, camera, width, height)) {
+                const pos = this.getRenderPosition(projectile, alpha);
+                if (this.isVisible(pos.x, pos.y, camera, width, height)) {
                     this.renderer.drawProjectile(
                         ctx,
-                        projectile.position.x,
-                        projectile.position.y,
+                        pos.x,
+                        pos.y,
                         projectile.radius || 4,
                         projectile.weaponType || 'default',
                         projectile.customChar || null,
@@ -131,11 +176,12 @@ export class RenderSystem {
         const enemyProjectiles = gameState.enemyProjectiles || [];
         for (const proj of enemyProjectiles) {
             if (proj.alive !== false) {
-                if (this.isVisible(proj.position.x, proj.position.y, camera, width, height)) {
+                const pos = this.getRenderPosition(proj, alpha);
+                if (this.isVisible(pos.x, pos.y, camera, width, height)) {
                     this.renderer.drawProjectile(
                         ctx,
-                        proj.position.x,
-                        proj.position.y,
+                        pos.x,
+                        pos.y,
                         proj.radius || 5,
                         'enemy',  // type
                         proj.char,  // custom character
@@ -149,41 +195,84 @@ export class RenderSystem {
         }
 
         // 5. Draw enemies (sorted by Y for depth) - with culling
-        const visibleEnemies = enemies.filter(e =>
-            e.alive !== false &&
-            this.isVisible(e.position.x, e.position.y, camera, width, height)
-        );
-        const sortedEnemies = visibleEnemies.sort((a, b) => a.position.y - b.position.y);
-        this.culledCount += enemies.filter(e => e.alive !== false).length - visibleEnemies.length;
-
-        for (const enemy of sortedEnemies) {
+        // During a blackout only enemies near the player are drawn
+        const visibilityRadius = gameState.visibilityRadius ?? null;
+        const playerPos = player ? this.getRenderPosition(player, alpha) : null;
+        const visibleEnemies = [];
+        for (const e of enemies) {
+            if (e.alive === false) continue;
+            const pos = this.getRenderPosition(e, alpha);
+            const inSight = visibilityRadius === null || !playerPos ||
+                Math.hypot(pos.x - playerPos.x, pos.y - playerPos.y) <= visibilityRadius;
+            if (inSight && this.isVisible(pos.x, pos.y, camera, width, height)) {
+                visibleEnemies.push({ enemy: e, pos });
+            } else {
+                this.culledCount++;
+            }
+        }
+        const sortedEnemies = visibleEnemies.sort((a, b) => a.pos.y - b.pos.y);
+
+        // Enemy damage auras, support fields and attack telegraphs go under every enemy glyph
+        for (const { enemy, pos } of sortedEnemies) {
+            if (enemy.dying) continue;
+            if (enemy.aura) {
+                this.renderer.drawEnemyAura(ctx, pos.x, pos.y, enemy.aura);
+            }
+            for (const { behavior, params } of enemy.behaviors) {
+                if (behavior.showsRange) this.renderer.drawEnemyAura(ctx, pos.x, pos.y, params);
+            }
+            const telegraph = enemy.getTelegraph();
+            if (telegraph) {
+                this.renderer.drawTelegraph(ctx, pos.x, pos.y, telegraph);
+            }
+        }
+
+        for (const { enemy, pos } of sortedEnemies) {
             const healthPercent = enemy.maxHealth > 0 ? enemy.health / enemy.maxHealth : 1;
+            const armor = enemy.getBehaviorParams('armor');
             // Include effect properties for juice system
             const effectOptions = {
                 scale: enemy.scale || 1,
                 flashAlpha: enemy.flashAlpha || 0,
                 flashColor: enemy.flashColor || '#FFFFFF',
                 shakeOffsetX: enemy.shakeOffsetX || 0,
-                shakeOffsetY: enemy.shakeOffsetY || 0
+                shakeOffsetY: enemy.shakeOffsetY || 0,
+                affixColors: enemy.affixes ? enemy.affixes.map(affix => affix.color) : [],
+                telegraph: enemy.dying ? null : enemy.getTelegraph(),
+                stunned: enemy.behaviorState.charge?.phase === 'stunned',
+                shielded: enemy.behaviorState.shield?.points > 0,
+                armor: armor && !enemy.dying ? { arc: armor.arc, color: armor.color, facing: enemy.behaviorState.armor.facing } : null
             };
-            this.renderer.drawEnemy(
-                ctx,
-                enemy.position.x + effectOptions.shakeOffsetX,
-                enemy.position.y + effectOptions.shakeOffsetY,
-                enemy.radius || 12,
-                enemy.enemyType || 'basic',
-                healthPercent,
-                effectOptions
-            );
+            if (enemy.bossConfig) {
+                this.renderer.drawBoss(
+                    ctx,
+                    pos.x + effectOptions.shakeOffsetX,
+                    pos.y + effectOptions.shakeOffsetY,
+                    enemy,
+                    effectOptions
+                );
+            } else {
+                this.renderer.drawEnemy(
+                    ctx,
+                    pos.x + effectOptions.shakeOffsetX,
+                    pos.y + effectOptions.shakeOffsetY,
+                    enemy.radius || 12,
+                    enemy.enemyType || 'basic',
+                    healthPercent,
+                    effectOptions
+                );
+            }
             this.renderedCount++;
         }
 
         // 5b. Draw garlic aura (before player, so it appears behind)
         if (gameState.garlicAura) {
             const aura = gameState.garlicAura;
+            // Aura follows the player, so draw it at the interpolated player position
+            const auraPos = player ? this.getRenderPosition(player, alpha) : aura;
             // Draw aura as a semi-transparent circle with pulsing effect
             ctx.beginPath();
-            ctx.arc(aura.x, aura.y, aura.radius, 0, Math.PI * 2);
+            ctx.arc(auraPos.x, auraPos.y, aura.radius, 0, Math.PI * 2);
             ctx.strokeStyle = '#90EE90'; // Light green
             ctx.lineWidth = 2;
             ctx.globalAlpha = 0.6;
@@ -191,7 +280,7 @@ export class RenderSystem {
 
             // Inner glow
             ctx.beginPath();
-            ctx.arc(aura.x, aura.y, aura.radius * 0.7, 0, Math.PI * 2);
+            ctx.arc(auraPos.x, auraPos.y, aura.radius * 0.7, 0, Math.PI * 2);
             ctx.strokeStyle = '#98FB98';
             ctx.lineWidth = 1;
             ctx.globalAlpha = 0.3;
@@ -205,11 +294,12 @@ export class RenderSystem {
         const orbitDrones = gameState.orbitDrones || [];
         for (const drone of orbitDrones) {
             if (drone.alive) {
-                if (this.isVisible(drone.position.x, drone.position.y, camera, width, height)) {
+                const pos = this.getRenderPosition(drone, alpha);
+                if (this.isVisible(pos.x, pos.y, camera, width, height)) {
                     this.renderer.drawOrbitDrone(
                         ctx,
-                        drone.position.x,
-                        drone.position.y,
+                        pos.x,
+                        pos.y,
                         drone
                     );
                     this.renderedCount++;
@@ -240,14 +330,16 @@ export class RenderSystem {
         // 6. Draw player (on top of enemies) - always visible
 
         if (player) {
+            const pos = this.getRenderPosition(player, alpha);
             this.renderer.drawPlayer(
                 ctx,
-                player.position.x,
-                player.position.y,
+                pos.x,
+                pos.y,
                 player.radius || 16,
                 {
                     damaged: player.damaged || false,
-                    invulnerable: player.invulnerable || false
+                    invulnerable: player.invulnerable || false,
+                    invulnerableTimer: player.invulnerableTimer || 0
                 }
             );
             this.renderedCount++;
@@ -318,6 +410,18 @@ export class RenderSystem {
             }
         }
 
+        // 8b. Blackout - darken everything outside the player's sight
+        if (visibilityRadius !== null && playerPos) {
+            const darkness = ctx.createRadialGradient(
+                playerPos.x, playerPos.y, visibilityRadius * 0.6,
+                playerPos.x, playerPos.y, visibilityRadius
+            );
+            darkness.addColorStop(0, 'rgba(0, 0, 0, 0)');
+            darkness.addColorStop(1, 'rgba(0, 0, 0, 0.92)');
+            ctx.fillStyle = darkness;
+            ctx.fillRect(camera.x, camera.y, width, height);
+        }
+
         // 9. Restore context
         ctx.restore();
     }
@@ -378,4 +482,41 @@ export class RenderSystem {
 
         ctx.restore();
     }
+
+    /**
+     * Renders the spawn placement overlay: the player's no-spawn radius and recently
+     * rejected spawn points (an X per point, colored by reason, fading out)
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Camera} camera - Camera offset
+     * @param {SpawnPlacement} placement - Spawn placement service
+     * @param {{x: number, y: number}} playerPosition - Player position
+     */
+    renderSpawnDebug(ctx, camera, placement, playerPosition) {
+        ctx.save();
+        ctx.translate(-camera.x, -camera.y);
+
+        // No-spawn radius around the player
+        ctx.beginPath();
+        ctx.arc(playerPosition.x, playerPosition.y, placement.minPlayerDistance, 0, Math.PI * 2);
+        ctx.setLineDash([6, 6]);
+        ctx.strokeStyle = '#ff8800';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Rejected points (may lie outside the view - clamp them to its edge so they stay visible)
+        ctx.font = 'bold 14px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const point of placement.rejected) {
+            const x = Math.max(camera.x + 8, Math.min(camera.x + ctx.canvas.width - 8, point.x));
+            const y = Math.max(camera.y + 8, Math.min(camera.y + ctx.canvas.height - 8, point.y));
+
+            ctx.globalAlpha = 1 - point.age / REJECTED_LIFETIME;
+            ctx.fillStyle = REJECT_COLORS[point.reason];
+            ctx.fillText('x', x, y);
+        }
+
+        ctx.restore();
+    }
 }
@@ -0,0 +1,210 @@
+/**
+ * Spawn Formations - Named position generators for waves and scripted bursts
+ * Each formation turns an enemy count, a set of camera edges and the spawn area
+ * into spawn positions just outside the view. Stage timelines pick them by name
+ * @module systems/SpawnFormations
+ */
+
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { RNG } from '../utils/Random.js';
+
+/**
+ * Spawn edge enumeration
+ * @enum {number}
+ */
+export const SPAWN_EDGE = {
+    TOP: 0,
+    RIGHT: 1,
+    BOTTOM: 2,
+    LEFT: 3
+};
+
+Object.freeze(SPAWN_EDGE);
+
+/**
+ * @typedef {Object} SpawnArea
+ * @property {number} x - Camera left edge (world units)
+ * @property {number} y - Camera top edge
+ * @property {number} width - Viewport width
+ * @property {number} height - Viewport height
+ * @property {number} margin - Distance outside the view enemies appear at
+ */
+
+/**
+ * Point outside one camera edge
+ * @param {number} edge - SPAWN_EDGE value
+ * @param {number} t - Position along the edge (0 = top/left corner, 1 = bottom/right corner)
+ * @param {number} depth - Extra distance outward beyond the spawn margin
+ * @param {SpawnArea} area - Spawn area
+ * @returns {{x: number, y: number}}
+ */
+export function edgePoint(edge, t, depth, area) {
+    const out = area.margin + depth;
+
+    switch (edge) {
+        case SPAWN_EDGE.TOP:
+            return { x: area.x + area.width * t, y: area.y - out };
+        case SPAWN_EDGE.BOTTOM:
+            return { x: area.x + area.width * t, y: area.y + area.height + out };
+        case SPAWN_EDGE.LEFT:
+            return { x: area.x - out, y: area.y + area.height * t };
+        case SPAWN_EDGE.RIGHT:
+        default:
+            return { x: area.x + area.width + out, y: area.y + area.height * t };
+    }
+}
+
+/**
+ * Length of a camera edge
+ * @param {number} edge - SPAWN_EDGE value
+ * @param {SpawnArea} area - Spawn area
+ * @returns {number}
+ */
+function edgeLength(edge, area) {
+    return edge === SPAWN_EDGE.TOP || edge === SPAWN_EDGE.BOTTOM ? area.width : area.height;
+}
+
+/**
+ * Splits a count across directions (the first few get the remainder) and
+ * collects the positions a per-edge generator makes for each share
+ * @param {number} count - Total enemies
+ * @param {Array<number>} directions - SPAWN_EDGE values
+ * @param {Function} perEdge - (edge, count) → Array<{x, y}>
+ * @returns {Array<{x: number, y: number}>}
+ */
+function acrossEdges(count, directions, perEdge) {
+    if (directions.length === 0) return [];
+
+    const perDirection = Math.floor(count / directions.length);
+    const remainder = count % directions.length;
+
+    return directions.flatMap((edge, index) => perEdge(edge, perDirection + (index < remainder ? 1 : 0)));
+}
+
+/**
+ * Random offset so formations don't look machine-placed
+ * @param {{x: number, y: number}} pos - Position to nudge (modified)
+ * @param {number} amount - Maximum offset in each axis
+ * @returns {{x: number, y: number}}
+ */
+function jitter(pos, amount) {
+    pos.x += (RNG.gameplay.next() - 0.5) * amount * 2;
+    pos.y += (RNG.gameplay.next() - 0.5) * amount * 2;
+    return pos;
+}
+
+/**
+ * Formation generators: (count, directions, area) → Array<{x, y}>
+ * @type {Object<string, Function>}
+ */
+export const FORMATIONS = {
+    /**
+     * Line - spread evenly along each edge, clear of the corners
+     */
+    line(count, directions, area) {
+        const padding = 50;
+
+        return acrossEdges(count, directions, (edge, n) =>
+            Array.from({ length: n }, (_, i) => {
+                const length = edgeLength(edge, area);
+                const t = (padding + (length - 2 * padding) * ((i + 0.5) / n)) / length;
+                return jitter(edgePoint(edge, t, 0, area), 10);
+            })
+        );
+    },
+
+    /**
+     * Ring - a full circle around the view that closes in on the player from every side
+     * (ignores directions)
+     */
+    ring(count, directions, area) {
+        const centerX = area.x + area.width / 2;
+        const centerY = area.y + area.height / 2;
+        const radius = Math.hypot(area.width, area.height) / 2 + area.margin;
+        const offset = RNG.gameplay.next() * Math.PI * 2;
+
+        return Array.from({ length: count }, (_, i) => {
+            const angle = offset + (Math.PI * 2 * i) / count;
+            return jitter({ x: centerX + Math.cos(angle) * radius, y: centerY + Math.sin(angle) * radius }, 4);
+        });
+    },
+
+    /**
+     * Wall - two dense ranks covering each edge corner to corner
+     */
+    wall(count, directions, area) {
+        const rankSpacing = 30;
+
+        return acrossEdges(count, directions, (edge, n) => {
+            const perRank = Math.ceil(n / 2);
+            return Array.from({ length: n }, (_, i) => {
+                const rank = Math.floor(i / perRank);
+                const t = ((i % perRank) + 0.5) / perRank;
+                return jitter(edgePoint(edge, t, rank * rankSpacing, area), 4);
+            });
+        });
+    },
+
+    /**
+     * V - a chevron per edge with its tip pointing at the player
+     */
+    v(count, directions, area) {
+        const spacing = 28;
+
+        return acrossEdges(count, directions, (edge, n) =>
+            Array.from({ length: n }, (_, i) => {
+                // 0 = tip, then alternate arms stepping back and out
+                const step = Math.ceil(i / 2);
+                const side = i % 2 === 0 ? 1 : -1;
+                const t = 0.5 + (side * step * spacing) / edgeLength(edge, area);
+                return jitter(edgePoint(edge, t, step * spacing * 0.8, area), 3);
+            })
+        );
+    },
+
+    /**
+     * Pincer - two lines closing from opposite edges (the first direction and its opposite)
+     */
+    pincer(count, directions, area) {
+        const edge = directions.length > 0 ? directions[0] : SPAWN_EDGE.LEFT;
+        return FORMATIONS.line(count, [edge, (edge + 2) % 4], area);
+    },
+
+    /**
+     * Cluster - a dense blob per edge at a random point along it
+     */
+    cluster(count, directions, area) {
+        return acrossEdges(count, directions, (edge, n) => {
+            const radius = 12 * Math.sqrt(n) + 20;
+            const center = edgePoint(edge, 0.2 + RNG.gameplay.next() * 0.6, radius, area);
+
+            return Array.from({ length: n }, () => {
+                const angle = RNG.gameplay.next() * Math.PI * 2;
+                const dist = Math.sqrt(RNG.gameplay.next()) * radius; // sqrt for uniform distribution
+                return { x: center.x + Math.cos(angle) * dist, y: center.y + Math.sin(angle) * dist };
+            });
+        });
+    }
+};
+
+Object.freeze(FORMATIONS);
+
+/**
+ * Gets a formation generator by name
+ * @param {string} name - Formation name (e.g. 'ring')
+ * @returns {Function|null} Generator or null
+ */
+export function getFormation(name) {
+    return Object.hasOwn(FORMATIONS, name) ? FORMATIONS[name] : null;
+}
+
+/**
+ * Clamps a spawn position into the world
+ * @param {{x: number, y: number}} pos - Position (modified)
+ * @returns {{x: number, y: number}}
+ */
+export function clampToWorld(pos) {
+    pos.x = Math.max(0, Math.min(GAME_CONFIG.WORLD.WIDTH, pos.x));
+    pos.y = Math.max(0, Math.min(GAME_CONFIG.WORLD.HEIGHT, pos.y));
+    return pos;
+}
@@ -0,0 +1,220 @@
+/**
+ * Spawn Placement - Validates and corrects spawn points before enemies are created
+ * Candidates from formations and the trickle are checked against the world bounds,
+ * registered obstacle checks and a minimum distance from the player. Rejected points
+ * are moved to a random point on a camera edge that lies inside the world, and
+ * remembered for the debug overlay (GAME_CONFIG.DEBUG.SHOW_SPAWN_POINTS)
+ * @module systems/SpawnPlacement
+ */
+
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { RNG } from '../utils/Random.js';
+import { SPAWN_EDGE, edgePoint, clampToWorld } from './SpawnFormations.js';
+
+/**
+ * Why a spawn point was rejected
+ * @readonly
+ * @enum {string}
+ */
+export const PLACEMENT_REJECT = {
+    BOUNDS: 'bounds',
+    OBSTACLE: 'obstacle',
+    PLAYER: 'player'
+};
+
+Object.freeze(PLACEMENT_REJECT);
+
+/**
+ * @typedef {Object} RejectedSpawn
+ * @property {number} x - World X of the rejected point
+ * @property {number} y - World Y
+ * @property {string} reason - PLACEMENT_REJECT value
+ * @property {number} age - Seconds since it was rejected
+ */
+
+/**
+ * Seconds a rejected point stays on the debug overlay
+ * @type {number}
+ */
+export const REJECTED_LIFETIME = 2;
+
+/** Most rejected points kept for the debug overlay */
+const MAX_REJECTED = 200;
+
+/**
+ * Checks spawn points and moves the ones that can't be used
+ */
+export class SpawnPlacement {
+    /**
+     * Creates a new SpawnPlacement
+     * @param {number} [minPlayerDistance] - Closest a spawn may be to the player
+     */
+    constructor(minPlayerDistance = GAME_CONFIG.SPAWN.MIN_PLAYER_DISTANCE) {
+        /** @type {number} Closest a spawn may be to the player */
+        this.minPlayerDistance = minPlayerDistance;
+
+        /** @type {number} Relocation attempts before falling back to clamping */
+        this.maxAttempts = GAME_CONFIG.SPAWN.PLACEMENT_ATTEMPTS;
+
+        /** @type {Array<Function>} Obstacle checks: (x, y) → true when the point is blocked */
+        this.obstacles = [];
+
+        /** @type {Array<RejectedSpawn>} Recently rejected points (debug overlay) */
+        this.rejected = [];
+
+        /** @type {Object<string, number>} Rejections this run, per reason */
+        this.rejectedCounts = this.createCounts();
+    }
+
+    /**
+     * Creates a zeroed rejection counter
+     * @returns {Object<string, number>}
+     * @private
+     */
+    createCounts() {
+        return Object.fromEntries(Object.values(PLACEMENT_REJECT).map(reason => [reason, 0]));
+    }
+
+    /**
+     * Registers an obstacle check (walls, pits, props...)
+     * @param {Function} isBlocked - (x, y) → true when an enemy can't spawn there
+     * @returns {Function} Removes the check again
+     */
+    addObstacle(isBlocked) {
+        this.obstacles.push(isBlocked);
+        return () => {
+            this.obstacles = this.obstacles.filter(check => check !== isBlocked);
+        };
+    }
+
+    /**
+     * Checks one spawn point
+     * @param {{x: number, y: number}} pos - Candidate position
+     * @param {{x: number, y: number}} playerPosition - Player position
+     * @returns {string|null} PLACEMENT_REJECT reason, or null if the point is usable
+     */
+    check(pos, playerPosition) {
+        if (pos.x < 0 || pos.y < 0 || pos.x > GAME_CONFIG.WORLD.WIDTH || pos.y > GAME_CONFIG.WORLD.HEIGHT) {
+            return PLACEMENT_REJECT.BOUNDS;
+        }
+        if (this.obstacles.some(isBlocked => isBlocked(pos.x, pos.y))) {
+            return PLACEMENT_REJECT.OBSTACLE;
+        }
+
+        const dx = pos.x - playerPosition.x;
+        const dy = pos.y - playerPosition.y;
+        if (dx * dx + dy * dy < this.minPlayerDistance * this.minPlayerDistance) {
+            return PLACEMENT_REJECT.PLAYER;
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the camera edges whose spawn line lies inside the world
+     * (near a world edge, the camera side facing it has nowhere to spawn)
+     * @param {SpawnArea} area - Spawn area
+     * @returns {Array<number>} SPAWN_EDGE values
+     */
+    getValidEdges(area) {
+        const { WIDTH, HEIGHT } = GAME_CONFIG.WORLD;
+        const valid = [];
+
+        if (area.y - area.margin >= 0) valid.push(SPAWN_EDGE.TOP);
+        if (area.x + area.width + area.margin <= WIDTH) valid.push(SPAWN_EDGE.RIGHT);
+        if (area.y + area.height + area.margin <= HEIGHT) valid.push(SPAWN_EDGE.BOTTOM);
+        if (area.x - area.margin >= 0) valid.push(SPAWN_EDGE.LEFT);
+
+        return valid;
+    }
+
+    /**
+     * Replaces wave directions that face out of the world with valid edges not already used
+     * (the opposite edge first). Directions with no replacement left are dropped, so the
+     * formation splits the wave across the remaining edges
+     * @param {Array<number>} directions - Requested SPAWN_EDGE values
+     * @param {SpawnArea} area - Spawn area
+     * @returns {Array<number>} Usable directions (empty only if no edge is valid)
+     */
+    redistributeDirections(directions, area) {
+        const valid = this.getValidEdges(area);
+        const result = directions.filter(edge => valid.includes(edge));
+
+        for (const edge of directions) {
+            if (valid.includes(edge)) continue;
+
+            const spare = [(edge + 2) % 4, ...valid].find(candidate => valid.includes(candidate) && !result.includes(candidate));
+            if (spare !== undefined) {
+                result.push(spare);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Validates spawn points, moving rejected ones to random points on valid edges
+     * Points that still can't be placed after maxAttempts are clamped into the world
+     * @param {Array<{x: number, y: number}>} positions - Candidate positions (modified)
+     * @param {SpawnArea} area - Spawn area
+     * @param {{x: number, y: number}} playerPosition - Player position
+     * @returns {Array<{x: number, y: number}>} Final positions, same order and length
+     */
+    place(positions, area, playerPosition) {
+        const edges = this.getValidEdges(area);
+
+        return positions.map(pos => {
+            let reason = this.check(pos, playerPosition);
+            if (reason === null) return pos;
+
+            this.reject(pos, reason);
+
+            for (let attempt = 0; attempt < this.maxAttempts && edges.length > 0; attempt++) {
+                const edge = edges[Math.floor(RNG.gameplay.next() * edges.length)];
+                const candidate = edgePoint(edge, RNG.gameplay.next(), 0, area);
+
+                reason = this.check(candidate, playerPosition);
+                if (reason === null) return candidate;
+
+                this.reject(candidate, reason);
+            }
+
+            return clampToWorld(pos);
+        });
+    }
+
+    /**
+     * Records a rejected point
+     * @param {{x: number, y: number}} pos - Rejected position
+     * @param {string} reason - PLACEMENT_REJECT value
+     * @private
+     */
+    reject(pos, reason) {
+        this.rejectedCounts[reason]++;
+        this.rejected.push({ x: pos.x, y: pos.y, reason, age: 0 });
+        if (this.rejected.length > MAX_REJECTED) {
+            this.rejected.shift();
+        }
+    }
+
+    /**
+     * Ages the rejected points shown on the debug overlay
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        if (this.rejected.length === 0) return;
+
+        this.rejected = this.rejected.filter(point => {
+            point.age += deltaTime;
+            return point.age < REJECTED_LIFETIME;
+        });
+    }
+
+    /**
+     * Clears the overlay and counters for a fresh run (obstacle checks stay registered)
+     */
+    reset() {
+        this.rejected = [];
+        this.rejectedCounts = this.createCounts();
+    }
+}
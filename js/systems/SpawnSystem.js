@@ -1,24 +1,27 @@
 /**
  * Spawn System - Handles enemy spawning at camera edges
- * Manages wave-based spawning and continuous pressure
- * Enemies spawn at the edge of the visible camera view (not world edge)
+ * Manages wave-based spawning and continuous pressure, driven by a stage timeline
+ * (see StageConfig) that sets the enemy pool, wave and trickle settings and
+ * fires scripted bursts and bosses
+ * Enemies spawn at the edge of the visible camera view (not world edge), placed by
+ * named formations (see SpawnFormations) and checked by SpawnPlacement (world bounds,
+ * obstacles, distance from the player). Map events (stampedes, ambushes, blackouts,
+ * treasure carriers) are scheduled by the MapEventSystem it owns
  * @module systems/SpawnSystem
  */
 
 import { Enemy } from '../entities/Enemy.js';
-import { getRandomEnemyType } from '../config/EnemyConfig.js';
+import { getRandomEnemyType, getEnemyType } from '../config/EnemyConfig.js';
+import { getStage } from '../config/StageConfig.js';
+import { rollEliteAffixes } from '../config/AffixConfig.js';
+import { getStatMultipliers } from '../config/ScalingConfig.js';
+import { RUN_CONFIG, getOvertimeMultipliers } from '../config/RunConfig.js';
 import { GAME_CONFIG } from '../config/GameConfig.js';
-
-/**
- * Spawn edge enumeration
- * @enum {number}
- */
-const SPAWN_EDGE = {
-    TOP: 0,
-    RIGHT: 1,
-    BOTTOM: 2,
-    LEFT: 3
-};
+import { RNG } from '../utils/Random.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
+import { SPAWN_EDGE, getFormation } from './SpawnFormations.js';
+import { SpawnPlacement } from './SpawnPlacement.js';
+import { MapEventSystem } from './MapEventSystem.js';
 
 /**
  * Handles enemy spawning at camera view edges using a hybrid Wave + Continuous system
@@ -28,14 +31,23 @@ export class SpawnSystem {
      * Creates a new SpawnSystem
      * @param {number} viewportWidth - Width of the viewport (camera view)
      * @param {number} viewportHeight - Height of the viewport (camera view)
+     * @param {GameClock} clock - Simulation clock handed to spawned enemies
+     * @param {EventBus} events - Event bus for wave events
+     * @param {string} [stageId] - Stage whose timeline drives spawning (defaults to GAME_CONFIG.SPAWN.STAGE)
      */
-    constructor(viewportWidth, viewportHeight) {
+    constructor(viewportWidth, viewportHeight, clock, events, stageId = GAME_CONFIG.SPAWN.STAGE) {
         /** @type {number} Viewport width */
         this.viewportWidth = viewportWidth;
 
         /** @type {number} Viewport height */
         this.viewportHeight = viewportHeight;
 
+        /** @type {GameClock} Simulation clock */
+        this.clock = clock;
+
+        /** @type {EventBus} Event bus */
+        this.events = events;
+
         /** @type {number} Spawn margin outside viewport */
         this.spawnMargin = GAME_CONFIG.SPAWN.MARGIN;
 
@@ -45,6 +57,38 @@ export class SpawnSystem {
         /** @type {number} Total game time */
         this.gameTime = 0;
 
+        // Stage Timeline Properties
+        /** @type {Object} Stage being played */
+        this.stage = getStage(stageId);
+        if (!this.stage) {
+            throw new Error(`Unknown stage: ${stageId}`);
+        }
+
+        /** @type {number} Index of the next timeline entry to fire */
+        this.timelineIndex = 0;
+
+        /** @type {Object<string, number>} Current spawn pool (enemy id → weight) */
+        this.enemyWeights = {};
+
+        /** @type {StageWave|null} Current wave settings */
+        this.waveSettings = null;
+
+        /** @type {number} Current seconds between continuous spawns */
+        this.trickleInterval = Infinity;
+
+        /** @type {number} Spawn pressure multiplier on wave size and wave/trickle rate (set by DirectorSystem) */
+        this.intensity = 1;
+
+        // Overtime (after a victory, see RunConfig)
+        /** @type {number|null} Game time overtime started at (null = not in overtime) */
+        this.overtimeStart = null;
+
+        /** @type {number} Seconds until the next overtime reaper */
+        this.reaperTimer = 0;
+
+        /** @type {number} Culled stragglers owed back - added to the next wave (see StragglerSystem) */
+        this.refunds = 0;
+
         // Wave Spawning Properties
         /** @type {number} Time since last wave */
         this.waveTimer = 0;
@@ -58,6 +102,15 @@ export class SpawnSystem {
 
         /** @type {{x: number, y: number}} Current camera position */
         this.cameraPosition = { x: 0, y: 0 };
+
+        /** @type {{x: number, y: number}|null} Current player position (null = camera center) */
+        this.playerPosition = null;
+
+        /** @type {SpawnPlacement} Spawn point validation and relocation */
+        this.placement = new SpawnPlacement();
+
+        /** @type {MapEventSystem} Scripted map events between waves */
+        this.mapEvents = new MapEventSystem(this);
     }
 
     /**
@@ -65,48 +118,75 @@ export class SpawnSystem {
      * @param {number} deltaTime - Time since last frame in seconds
      * @param {Array<Enemy>} enemies - Current enemy array
      * @param {Object} camera - Camera object with x, y position
+     * @param {{x: number, y: number}} [playerPosition] - Player position (spawns keep their distance)
      * @returns {Array<Enemy>} New enemies spawned this frame
      */
-    update(deltaTime, enemies, camera = null) {
+    update(deltaTime, enemies, camera = null, playerPosition = null) {
+        this.placement.update(deltaTime);
+
         if (!this.active) {
             return [];
         }
 
-        // Update camera position for spawning
+        // Update camera and player position for spawning
         if (camera) {
             this.cameraPosition = { x: camera.x, y: camera.y };
         }
+        if (playerPosition) {
+            this.playerPosition = { x: playerPosition.x, y: playerPosition.y };
+        }
 
         this.gameTime += deltaTime;
 
         const newEnemies = [];
         const currentEnemyCount = enemies.length;
 
+        // --- STAGE TIMELINE ---
+        while (this.timelineIndex < this.stage.timeline.length &&
+            this.stage.timeline[this.timelineIndex].time <= this.gameTime) {
+            const entry = this.stage.timeline[this.timelineIndex++];
+            this.applyTimelineEntry(entry);
+            newEnemies.push(...this.runScriptedSpawns(entry, currentEnemyCount + newEnemies.length));
+        }
+
+        // --- OVERTIME REAPERS (ignore the enemy cap, like bosses) ---
+        if (this.overtimeStart !== null) {
+            this.reaperTimer -= deltaTime;
+            if (this.reaperTimer <= 0) {
+                this.reaperTimer += RUN_CONFIG.REAPER.EVERY;
+                newEnemies.push(this.spawnReaper());
+            }
+        }
+
+        // --- MAP EVENTS (warned ahead on the HUD) ---
+        newEnemies.push(...this.mapEvents.update(deltaTime, currentEnemyCount + newEnemies.length));
+
         // Skip spawning if hard cap reached
-        if (currentEnemyCount >= this.maxEnemies) {
+        if (currentEnemyCount + newEnemies.length >= this.maxEnemies) {
             // Still update timers/logic even if full? 
             // Instructions say: "If enemy cap is reached, skip spawning but continue timers"
             this.waveTimer += deltaTime;
             this.continuousSpawnTimer += deltaTime;
 
             // If a wave triggers while full, we just reset timer and skip it
-            const waveParams = this.getWaveParameters(this.gameTime);
+            const waveParams = this.getWaveParameters();
             if (this.waveTimer >= waveParams.interval) {
                 this.waveTimer = 0;
             }
-            return [];
+            return newEnemies;
         }
 
         // --- WAVE SPAWNING ---
         this.waveTimer += deltaTime;
-        const waveParams = this.getWaveParameters(this.gameTime);
+        const waveParams = this.getWaveParameters();
 
         if (this.waveTimer >= waveParams.interval) {
             this.waveTimer = 0;
 
             // Calculate how many enemies we can spawn without exceeding cap
             const spaceAvailable = this.maxEnemies - (currentEnemyCount + newEnemies.length);
-            const actualWaveSize = Math.min(waveParams.size, spaceAvailable);
+            const actualWaveSize = Math.min(waveParams.size + this.refunds, spaceAvailable);
+            this.refunds = Math.max(0, this.refunds - Math.max(0, actualWaveSize - waveParams.size));
 
             if (actualWaveSize > 0) {
                 const directions = this.selectWaveDirections(
@@ -114,18 +194,25 @@ export class SpawnSystem {
                     waveParams.maxDirections
                 );
 
-                const waveEnemies = this.spawnWave(actualWaveSize, directions);
+                const formation = this.selectFormation(waveParams.formations);
+                const waveEnemies = this.spawnWave(actualWaveSize, directions, null, formation);
                 newEnemies.push(...waveEnemies);
 
-                console.log(`[SpawnSystem] WAVE: ${waveEnemies.length} enemies from ${directions.map(d => SPAWN_EDGE[d] || d).join(', ')}`);
+                console.log(`[SpawnSystem] WAVE: ${waveEnemies.length} enemies (${formation}) from ${directions.map(d => SPAWN_EDGE[d] || d).join(', ')}`);
+
+                this.events.emit(GAME_EVENTS.WAVE_STARTED, {
+                    size: waveEnemies.length,
+                    directions,
+                    formation,
+                    gameTime: this.gameTime
+                });
             }
         }
 
         // --- CONTINUOUS SPAWNING ---
         this.continuousSpawnTimer += deltaTime;
-        const continuousInterval = GAME_CONFIG.SPAWN.CONTINUOUS_INTERVAL;
 
-        if (this.continuousSpawnTimer >= continuousInterval) {
+        if (this.continuousSpawnTimer >= this.trickleInterval / this.getIntensity()) {
             this.continuousSpawnTimer = 0;
 
             // Spawn 1 enemy if space available
@@ -141,24 +228,164 @@ export class SpawnSystem {
     }
 
     /**
-     * Gets wave parameters based on game time brackets
-     * @param {number} gameTime - Current game time in seconds
-     * @returns {{interval: number, size: number, minDirections: number, maxDirections: number}}
+     * Applies the pool, wave and trickle settings of a timeline entry
+     * @param {TimelineEntry} entry - Timeline entry
+     */
+    applyTimelineEntry(entry) {
+        if (entry.enemies) {
+            this.enemyWeights = { ...entry.enemies };
+        }
+        if (entry.wave) {
+            this.waveSettings = { ...entry.wave };
+        }
+        if (entry.trickleInterval !== undefined) {
+            this.trickleInterval = entry.trickleInterval;
+        }
+
+        if (entry.label) {
+            console.log(`[SpawnSystem] ${this.getFormattedTime()} ${entry.label}`);
+        }
+    }
+
+    /**
+     * Spawns a timeline entry's one-off burst and boss
+     * @param {TimelineEntry} entry - Timeline entry
+     * @param {number} enemyCount - Enemies alive or already spawned this frame
+     * @returns {Array<Enemy>} Spawned enemies
      */
-    getWaveParameters(gameTime) {
-        const waves = GAME_CONFIG.SPAWN.WAVES;
+    runScriptedSpawns(entry, enemyCount) {
+        const spawned = [];
+
+        if (entry.spawn) {
+            const count = Math.min(entry.spawn.count, this.maxEnemies - enemyCount);
+            if (count > 0) {
+                const directions = this.selectWaveDirections(entry.spawn.directions, entry.spawn.directions);
+                spawned.push(...this.spawnWave(count, directions, getEnemyType(entry.spawn.enemy), entry.spawn.formation));
+            }
+        }
+
+        // Map events still get their warning
+        if (entry.event) {
+            this.mapEvents.queue(entry.event);
+        }
+
+        // Bosses ignore the enemy cap
+        if (entry.boss) {
+            const boss = this.spawnEnemy(getEnemyType(entry.boss.enemy));
+            boss.scaleStats({ health: entry.boss.health ?? 1, damage: entry.boss.damage ?? 1, xp: entry.boss.xp ?? 1 });
+            spawned.push(boss);
+
+            console.log(`[SpawnSystem] BOSS: ${boss.name} (${boss.maxHealth} HP)`);
+
+            this.events.emit(GAME_EVENTS.BOSS_SPAWNED, { boss });
+        }
+
+        return spawned;
+    }
 
-        // Find the matching wave config for current time
-        const config = waves.find(w => gameTime < w.TIME_LIMIT) || waves[waves.length - 1];
+    /**
+     * Switches to a stage and re-applies the settings of every timeline entry that already
+     * fired, without their one-off spawns (used when restoring a saved run)
+     * @param {string} stageId - Stage id
+     * @param {number} timelineIndex - Index of the next entry to fire
+     */
+    restoreTimeline(stageId, timelineIndex) {
+        this.stage = getStage(stageId);
+        this.timelineIndex = timelineIndex;
+        this.stage.timeline.slice(0, timelineIndex).forEach(entry => this.applyTimelineEntry(entry));
+    }
+
+    /**
+     * Switches the stage for a run that has not started yet
+     * @param {string} stageId - Stage id
+     */
+    setStage(stageId) {
+        const stage = getStage(stageId);
+        if (!stage) {
+            throw new Error(`Unknown stage: ${stageId}`);
+        }
+        this.stage = stage;
+    }
+
+    /**
+     * Gets the current spawn pressure: the director's intensity times the overtime growth
+     * @returns {number}
+     */
+    getIntensity() {
+        if (this.overtimeStart === null) return this.intensity;
+        return this.intensity * getOvertimeMultipliers(this.gameTime - this.overtimeStart).intensity;
+    }
+
+    /**
+     * Gets the current wave parameters set by the stage timeline, scaled by intensity
+     * (higher intensity = bigger, more frequent waves)
+     * @returns {StageWave}
+     */
+    getWaveParameters() {
+        const settings = this.waveSettings || { interval: Infinity, size: 0, minDirections: 0, maxDirections: 0 };
+        const intensity = this.getIntensity();
+        if (intensity === 1) return settings;
 
         return {
-            interval: config.INTERVAL,
-            size: config.SIZE,
-            minDirections: config.MIN_DIRS,
-            maxDirections: config.MAX_DIRS
+            ...settings,
+            interval: settings.interval / intensity,
+            size: Math.round(settings.size * intensity)
         };
     }
 
+    /**
+     * Gives a culled enemy's spawn back - it's added to the next wave
+     */
+    refund() {
+        this.refunds++;
+    }
+
+    /**
+     * Spawns a reaper (end of the run and every overtime minute)
+     * @returns {Enemy} The reaper
+     */
+    spawnReaper() {
+        const reaper = this.spawnEnemy(getEnemyType(RUN_CONFIG.REAPER.ENEMY));
+
+        console.log(`[SpawnSystem] ${this.getFormattedTime()} REAPER`);
+
+        this.events.emit(GAME_EVENTS.BOSS_SPAWNED, { boss: reaper });
+        return reaper;
+    }
+
+    /**
+     * Starts overtime: enemies keep getting tougher and more numerous, and another
+     * reaper arrives every RUN_CONFIG.REAPER.EVERY seconds
+     */
+    startOvertime() {
+        this.overtimeStart = this.gameTime;
+        this.reaperTimer = RUN_CONFIG.REAPER.EVERY;
+    }
+
+    /**
+     * Picks a wave formation using the stage's weights
+     * @param {Object<string, number>} [weights] - Formation name → weight (defaults to lines only)
+     * @returns {string} Formation name
+     */
+    selectFormation(weights) {
+        if (!weights) return 'line';
+
+        const names = Object.keys(weights);
+        if (names.length === 1) return names[0];
+
+        const totalWeight = names.reduce((sum, name) => sum + weights[name], 0);
+        let random = RNG.gameplay.next() * totalWeight;
+
+        for (const name of names) {
+            random -= weights[name];
+            if (random <= 0) {
+                return name;
+            }
+        }
+
+        return names[0];
+    }
+
     /**
      * Selects random spawn directions
      * @param {number} min - Minimum number of directions
@@ -166,12 +393,12 @@ export class SpawnSystem {
      * @returns {Array<number>} Array of SPAWN_EDGE values
      */
     selectWaveDirections(min, max) {
-        const count = Math.floor(Math.random() * (max - min + 1)) + min;
+        const count = Math.floor(RNG.gameplay.next() * (max - min + 1)) + min;
         const available = [SPAWN_EDGE.TOP, SPAWN_EDGE.RIGHT, SPAWN_EDGE.BOTTOM, SPAWN_EDGE.LEFT];
 
         // Shuffle and take 'count' elements
         for (let i = available.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(RNG.gameplay.next() * (i + 1));
             [available[i], available[j]] = [available[j], available[i]];
         }
 
@@ -179,97 +406,99 @@ export class SpawnSystem {
     }
 
     /**
-     * Spawns a wave of enemies distributed across directions
+     * Spawns a wave of enemies in a formation
      * @param {number} waveSize - Total enemies in this wave
      * @param {Array<number>} directions - Array of SPAWN_EDGE directions
+     * @param {Object} [enemyType] - Enemy type for every enemy (defaults to picks from the pool)
+     * @param {string} [formation] - Formation name (see SpawnFormations)
      * @returns {Array<Enemy>} Array of spawned enemies
      */
-    spawnWave(waveSize, directions) {
-        const generatedEnemies = [];
-        if (directions.length === 0) return generatedEnemies;
-
-        const enemiesPerDirection = Math.floor(waveSize / directions.length);
-        const remainder = waveSize % directions.length;
-
-        directions.forEach((edge, index) => {
-            // Add remainder to first few directions
-            const count = enemiesPerDirection + (index < remainder ? 1 : 0);
-
-            for (let i = 0; i < count; i++) {
-                const pos = this.getSpawnPositionForDirection(edge, i, count);
-                const enemyType = this.selectEnemyType();
-                const enemy = new Enemy(pos.x, pos.y, enemyType);
-                generatedEnemies.push(enemy);
-            }
-        });
+    spawnWave(waveSize, directions, enemyType = null, formation = 'line') {
+        const area = this.getSpawnArea();
+
+        // Edges facing out of the world hand their share to edges that have room
+        const usable = this.placement.redistributeDirections(directions, area);
+        const candidates = getFormation(formation)(waveSize, usable.length > 0 ? usable : directions, area);
 
-        return generatedEnemies;
+        return this.placement.place(candidates, area, this.getPlayerPosition()).map(pos =>
+            this.createEnemy(pos.x, pos.y, enemyType || this.selectEnemyType())
+        );
     }
 
     /**
-     * Calculates spawn position for a specific enemy in a wave line
-     * @param {number} edge - The edge to spawn on
-     * @param {number} index - Index of this enemy in the line
-     * @param {number} total - Total enemies in this line
-     * @returns {{x: number, y: number}}
+     * Spawns a single enemy at a random edge (Continuous Logic)
+     * @param {Object} [enemyType] - Enemy type (defaults to a pick from the pool)
+     * @returns {Enemy} The spawned enemy
      */
-    getSpawnPositionForDirection(edge, index, total) {
-        const margin = this.spawnMargin;
-        const camX = this.cameraPosition.x;
-        const camY = this.cameraPosition.y;
-
-        // Calculate spread factor (padding from corners)
-        const padding = 50;
+    spawnEnemy(enemyType = null) {
+        const area = this.getSpawnArea();
 
-        let x, y;
+        // Choose a random edge with room to spawn
+        const edges = this.placement.getValidEdges(area);
+        const edge = edges.length > 0
+            ? edges[Math.floor(RNG.gameplay.next() * edges.length)]
+            : Math.floor(RNG.gameplay.next() * 4);
+        const [{ x, y }] = this.placement.place([this.getSpawnPosition(edge)], area, this.getPlayerPosition());
 
-        // Linear interpolation factor (0.0 to 1.0)
-        // If total is 1, place in middle (0.5)
-        const t = (index + 0.5) / total;
-
-        switch (edge) {
-            case SPAWN_EDGE.TOP:
-                // Spread across Width
-                x = camX + padding + (this.viewportWidth - 2 * padding) * t;
-                y = camY - margin;
-                break;
-            case SPAWN_EDGE.BOTTOM:
-                // Spread across Width
-                x = camX + padding + (this.viewportWidth - 2 * padding) * t;
-                y = camY + this.viewportHeight + margin;
-                break;
-            case SPAWN_EDGE.LEFT:
-                // Spread across Height
-                x = camX - margin;
-                y = camY + padding + (this.viewportHeight - 2 * padding) * t;
-                break;
-            case SPAWN_EDGE.RIGHT:
-                // Spread across Height
-                x = camX + this.viewportWidth + margin;
-                y = camY + padding + (this.viewportHeight - 2 * padding) * t;
-                break;
-        }
+        return this.createEnemy(x, y, enemyType || this.selectEnemyType());
+    }
 
-        // Add slight randomness to x/y to prevent perfect lines
-        x += (Math.random() - 0.5) * 20;
-        y += (Math.random() - 0.5) * 20;
+    /**
+     * Gets the area just outside the camera view that enemies spawn in
+     * @returns {SpawnArea}
+     */
+    getSpawnArea() {
+        return {
+            x: this.cameraPosition.x,
+            y: this.cameraPosition.y,
+            width: this.viewportWidth,
+            height: this.viewportHeight,
+            margin: this.spawnMargin
+        };
+    }
 
-        return { x, y };
+    /**
+     * Gets the player position spawns keep their distance from
+     * @returns {{x: number, y: number}}
+     */
+    getPlayerPosition() {
+        return this.playerPosition || {
+            x: this.cameraPosition.x + this.viewportWidth / 2,
+            y: this.cameraPosition.y + this.viewportHeight / 2
+        };
     }
 
     /**
-     * Spawns a single enemy at a random edge (Continuous Logic)
-     * @returns {Enemy} The spawned enemy
+     * Creates an enemy with its stats scaled for the current game time (see ScalingConfig)
+     * and overtime (see RunConfig), rolling regular (non-boss) types for elite affixes
+     * The elite chance grows with game time (see AffixConfig)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} enemyType - Enemy type config
+     * @returns {Enemy} The new enemy
      */
-    spawnEnemy() {
-        // Choose a random edge
-        const edge = Math.floor(Math.random() * 4);
-        const { x, y } = this.getSpawnPosition(edge);
+    createEnemy(x, y, enemyType) {
+        const enemy = new Enemy(x, y, enemyType, this.clock);
+        const multipliers = getStatMultipliers(enemyType.id, this.gameTime);
+
+        if (this.overtimeStart !== null && !enemyType.boss) {
+            const { health, damage } = getOvertimeMultipliers(this.gameTime - this.overtimeStart);
+            multipliers.health *= health;
+            multipliers.damage *= damage;
+        }
 
-        // Get a random enemy type (Time-gated)
-        const enemyType = this.selectEnemyType();
+        enemy.scaleStats(multipliers);
+        enemy.spawnMultipliers = multipliers;
 
-        return new Enemy(x, y, enemyType);
+        if (!enemyType.boss) {
+            const affixes = rollEliteAffixes(this.gameTime);
+            if (affixes.length > 0) {
+                enemy.applyAffixes(affixes);
+                console.log(`[SpawnSystem] ELITE: ${enemy.name} (${affixes.join(', ')})`);
+            }
+        }
+
+        return enemy;
     }
 
     /**
@@ -285,23 +514,23 @@ export class SpawnSystem {
         switch (edge) {
             case SPAWN_EDGE.TOP:
                 return {
-                    x: camX + Math.random() * this.viewportWidth,
+                    x: camX + RNG.gameplay.next() * this.viewportWidth,
                     y: camY - margin
                 };
             case SPAWN_EDGE.RIGHT:
                 return {
                     x: camX + this.viewportWidth + margin,
-                    y: camY + Math.random() * this.viewportHeight
+                    y: camY + RNG.gameplay.next() * this.viewportHeight
                 };
             case SPAWN_EDGE.BOTTOM:
                 return {
-                    x: camX + Math.random() * this.viewportWidth,
+                    x: camX + RNG.gameplay.next() * this.viewportWidth,
                     y: camY + this.viewportHeight + margin
                 };
             case SPAWN_EDGE.LEFT:
                 return {
                     x: camX - margin,
-                    y: camY + Math.random() * this.viewportHeight
+                    y: camY + RNG.gameplay.next() * this.viewportHeight
                 };
             default:
                 return { x: camX - margin, y: camY - margin };
@@ -329,8 +558,19 @@ export class SpawnSystem {
         this.waveTimer = 0;
         this.continuousSpawnTimer = 0;
         this.gameTime = 0;
+        this.timelineIndex = 0;
+        this.enemyWeights = {};
+        this.waveSettings = null;
+        this.trickleInterval = Infinity;
+        this.intensity = 1;
+        this.overtimeStart = null;
+        this.reaperTimer = 0;
+        this.refunds = 0;
         this.active = true;
         this.cameraPosition = { x: 0, y: 0 };
+        this.playerPosition = null;
+        this.placement.reset();
+        this.mapEvents.reset();
     }
 
     /**
@@ -352,35 +592,18 @@ export class SpawnSystem {
     }
 
     /**
-     * Determines which enemy types are unlocked based on game time
-     * @param {number} gameTime - Current game time in seconds
+     * Gets the enemy types in the current stage pool
      * @returns {Array<string>} Array of allowed enemy IDs
      */
-    getAvailableEnemyTypes(gameTime) {
-        // Always available
-        const types = ['basic', 'fast'];
-
-        // Unlock Ranger at 2:00 (120s)
-        if (gameTime >= 120) types.push('ranger');
-
-        // Unlock Tank at 4:00 (240s)
-        if (gameTime >= 240) types.push('tank');
-
-        // Unlock Swarm at 7:00 (420s)
-        if (gameTime >= 420) types.push('swarm');
-
-        return types;
+    getAvailableEnemyTypes() {
+        return Object.keys(this.enemyWeights);
     }
 
     /**
-     * Selects an enemy type from the currently available pool
+     * Selects an enemy type from the current stage pool using its weights
      * @returns {Object} Selected enemy type config
      */
     selectEnemyType() {
-        // Get allowed types for current time
-        const available = this.getAvailableEnemyTypes(this.gameTime);
-
-        // Pass to weighted random selector
-        return getRandomEnemyType(available);
+        return getRandomEnemyType(this.getAvailableEnemyTypes(), this.enemyWeights);
     }
 }
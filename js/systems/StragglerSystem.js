@@ -0,0 +1,170 @@
+/**
+ * Straggler System - Deals with enemies left far behind the player
+ * Enemies that stay more than GAME_CONFIG.SPAWN.STRAGGLER_DISTANCE outside the camera view
+ * for STRAGGLER_DELAY seconds never catch up, yet hold a slot under the enemy cap and cost
+ * an update every tick. They are either moved to a valid spawn point on the camera edge the
+ * player is heading toward, or culled and refunded to the SpawnSystem, which adds them to
+ * its next wave. Bosses and map event enemies (stampedes, carriers) are left alone
+ * @module systems/StragglerSystem
+ */
+
+import { GAME_CONFIG } from '../config/GameConfig.js';
+import { RNG } from '../utils/Random.js';
+import { SPAWN_EDGE, edgePoint } from './SpawnFormations.js';
+
+/**
+ * What happens to a straggler
+ * @readonly
+ * @enum {string}
+ */
+export const STRAGGLER_MODE = {
+    /** Move it to a spawn point ahead of the player (keeps health and affixes) */
+    RELOCATE: 'relocate',
+
+    /** Remove it and give its spawn back to the SpawnSystem */
+    CULL: 'cull'
+};
+
+Object.freeze(STRAGGLER_MODE);
+
+/**
+ * Outward direction of each camera edge
+ * @type {Object<number, {x: number, y: number}>}
+ */
+const EDGE_NORMALS = {
+    [SPAWN_EDGE.TOP]: { x: 0, y: -1 },
+    [SPAWN_EDGE.RIGHT]: { x: 1, y: 0 },
+    [SPAWN_EDGE.BOTTOM]: { x: 0, y: 1 },
+    [SPAWN_EDGE.LEFT]: { x: -1, y: 0 }
+};
+
+/**
+ * Relocates or culls enemies that stay far outside the camera view
+ */
+export class StragglerSystem {
+    /**
+     * Creates a new StragglerSystem
+     * @param {SpawnSystem} spawnSystem - Spawn system that provides spawn points and takes refunds
+     */
+    constructor(spawnSystem) {
+        /** @type {SpawnSystem} Spawn system */
+        this.spawnSystem = spawnSystem;
+
+        /** @type {string} STRAGGLER_MODE value */
+        this.mode = GAME_CONFIG.SPAWN.STRAGGLER_MODE;
+
+        /** @type {number} Pixels outside the camera view before an enemy counts as a straggler */
+        this.distance = GAME_CONFIG.SPAWN.STRAGGLER_DISTANCE;
+
+        /** @type {number} Seconds an enemy must stay that far before it's dealt with */
+        this.delay = GAME_CONFIG.SPAWN.STRAGGLER_DELAY;
+
+        /** @type {number} Enemies relocated this run */
+        this.relocatedCount = 0;
+
+        /** @type {number} Enemies culled (and refunded) this run */
+        this.culledCount = 0;
+    }
+
+    /**
+     * Times how long each enemy has been far away and deals with the ones past the delay
+     * Culled enemies are marked as escaped (removed without counting as kills)
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Array<Enemy>} enemies - Current enemies
+     * @param {Camera} camera - Camera (view bounds)
+     * @param {Player} player - Player (position and movement direction)
+     */
+    update(deltaTime, enemies, camera, player) {
+        const view = camera.getVisibleBounds();
+
+        for (const enemy of enemies) {
+            if (!enemy.alive || enemy.dying || enemy.bossConfig || enemy.escapeTimer !== null) continue;
+
+            // Distance outside the view rectangle (0 while on screen)
+            const dx = Math.max(view.left - enemy.position.x, 0, enemy.position.x - view.right);
+            const dy = Math.max(view.top - enemy.position.y, 0, enemy.position.y - view.bottom);
+            if (dx * dx + dy * dy <= this.distance * this.distance) {
+                enemy.offscreenTime = 0;
+                continue;
+            }
+
+            enemy.offscreenTime += deltaTime;
+            if (enemy.offscreenTime < this.delay) continue;
+
+            if (this.mode === STRAGGLER_MODE.CULL) {
+                this.cull(enemy);
+            } else {
+                this.relocate(enemy, player);
+            }
+        }
+    }
+
+    /**
+     * Moves an enemy to a spawn point on the camera edge the player is heading toward
+     * @param {Enemy} enemy - Straggler
+     * @param {Player} player - Player
+     * @private
+     */
+    relocate(enemy, player) {
+        const spawnSystem = this.spawnSystem;
+        const area = spawnSystem.getSpawnArea();
+        const edge = this.getEdgeAhead(player.velocity, area);
+
+        // Middle stretch of the edge, straight ahead rather than off to the side
+        const candidate = edgePoint(edge, 0.2 + RNG.gameplay.next() * 0.6, 0, area);
+        const [pos] = spawnSystem.placement.place([candidate], area, player.position);
+
+        // Teleport - no interpolation from the old position
+        enemy.position.set(pos.x, pos.y);
+        enemy.prevX = pos.x;
+        enemy.prevY = pos.y;
+        enemy.offscreenTime = 0;
+        this.relocatedCount++;
+    }
+
+    /**
+     * Removes an enemy and gives its spawn back to the SpawnSystem (next wave)
+     * @param {Enemy} enemy - Straggler
+     * @private
+     */
+    cull(enemy) {
+        enemy.escaped = true;
+        this.spawnSystem.refund();
+        this.culledCount++;
+    }
+
+    /**
+     * Picks the camera edge (with room to spawn) that best matches the player's movement
+     * A standing player gets a random edge
+     * @param {{x: number, y: number}} velocity - Player velocity
+     * @param {SpawnArea} area - Spawn area
+     * @returns {number} SPAWN_EDGE value
+     */
+    getEdgeAhead(velocity, area) {
+        const valid = this.spawnSystem.placement.getValidEdges(area);
+        const edges = valid.length > 0 ? valid : Object.values(SPAWN_EDGE);
+
+        if (velocity.x === 0 && velocity.y === 0) {
+            return edges[Math.floor(RNG.gameplay.next() * edges.length)];
+        }
+
+        const ahead = edge => EDGE_NORMALS[edge].x * velocity.x + EDGE_NORMALS[edge].y * velocity.y;
+        return edges.reduce((best, edge) => (ahead(edge) > ahead(best) ? edge : best));
+    }
+
+    /**
+     * Gets this run's straggler counts (debug stats)
+     * @returns {{relocated: number, culled: number}}
+     */
+    getStats() {
+        return { relocated: this.relocatedCount, culled: this.culledCount };
+    }
+
+    /**
+     * Clears the counts for a fresh run
+     */
+    reset() {
+        this.relocatedCount = 0;
+        this.culledCount = 0;
+    }
+}
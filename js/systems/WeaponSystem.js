@@ -9,6 +9,20 @@ import { OrbitDrone } from '../entities/OrbitDrone.js';
 import { Mine } from '../entities/Mine.js';
 import { getEffectiveWeaponStats } from '../config/WeaponConfig.js';
 import { Vector2D } from '../utils/Vector2D.js';
+import { GAME_EVENTS } from '../core/EventBus.js';
+
+/**
+ * Squared distance used to rank targets: an enemy's targetPriority divides its distance,
+ * so support enemies (priority 2) are picked over regular ones up to twice as close
+ * @param {Enemy} enemy - Candidate target
+ * @param {Vector2D} position - Origin position
+ * @returns {number}
+ */
+function targetDistanceSq(enemy, position) {
+    const dx = enemy.position.x - position.x;
+    const dy = enemy.position.y - position.y;
+    return (dx * dx + dy * dy) / (enemy.targetPriority * enemy.targetPriority);
+}
 
 /**
  * Manages weapon behavior and projectile creation
@@ -16,8 +30,12 @@ import { Vector2D } from '../utils/Vector2D.js';
 export class WeaponSystem {
     /**
      * Creates a new WeaponSystem
+     * @param {EventBus} events - Event bus for weapon and aura damage events
      */
-    constructor() {
+    constructor(events) {
+        /** @type {EventBus} Event bus */
+        this.events = events;
+
         /** @type {number} Maximum projectiles allowed on screen */
         this.maxProjectiles = 300;
 
@@ -68,6 +86,7 @@ export class WeaponSystem {
                     this.deployMine(player.position, stats);
                     // Use calculated stats.cooldown (includes reduction)
                     weapon.cooldown = stats.cooldown;
+                    this.events.emit(GAME_EVENTS.WEAPON_FIRED, { weapon, count: 1 });
                 }
                 continue;
             }
@@ -83,10 +102,12 @@ export class WeaponSystem {
                     const hits = this.processAuraWeapon(player, enemies, weapon, stats);
                     auraHits.push(...hits);
                     weapon.cooldown = stats.cooldown;
+                    this.events.emit(GAME_EVENTS.WEAPON_FIRED, { weapon, count: hits.length });
 
                 } else if (weapon.type === 'projectile_directional') {
                     // Directional (Knife): Fire in movement direction or nearest enemy
                     let baseDirection = null;
+                    const firedBefore = newProjectiles.length;
                     const velMag = player.velocity ? player.velocity.magnitude() : 0;
 
                     if (velMag > 0.1) {
@@ -117,6 +138,7 @@ export class WeaponSystem {
                             newProjectiles.push(...fired);
                         }
                         weapon.cooldown = stats.cooldown;
+                        this.events.emit(GAME_EVENTS.WEAPON_FIRED, { weapon, count: newProjectiles.length - firedBefore });
                     }
 
                 } else if (weapon.type === 'projectile_spread' || weapon.type === 'projectile_homing' || weapon.type === 'projectile') {
@@ -129,6 +151,7 @@ export class WeaponSystem {
                         const fired = this.fireMultiTargetWeapon(player, player.position, targets, weapon, stats, projectiles.length + newProjectiles.length);
                         newProjectiles.push(...fired);
                         weapon.cooldown = stats.cooldown;
+                        this.events.emit(GAME_EVENTS.WEAPON_FIRED, { weapon, count: fired.length });
                     }
                 }
             }
@@ -263,7 +286,7 @@ export class WeaponSystem {
             const dy = enemy.position.y - player.position.y;
             const distSq = dx * dx + dy * dy;
 
-            if (distSq <= rangeSq) {
+            if (distSq <= rangeSq && !enemy.dying) {
                 // Damage is fully calculated in stats.damage (includes passive mult)
                 const killed = enemy.takeDamage(stats.damage);
                 hits.push({
@@ -272,6 +295,14 @@ export class WeaponSystem {
                     killed,
                     weaponId: weapon.id
                 });
+
+                this.events.emit(GAME_EVENTS.ENEMY_DAMAGED, {
+                    enemy,
+                    amount: enemy.lastDamageTaken,
+                    absorbed: enemy.lastShieldAbsorbed,
+                    source: 'aura',
+                    killed
+                });
             }
         }
         return hits;
@@ -368,14 +399,18 @@ export class WeaponSystem {
         return projectiles;
     }
 
+    /**
+     * Find the best target - the nearest enemy, weighted by target priority
+     * @param {Vector2D} position - Origin position
+     * @param {Array} enemies - All enemies
+     * @returns {Object|null} Target enemy, or null if there are none
+     */
     findNearestEnemy(position, enemies) {
         let nearest = null;
         let nearestDistSq = Infinity;
         for (const enemy of enemies) {
             if (!enemy.alive) continue;
-            const dx = enemy.position.x - position.x;
-            const dy = enemy.position.y - position.y;
-            const distSq = dx * dx + dy * dy;
+            const distSq = targetDistanceSq(enemy, position);
             if (distSq < nearestDistSq) {
                 nearestDistSq = distSq;
                 nearest = enemy;
@@ -385,7 +420,7 @@ export class WeaponSystem {
     }
 
     /**
-     * Find multiple enemies sorted by distance
+     * Find multiple enemies sorted by distance, weighted by target priority
      * @param {Vector2D} position - Origin position
      * @param {Array} enemies - All enemies
      * @param {number} count - How many to find
@@ -394,14 +429,8 @@ export class WeaponSystem {
     findMultipleTargets(position, enemies, count) {
         const living = enemies.filter(e => e.alive);
 
-        // Sort by distance
-        living.sort((a, b) => {
-            const dxA = a.position.x - position.x;
-            const dyA = a.position.y - position.y;
-            const dxB = b.position.x - position.x;
-            const dyB = b.position.y - position.y;
-            return (dxA * dxA + dyA * dyA) - (dxB * dxB + dyB * dyB);
-        });
+        // Sort by distance (support enemies first)
+        living.sort((a, b) => targetDistanceSq(a, position) - targetDistanceSq(b, position));
 
         return living.slice(0, count);
     }
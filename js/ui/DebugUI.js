@@ -1,12 +1,32 @@
 /**
  * Debug UI - In-game debug menu for testing
- * Access with mouse click on debug button
+ * Access with mouse click on debug button. Time controls also have keyboard shortcuts:
+ * [ / ] slower / faster, \ real time, P hold ticks, . step one tick
  * @module ui/DebugUI
  */
 
 import { WEAPON_TYPES, createWeapon } from '../config/WeaponConfig.js';
 import { PassiveConfig } from '../config/PassiveConfig.js';
 import { GAME_CONFIG } from '../config/GameConfig.js';
+import { getStatMultipliers } from '../config/ScalingConfig.js';
+
+/**
+ * Time scale presets cycled by the time controls
+ * @type {Array<number>}
+ */
+const TIME_SCALE_STEPS = [0.1, 0.25, 0.5, 1, 2, 4, 8];
+
+/**
+ * Keyboard shortcuts for the time controls (KeyboardEvent.code → debug action)
+ * @type {Object<string, string>}
+ */
+const TIME_KEYS = {
+    BracketLeft: 'slowDown',
+    BracketRight: 'speedUp',
+    Backslash: 'realTime',
+    KeyP: 'toggleFreeze',
+    Period: 'stepTick'
+};
 
 /**
  * Debug menu UI component
@@ -26,7 +46,7 @@ export class DebugUI {
         /** @type {boolean} Whether debug panel is open */
         this.isOpen = false;
 
-        /** @type {number} Current tab (0=Weapons, 1=Passives, 2=Cheats) */
+        /** @type {number} Current tab (0=Weapons, 1=Passives, 2=Cheats, 3=Time) */
         this.currentTab = 0;
 
         /** @type {number} Scroll offset for lists */
@@ -50,10 +70,14 @@ export class DebugUI {
         // Bind event handlers
         this._handleClick = this._handleClick.bind(this);
         this._handleWheel = this._handleWheel.bind(this);
+        this._handleKeyDown = this._handleKeyDown.bind(this);
 
         // Attach click listener
         canvas.addEventListener('click', this._handleClick);
         canvas.addEventListener('wheel', this._handleWheel);
+
+        // Time shortcuts are read here rather than per tick so they still work while ticks are held
+        window.addEventListener('keydown', this._handleKeyDown);
     }
 
     /**
@@ -65,6 +89,7 @@ export class DebugUI {
 
         // Always draw debug toggle button
         this._drawDebugButton(ctx);
+        this._drawTimeIndicator(ctx, game);
 
         // Draw panel if open
         if (this.isOpen) {
@@ -97,6 +122,27 @@ export class DebugUI {
         ctx.restore();
     }
 
+    /**
+     * Draws the time scale next to the debug button while it isn't real time
+     */
+    _drawTimeIndicator(ctx, game) {
+        const loop = game.gameLoop;
+        if (!loop.isFrozen() && loop.getTimeScale() === 1) return;
+
+        ctx.save();
+        ctx.font = 'bold 12px monospace';
+        ctx.fillStyle = '#ffff00';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        const label = loop.isFrozen()
+            ? `HOLD  tick ${loop.tickCount}  [.] step`
+            : `SPEED x${loop.getTimeScale()}`;
+        ctx.fillText(label, this.buttonX + this.buttonWidth + 10, this.buttonY + this.buttonHeight / 2);
+
+        ctx.restore();
+    }
+
     /**
      * Draws the debug panel
      */
@@ -136,6 +182,9 @@ export class DebugUI {
             case 2:
                 this._drawCheatsTab(ctx, game, contentY, contentHeight);
                 break;
+            case 3:
+                this._drawTimeTab(ctx, game, contentY, contentHeight);
+                break;
         }
 
         ctx.restore();
@@ -145,8 +194,8 @@ export class DebugUI {
      * Draws tab buttons
      */
     _drawTabs(ctx) {
-        const tabs = ['Weapons', 'Passives', 'Cheats'];
-        const tabWidth = 80;
+        const tabs = ['Weapons', 'Passives', 'Cheats', 'Time'];
+        const tabWidth = 60;
         const tabHeight = 22;
         const startX = this.panelX + 15;
         const tabY = this.panelY + 35;
@@ -198,8 +247,8 @@ export class DebugUI {
             if (y < startY - itemHeight || y > startY + height) return;
 
             // Check if player has this weapon
-            const hasWeapon = game.player.weapons.some(w => w.id === weapon.id);
-            const playerWeapon = game.player.weapons.find(w => w.id === weapon.id);
+            const hasWeapon = game.simulation.player.weapons.some(w => w.id === weapon.id);
+            const playerWeapon = game.simulation.player.weapons.find(w => w.id === weapon.id);
 
             // Item background
             ctx.fillStyle = hasWeapon ? '#223322' : '#222222';
@@ -263,8 +312,8 @@ export class DebugUI {
             if (y < startY - itemHeight || y > startY + height) return;
 
             // Check if player has this passive
-            const hasPassive = game.player.passiveItems.some(p => p.id === passive.id);
-            const playerPassive = game.player.passiveItems.find(p => p.id === passive.id);
+            const hasPassive = game.simulation.player.passiveItems.some(p => p.id === passive.id);
+            const playerPassive = game.simulation.player.passiveItems.find(p => p.id === passive.id);
 
             // Item background
             ctx.fillStyle = hasPassive ? '#223322' : '#222222';
@@ -348,6 +397,30 @@ export class DebugUI {
 
         y += 40;
 
+        // Spawn point overlay toggle (with rejection counts for this run)
+        const showSpawns = GAME_CONFIG.DEBUG.SHOW_SPAWN_POINTS;
+        const rejected = game.simulation.spawnSystem.placement.rejectedCounts;
+        ctx.fillStyle = showSpawns ? '#223322' : '#222222';
+        ctx.fillRect(x, y, width, 30);
+        ctx.strokeStyle = showSpawns ? '#00ff00' : '#444444';
+        ctx.strokeRect(x, y, width, 30);
+
+        ctx.fillStyle = showSpawns ? '#00ff00' : '#cccccc';
+        ctx.fillText('Spawn Points', x + 10, y + 12);
+        ctx.fillStyle = '#888888';
+        ctx.fillText(`Rejected: ${rejected.bounds} out / ${rejected.player} near / ${rejected.obstacle} obst`, x + 10, y + 24);
+
+        ctx.fillStyle = showSpawns ? '#00ff00' : '#666666';
+        ctx.fillText(showSpawns ? '[ON]' : '[OFF]', x + width - 40, y + 12);
+
+        this.clickRegions.push({
+            x, y, width, height: 30,
+            action: 'toggleSpawnPoints',
+            data: null
+        });
+
+        y += 40;
+
         // XP Injection buttons
         ctx.fillStyle = '#cccccc';
         ctx.fillText('Inject XP:', x + 10, y + 12);
@@ -435,11 +508,120 @@ export class DebugUI {
         ctx.font = '10px monospace';
         ctx.fillStyle = '#666666';
         ctx.textAlign = 'left';
-        ctx.fillText(`Player Level: ${game.player.level}`, x + 10, y + 10);
-        ctx.fillText(`XP: ${game.player.experience}/${game.experienceSystem.xpForLevel(game.player.level)}`, x + 10, y + 22);
-        ctx.fillText(`Enemies: ${game.gameState.enemies.length}`, x + 10, y + 34);
-        ctx.fillText(`Weapons: ${game.player.weapons.length}/${GAME_CONFIG.INVENTORY.MAX_WEAPONS}`, x + 130, y + 10);
-        ctx.fillText(`Passives: ${game.player.passiveItems.length}/${GAME_CONFIG.INVENTORY.MAX_PASSIVES}`, x + 130, y + 22);
+        ctx.fillText(`Player Level: ${game.simulation.player.level}`, x + 10, y + 10);
+        ctx.fillText(`XP: ${game.simulation.player.experience}/${game.simulation.experienceSystem.xpForLevel(game.simulation.player.level)}`, x + 10, y + 22);
+        ctx.fillText(`Enemies: ${game.simulation.gameState.enemies.length}`, x + 10, y + 34);
+        ctx.fillText(`Weapons: ${game.simulation.player.weapons.length}/${GAME_CONFIG.INVENTORY.MAX_WEAPONS}`, x + 130, y + 10);
+        ctx.fillText(`Passives: ${game.simulation.player.passiveItems.length}/${GAME_CONFIG.INVENTORY.MAX_PASSIVES}`, x + 130, y + 22);
+        const stragglers = game.simulation.stragglerSystem.getStats();
+        ctx.fillText(`Moved: ${stragglers.relocated}  Culled: ${stragglers.culled}`, x + 130, y + 34);
+    }
+
+    /**
+     * Draws time controls tab content
+     */
+    _drawTimeTab(ctx, game, startY, height) {
+        const loop = game.gameLoop;
+        const x = this.panelX + 15;
+        const width = this.panelWidth - 30;
+        let y = startY;
+
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'left';
+
+        // Speed presets (two rows)
+        ctx.fillStyle = '#cccccc';
+        ctx.fillText('Speed:', x + 10, y + 12);
+        y += 20;
+
+        const btnWidth = 55;
+        const perRow = 4;
+
+        TIME_SCALE_STEPS.forEach((scale, i) => {
+            const btnX = x + (i % perRow) * (btnWidth + 5);
+            const btnY = y + Math.floor(i / perRow) * 27;
+            const selected = loop.getTimeScale() === scale;
+
+            ctx.fillStyle = selected ? '#336633' : '#333355';
+            ctx.fillRect(btnX, btnY, btnWidth, 22);
+            ctx.strokeStyle = selected ? '#00ff00' : '#6666aa';
+            ctx.strokeRect(btnX, btnY, btnWidth, 22);
+
+            ctx.fillStyle = selected ? '#00ff00' : '#ffffff';
+            ctx.textAlign = 'center';
+            ctx.fillText(`x${scale}`, btnX + btnWidth / 2, btnY + 14);
+
+            this.clickRegions.push({
+                x: btnX, y: btnY, width: btnWidth, height: 22,
+                action: 'setTimeScale',
+                data: scale
+            });
+        });
+
+        y += 27 * Math.ceil(TIME_SCALE_STEPS.length / perRow) + 10;
+
+        // Hold toggle
+        const frozen = loop.isFrozen();
+        ctx.fillStyle = frozen ? '#223322' : '#222222';
+        ctx.fillRect(x, y, width, 30);
+        ctx.strokeStyle = frozen ? '#00ff00' : '#444444';
+        ctx.strokeRect(x, y, width, 30);
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = frozen ? '#00ff00' : '#cccccc';
+        ctx.fillText('Hold Ticks', x + 10, y + 12);
+        ctx.fillStyle = '#888888';
+        ctx.fillText('Pause simulation, keep rendering', x + 10, y + 24);
+
+        ctx.fillStyle = frozen ? '#00ff00' : '#666666';
+        ctx.fillText(frozen ? '[ON]' : '[OFF]', x + width - 40, y + 18);
+
+        this.clickRegions.push({
+            x, y, width, height: 30,
+            action: 'toggleFreeze',
+            data: null
+        });
+
+        y += 40;
+
+        // Single tick step (only meaningful while held)
+        ctx.fillStyle = frozen ? '#335533' : '#222222';
+        ctx.fillRect(x, y, width, 28);
+        ctx.strokeStyle = frozen ? '#66aa66' : '#444444';
+        ctx.strokeRect(x, y, width, 28);
+
+        ctx.fillStyle = frozen ? '#00ff00' : '#666666';
+        ctx.textAlign = 'center';
+        ctx.fillText('▶| STEP ONE TICK', x + width / 2, y + 18);
+
+        this.clickRegions.push({
+            x, y, width, height: 28,
+            action: 'stepTick',
+            data: null
+        });
+
+        y += 38;
+
+        // Loop readout and shortcuts
+        ctx.font = '10px monospace';
+        ctx.fillStyle = '#666666';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Tick: ${loop.tickCount}  Game Time: ${game.simulation.gameTime.toFixed(2)}s`, x + 10, y + 10);
+        ctx.fillText('Keys: [ ] speed  \\ x1  P hold  . step', x + 10, y + 26);
+
+        y += 40;
+
+        // Stat multipliers a spawn would get right now, per enemy type in the pool
+        const spawnSystem = game.simulation.spawnSystem;
+        ctx.fillStyle = '#cccccc';
+        ctx.fillText(`${`Scaling @ ${spawnSystem.getFormattedTime()}`.padEnd(20)} HP   DMG   SPD`, x + 10, y);
+
+        ctx.fillStyle = '#888888';
+        spawnSystem.getAvailableEnemyTypes().forEach((id, i) => {
+            const m = getStatMultipliers(id, spawnSystem.gameTime);
+            const row = `${id.padEnd(20)}x${m.health.toFixed(2)} x${m.damage.toFixed(2)} x${m.speed.toFixed(2)}`;
+            ctx.fillText(row, x + 10, y + 13 * (i + 1));
+        });
     }
 
     /**
@@ -489,6 +671,16 @@ export class DebugUI {
         }
     }
 
+    /**
+     * Handles time control shortcuts
+     */
+    _handleKeyDown(event) {
+        const action = TIME_KEYS[event.code];
+        if (action) {
+            this._handleAction(action, null);
+        }
+    }
+
     /**
      * Handles debug actions
      */
@@ -504,22 +696,22 @@ export class DebugUI {
                 break;
 
             case 'addWeapon':
-                game.player.addWeapon(data);
+                game.simulation.player.addWeapon(data);
                 console.log(`[DEBUG] Added weapon: ${data}`);
                 break;
 
             case 'upgradeWeapon':
-                game.player.upgradeWeapon(data);
+                game.simulation.player.upgradeWeapon(data);
                 console.log(`[DEBUG] Upgraded weapon: ${data}`);
                 break;
 
             case 'addPassive':
-                game.player.addPassiveItem(data);
+                game.simulation.player.addPassiveItem(data);
                 console.log(`[DEBUG] Added passive: ${data}`);
                 break;
 
             case 'upgradePassive':
-                game.player.upgradePassiveItem(data);
+                game.simulation.player.upgradePassiveItem(data);
                 console.log(`[DEBUG] Upgraded passive: ${data}`);
                 break;
 
@@ -528,19 +720,24 @@ export class DebugUI {
                 console.log(`[DEBUG] God Mode: ${GAME_CONFIG.DEBUG.GOD_MODE ? 'ON' : 'OFF'}`);
                 break;
 
+            case 'toggleSpawnPoints':
+                GAME_CONFIG.DEBUG.SHOW_SPAWN_POINTS = !GAME_CONFIG.DEBUG.SHOW_SPAWN_POINTS;
+                console.log(`[DEBUG] Spawn points: ${GAME_CONFIG.DEBUG.SHOW_SPAWN_POINTS ? 'ON' : 'OFF'}`);
+                break;
+
             case 'injectXP':
-                game.player.experience += data;
+                game.simulation.player.experience += data;
                 console.log(`[DEBUG] Injected ${data} XP`);
                 break;
 
             case 'levelUp':
-                game.experienceSystem.triggerLevelUp(game.player);
+                game.simulation.experienceSystem.triggerLevelUp(game.simulation.player);
                 console.log(`[DEBUG] Triggered level up`);
                 break;
 
             case 'killAllEnemies':
                 let killed = 0;
-                for (const enemy of game.gameState.enemies) {
+                for (const enemy of game.simulation.gameState.enemies) {
                     if (enemy.alive) {
                         enemy.alive = false;
                         enemy.health = 0;
@@ -551,9 +748,38 @@ export class DebugUI {
                 break;
 
             case 'fullHeal':
-                game.player.health = game.player.getEffectiveMaxHealth();
+                game.simulation.player.health = game.simulation.player.getEffectiveMaxHealth();
                 console.log(`[DEBUG] Full heal`);
                 break;
+
+            case 'setTimeScale':
+                game.gameLoop.setTimeScale(data);
+                console.log(`[DEBUG] Time scale: x${game.gameLoop.getTimeScale()}`);
+                break;
+
+            case 'slowDown':
+            case 'speedUp': {
+                const current = game.gameLoop.getTimeScale();
+                const next = action === 'speedUp'
+                    ? TIME_SCALE_STEPS.find(scale => scale > current)
+                    : [...TIME_SCALE_STEPS].reverse().find(scale => scale < current);
+                if (next !== undefined) {
+                    this._handleAction('setTimeScale', next);
+                }
+                break;
+            }
+
+            case 'realTime':
+                this._handleAction('setTimeScale', 1);
+                break;
+
+            case 'toggleFreeze':
+                console.log(`[DEBUG] Hold ticks: ${game.gameLoop.toggleFrozen() ? 'ON' : 'OFF'}`);
+                break;
+
+            case 'stepTick':
+                game.gameLoop.step();
+                break;
         }
     }
 
@@ -563,5 +789,6 @@ export class DebugUI {
     destroy() {
         this.canvas.removeEventListener('click', this._handleClick);
         this.canvas.removeEventListener('wheel', this._handleWheel);
+        window.removeEventListener('keydown', this._handleKeyDown);
     }
 }
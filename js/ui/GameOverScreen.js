@@ -4,14 +4,23 @@
  * @module ui/GameOverScreen
  */
 
+import { State } from '../core/StateManager.js';
+import { GAME_STATE } from '../core/GameState.js';
+
 /**
- * Renders the game over screen
+ * Game over overlay state - shown over the final frame of the run
  */
-export class GameOverScreen {
+export class GameOverScreen extends State {
     /**
      * Creates a new GameOverScreen
+     * @param {Object} game - Game the screen belongs to
      */
-    constructor() {
+    constructor(game) {
+        super(game);
+
+        this.name = GAME_STATE.GAME_OVER;
+        this.overlay = true;
+
         /** @type {number} Animation timer */
         this.timer = 0;
 
@@ -31,16 +40,33 @@ export class GameOverScreen {
             this.timer = 0;
             this.showPrompt = !this.showPrompt;
         }
+
+        // Check for R to restart run (go directly to playing)
+        if (this.game.inputSystem.consumeKey('KeyR')) {
+            this.game.restartRun();
+            return;
+        }
+
+        // Check for SPACE to return to title
+        if (this.game.inputSystem.consumeKey('Space')) {
+            this.game.returnToTitle();
+        }
     }
 
     /**
      * Renders the game over screen
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {number} width - Canvas width
-     * @param {number} height - Canvas height
-     * @param {Object} stats - Final game stats
      */
-    render(ctx, width, height, stats = {}) {
+    render() {
+        const ctx = this.game.ctx;
+        const { width, height } = this.game.canvas;
+        const stats = {
+            level: this.game.simulation.player.level,
+            time: this.game.simulation.gameTime,
+            kills: this.game.simulation.killCount
+        };
+        // A run that dies in overtime was already won - show how long overtime lasted
+        const victorious = this.game.simulation.isVictorious();
+
         // Dark background with red tint
         ctx.fillStyle = '#140000f2';
         ctx.fillRect(0, 0, width, height);
@@ -53,7 +79,7 @@ export class GameOverScreen {
         ctx.shadowBlur = 25;
         ctx.fillStyle = '#ff0000';
         ctx.font = 'bold 64px monospace';
-        ctx.fillText('GAME OVER', width / 2, height / 2 - 100);
+        ctx.fillText(victorious ? 'OVERTIME OVER' : 'GAME OVER', width / 2, height / 2 - 100);
 
         ctx.shadowBlur = 0;
 
@@ -82,6 +108,15 @@ export class GameOverScreen {
         ctx.fillText(`Time: ${timeStr}`, width / 2, boxY + 45);
         ctx.fillText(`Kills: ${kills}`, width / 2, boxY + 75);
 
+        if (victorious) {
+            const overtime = this.game.simulation.getOvertimeTime();
+            const overtimeStr = `${Math.floor(overtime / 60)}:${Math.floor(overtime % 60).toString().padStart(2, '0')}`;
+            const best = this.game.lastRunResult?.newBestOvertime ? '  NEW BEST' : '';
+            ctx.fillStyle = '#ffcc00';
+            ctx.font = '16px monospace';
+            ctx.fillText(`Overtime: ${overtimeStr}${best}`, width / 2, boxY + 100);
+        }
+
         // Restart prompt (blinking)
         if (this.showPrompt) {
             ctx.fillStyle = '#00ff00';
@@ -92,5 +127,10 @@ export class GameOverScreen {
             ctx.font = '16px monospace';
             ctx.fillText('[ SPACE ] Return to Title', width / 2, height / 2 + 155);
         }
+
+        // Replay hint
+        ctx.fillStyle = '#444444';
+        ctx.font = '14px monospace';
+        ctx.fillText('[ F8 ] Save Replay', width / 2, height / 2 + 185);
     }
 }
@@ -4,21 +4,28 @@
  */
 
 import { GAME_CONFIG } from '../config/GameConfig.js';
+import { State } from '../core/StateManager.js';
+import { GAME_STATE } from '../core/GameState.js';
 
 /**
- * Handles rendering and input for the level-up screen
+ * Level-up overlay state - handles rendering and input for the upgrade choice
  */
-export class LevelUpUI {
+export class LevelUpUI extends State {
     /**
      * Creates a new LevelUpUI
-     * @param {HTMLCanvasElement} canvas - The game canvas
+     * @param {Object} game - Game the screen belongs to
      */
-    constructor(canvas) {
+    constructor(game) {
+        super(game);
+
+        this.name = GAME_STATE.LEVEL_UP;
+        this.overlay = true;
+
         /** @type {HTMLCanvasElement} */
-        this.canvas = canvas;
+        this.canvas = game.canvas;
 
         /** @type {CanvasRenderingContext2D} */
-        this.ctx = canvas.getContext('2d');
+        this.ctx = game.ctx;
 
         /** @type {Array} Current upgrade options */
         this.options = [];
@@ -26,12 +33,12 @@ export class LevelUpUI {
         /** @type {number} Currently highlighted option (-1 = none) */
         this.selectedIndex = -1;
 
-        /** @type {boolean} Whether UI is visible */
-        this.visible = false;
-
         /** @type {Function} Callback when option is selected */
         this.onSelect = null;
 
+        /** @type {boolean} Whether keyboard/mouse can pick options (off during replay playback) */
+        this.acceptInput = true;
+
         // Bind event handlers
         this._handleKeyDown = this._handleKeyDown.bind(this);
         this._handleClick = this._handleClick.bind(this);
@@ -40,14 +47,14 @@ export class LevelUpUI {
 
     /**
      * Shows the level-up UI with options
-     * @param {Array} options - Array of upgrade options
-     * @param {Function} onSelect - Callback when option selected (index)
+     * @param {Object} params
+     * @param {Array} params.options - Array of upgrade options
+     * @param {Function} params.onSelect - Callback when option selected (index)
      */
-    show(options, onSelect) {
+    enter({ options, onSelect }) {
         this.options = options;
         this.onSelect = onSelect;
         this.selectedIndex = -1;
-        this.visible = true;
 
         // Add event listeners
         window.addEventListener('keydown', this._handleKeyDown);
@@ -58,8 +65,7 @@ export class LevelUpUI {
     /**
      * Hides the level-up UI
      */
-    hide() {
-        this.visible = false;
+    exit() {
         this.options = [];
         this.onSelect = null;
 
@@ -69,12 +75,29 @@ export class LevelUpUI {
         this.canvas.removeEventListener('mousemove', this._handleMouseMove);
     }
 
+    /**
+     * Handles pausing, and re-applies recorded choices during replay playback
+     */
+    update() {
+        // Check for ESC to pause (the choice waits underneath)
+        if (this.game.inputSystem.consumeKey('Escape')) {
+            this.game.pauseGame();
+            return;
+        }
+
+        // During playback, re-apply the choice on the tick it was recorded
+        if (this.game.inputSystem.isPlayback()) {
+            const choice = this.game.inputSystem.takeReplayChoice();
+            if (choice !== null) {
+                this.selectOption(choice);
+            }
+        }
+    }
+
     /**
      * Renders the level-up UI
      */
     render() {
-        if (!this.visible) return;
-
         const ctx = this.ctx;
         const width = this.canvas.width;
         const height = this.canvas.height;
@@ -157,7 +180,7 @@ export class LevelUpUI {
      * @private
      */
     _handleKeyDown(event) {
-        if (!this.visible) return;
+        if (!this.isActive() || !this.acceptInput) return;
 
         let index = -1;
 
@@ -171,7 +194,7 @@ export class LevelUpUI {
 
         if (index >= 0 && index < this.options.length) {
             event.preventDefault();
-            this._selectOption(index);
+            this.selectOption(index);
         }
     }
 
@@ -181,7 +204,7 @@ export class LevelUpUI {
      * @private
      */
     _handleClick(event) {
-        if (!this.visible || !this.optionRects) return;
+        if (!this.isActive() || !this.acceptInput || !this.optionRects) return;
 
         const rect = this.canvas.getBoundingClientRect();
         const x = event.clientX - rect.left;
@@ -191,7 +214,7 @@ export class LevelUpUI {
             const box = this.optionRects[i];
             if (x >= box.x && x <= box.x + box.width &&
                 y >= box.y && y <= box.y + box.height) {
-                this._selectOption(i);
+                this.selectOption(i);
                 break;
             }
         }
@@ -203,7 +226,7 @@ export class LevelUpUI {
      * @private
      */
     _handleMouseMove(event) {
-        if (!this.visible || !this.optionRects) return;
+        if (!this.isActive() || !this.optionRects) return;
 
         const rect = this.canvas.getBoundingClientRect();
         const x = event.clientX - rect.left;
@@ -223,13 +246,19 @@ export class LevelUpUI {
 
     /**
      * Selects an upgrade option
+     * Called by keyboard/mouse input, or by the game when replaying a recorded choice
      * @param {number} index - Option index
-     * @private
      */
-    _selectOption(index) {
-        if (this.onSelect) {
-            this.onSelect(index);
+    selectOption(index) {
+        const onSelect = this.onSelect;
+
+        // Leave the stack first so the run resumes underneath
+        if (this.manager) {
+            this.manager.remove(this);
+        }
+
+        if (onSelect) {
+            onSelect(index);
         }
-        this.hide();
     }
 }
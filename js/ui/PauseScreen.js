@@ -4,14 +4,23 @@
  * @module ui/PauseScreen
  */
 
+import { State } from '../core/StateManager.js';
+import { GAME_STATE } from '../core/GameState.js';
+
 /**
- * Renders the pause screen overlay
+ * Pause overlay state - freezes the run beneath it
  */
-export class PauseScreen {
+export class PauseScreen extends State {
     /**
      * Creates a new PauseScreen
+     * @param {Object} game - Game the screen belongs to
      */
-    constructor() {
+    constructor(game) {
+        super(game);
+
+        this.name = GAME_STATE.PAUSED;
+        this.overlay = true;
+
         /** @type {number} Animation timer */
         this.timer = 0;
     }
@@ -22,16 +31,30 @@ export class PauseScreen {
      */
     update(deltaTime) {
         this.timer += deltaTime;
+
+        // Check for ESC to resume
+        if (this.game.inputSystem.consumeKey('Escape')) {
+            this.game.resumeGame();
+            return;
+        }
+
+        // Check for R to restart (abandons the run and its save)
+        if (this.game.inputSystem.consumeKey('KeyR')) {
+            this.game.abandonRun();
+        }
     }
 
     /**
      * Renders the pause screen
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {number} width - Canvas width
-     * @param {number} height - Canvas height
-     * @param {Object} stats - Current game stats
      */
-    render(ctx, width, height, stats = {}) {
+    render() {
+        const ctx = this.game.ctx;
+        const { width, height } = this.game.canvas;
+        const stats = {
+            level: this.game.simulation.player.level,
+            time: this.game.simulation.gameTime
+        };
+
         // Semi-transparent dark overlay
         ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
         ctx.fillRect(0, 0, width, height);
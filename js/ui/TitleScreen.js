@@ -1,17 +1,31 @@
 /**
  * Title Screen UI
- * Shows game title and start prompt
+ * Shows game title, start prompt and game mode selection
  * @module ui/TitleScreen
  */
 
+import { State } from '../core/StateManager.js';
+import { GAME_STATE } from '../core/GameState.js';
+import { GAME_MODES, getGameMode } from '../config/GameModeConfig.js';
+import { getModeRecords } from '../core/RunRecords.js';
+
 /**
- * Renders the title screen
+ * Title screen state - starts or continues a run
  */
-export class TitleScreen {
+export class TitleScreen extends State {
     /**
      * Creates a new TitleScreen
+     * @param {Object} game - Game the screen belongs to
+     * @param {{level: number, time: number, mode: string}|null} savedRun - Summary of a run that can be continued
      */
-    constructor() {
+    constructor(game, savedRun = null) {
+        super(game);
+
+        this.name = GAME_STATE.TITLE;
+
+        /** @type {{level: number, time: number, mode: string}|null} Saved run offered as "Continue" */
+        this.savedRun = savedRun;
+
         /** @type {number} Animation timer for blinking effect */
         this.blinkTimer = 0;
 
@@ -31,15 +45,34 @@ export class TitleScreen {
             this.blinkTimer = 0;
             this.showPrompt = !this.showPrompt;
         }
+
+        // Check for SPACE key to start game
+        if (this.game.inputSystem.consumeKey('Space')) {
+            this.game.startGame();
+            return;
+        }
+
+        // Check for C to continue a saved run
+        if (this.savedRun && this.game.inputSystem.consumeKey('KeyC')) {
+            this.game.continueRun();
+            return;
+        }
+
+        // Check for M to cycle the game mode for new runs
+        if (this.game.inputSystem.consumeKey('KeyM')) {
+            const modes = Object.values(GAME_MODES);
+            const index = modes.findIndex(mode => mode.id === this.game.selectedMode);
+            this.game.selectedMode = modes[(index + 1) % modes.length].id;
+        }
     }
 
     /**
      * Renders the title screen
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {number} width - Canvas width
-     * @param {number} height - Canvas height
      */
-    render(ctx, width, height) {
+    render() {
+        const ctx = this.game.ctx;
+        const { width, height } = this.game.canvas;
+
         // Dark background
         ctx.fillStyle = '#0a0a0a';
         ctx.fillRect(0, 0, width, height);
@@ -89,11 +122,39 @@ export class TitleScreen {
             ctx.fillText('[ PRESS SPACE TO START ]', width / 2, height / 2 + 100);
         }
 
+        // Continue option (only when a saved run exists)
+        if (this.savedRun) {
+            const minutes = Math.floor(this.savedRun.time / 60);
+            const seconds = Math.floor(this.savedRun.time % 60);
+            const timeStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+
+            ctx.fillStyle = '#00ffff';
+            ctx.font = '18px monospace';
+            ctx.fillText(`[ C ] CONTINUE  Lv.${this.savedRun.level}  ${timeStr}  ${this.savedRun.mode}`, width / 2, height / 2 + 140);
+        }
+
+        // Game mode for new runs
+        const mode = getGameMode(this.game.selectedMode);
+        ctx.fillStyle = '#ffcc00';
+        ctx.font = '16px monospace';
+        ctx.fillText(`[ M ] MODE: ${mode.name.toUpperCase()} - ${mode.description}`, width / 2, height / 2 + 175);
+
+        // Records for the selected mode
+        const records = getModeRecords(this.game.records, mode.id);
+        const format = time => `${Math.floor(time / 60)}:${Math.floor(time % 60).toString().padStart(2, '0')}`;
+        ctx.fillStyle = '#888888';
+        ctx.font = '13px monospace';
+        ctx.fillText(
+            `Wins ${records.victories}  Deaths ${records.deaths}  Best ${format(records.bestTime)}  Best OT ${format(records.bestOvertime)}`,
+            width / 2, height / 2 + 198
+        );
+
         // Controls hint
         ctx.fillStyle = '#666666';
         ctx.font = '16px monospace';
         ctx.fillText('WASD / Arrows - Move', width / 2, height - 80);
         ctx.fillText('ESC - Pause', width / 2, height - 55);
+        ctx.fillText('F9 - Load Replay', width / 2, height - 30);
 
         // Version
         ctx.fillStyle = '#333333';
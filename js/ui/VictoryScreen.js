@@ -0,0 +1,142 @@
+/**
+ * Victory Screen UI
+ * Shown when a run reaches its length: run stats, records and the overtime option
+ * @module ui/VictoryScreen
+ */
+
+import { State } from '../core/StateManager.js';
+import { GAME_STATE } from '../core/GameState.js';
+import { getModeRecords } from '../core/RunRecords.js';
+
+/**
+ * Formats seconds as M:SS
+ * @param {number} time - Seconds
+ * @returns {string}
+ */
+function formatTime(time) {
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Victory overlay state - shown over the final frame of a won run
+ */
+export class VictoryScreen extends State {
+    /**
+     * Creates a new VictoryScreen
+     * @param {Object} game - Game the screen belongs to
+     */
+    constructor(game) {
+        super(game);
+
+        this.name = GAME_STATE.VICTORY;
+        this.overlay = true;
+
+        /** @type {number} Animation timer */
+        this.timer = 0;
+
+        /** @type {boolean} Prompt blink state */
+        this.showPrompt = true;
+    }
+
+    /**
+     * Updates the victory screen
+     * @param {number} deltaTime - Time since last frame
+     */
+    update(deltaTime) {
+        this.timer += deltaTime;
+
+        // Blink every second
+        if (this.timer >= 1) {
+            this.timer = 0;
+            this.showPrompt = !this.showPrompt;
+        }
+
+        // Check for O to continue into overtime (if the mode allows it)
+        if (this.game.simulation.mode.overtime && this.game.inputSystem.consumeKey('KeyO')) {
+            this.game.startOvertime();
+            return;
+        }
+
+        // Check for R to start a new run
+        if (this.game.inputSystem.consumeKey('KeyR')) {
+            this.game.restartRun();
+            return;
+        }
+
+        // Check for SPACE to return to title
+        if (this.game.inputSystem.consumeKey('Space')) {
+            this.game.returnToTitle();
+        }
+    }
+
+    /**
+     * Renders the victory screen
+     */
+    render() {
+        const ctx = this.game.ctx;
+        const { width, height } = this.game.canvas;
+        const simulation = this.game.simulation;
+        const records = getModeRecords(this.game.records, simulation.mode.id);
+        const minutes = Math.max(1, simulation.gameTime / 60);
+
+        // Dark background with green tint
+        ctx.fillStyle = '#001408f2';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // Title with green glow
+        ctx.shadowColor = '#00ff00';
+        ctx.shadowBlur = 25;
+        ctx.fillStyle = '#00ff00';
+        ctx.font = 'bold 56px monospace';
+        ctx.fillText('SYSTEM SECURED', width / 2, height / 2 - 170);
+
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = '#ff4444';
+        ctx.font = '16px monospace';
+        ctx.fillText('...but the Reaper has entered the network', width / 2, height / 2 - 125);
+
+        // Stats
+        const boxY = height / 2 - 60;
+        ctx.fillStyle = '#888888';
+        ctx.font = '16px monospace';
+        ctx.fillText(`${simulation.mode.name.toUpperCase()} RUN COMPLETE`, width / 2, boxY);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '20px monospace';
+        ctx.fillText(`Survived: ${formatTime(simulation.gameTime)}`, width / 2, boxY + 35);
+        ctx.fillText(`Level: ${simulation.player.level}   Kills: ${simulation.killCount}`, width / 2, boxY + 65);
+        ctx.fillText(`Kills/min: ${Math.round(simulation.killCount / minutes)}   Weapons: ${simulation.player.weapons.length}`, width / 2, boxY + 95);
+
+        // Records for this mode
+        ctx.fillStyle = '#00cccc';
+        ctx.font = '14px monospace';
+        const best = this.game.lastRunResult?.newBestKills ? '  (new best kills!)' : '';
+        ctx.fillText(`Victories: ${records.victories}   Deaths: ${records.deaths}${best}`, width / 2, boxY + 130);
+
+        // Prompts (blinking)
+        if (this.showPrompt) {
+            ctx.font = '20px monospace';
+            if (simulation.mode.overtime) {
+                ctx.fillStyle = '#ffcc00';
+                ctx.fillText('[ O ] OVERTIME - keep going', width / 2, height / 2 + 120);
+            }
+
+            ctx.fillStyle = '#00ff00';
+            ctx.fillText('[ R ] New Run', width / 2, height / 2 + 155);
+
+            ctx.fillStyle = '#666666';
+            ctx.font = '16px monospace';
+            ctx.fillText('[ SPACE ] Return to Title', width / 2, height / 2 + 185);
+        }
+
+        // Replay hint
+        ctx.fillStyle = '#444444';
+        ctx.font = '14px monospace';
+        ctx.fillText('[ F8 ] Save Replay', width / 2, height / 2 + 215);
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Random - Seedable pseudo-random number generation
+ * Every system draws from the shared RNG streams instead of Math.random(),
+ * so a run with the same seed and the same inputs plays out identically
+ * @module utils/Random
+ */
+
+/**
+ * Small, fast seedable PRNG (mulberry32)
+ * State is a single 32-bit integer, so it can be saved and restored cheaply
+ */
+export class SeededRandom {
+    /**
+     * Creates a new SeededRandom
+     * @param {number} seed - Initial seed (any number, truncated to 32 bits)
+     */
+    constructor(seed = 1) {
+        /** @type {number} Seed this stream was created with */
+        this.seed = 0;
+
+        /** @type {number} Current internal state */
+        this.state = 0;
+
+        this.setSeed(seed);
+    }
+
+    /**
+     * Resets the stream to the start of a seed's sequence
+     * @param {number} seed - New seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Returns the next float in [0, 1) - drop-in replacement for Math.random()
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns a float in [min, max)
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Returns an integer in [min, max]
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (inclusive)
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Returns true with the given probability
+     * @param {number} probability - Chance of true (0-1)
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Picks a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} Random element, or undefined if empty
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle (in place)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Generates a short random id string
+     * @returns {string} 9-character base-36 id
+     */
+    id() {
+        return this.next().toString(36).substr(2, 9).padEnd(9, '0');
+    }
+
+    /**
+     * Gets the current stream state (for save/replay)
+     * @returns {number} Internal state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restores a stream state captured with getState()
+     * @param {number} state - Internal state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+/**
+ * Offset mixed into the run seed for the cosmetic stream,
+ * so it never shares a sequence with the gameplay stream
+ * @type {number}
+ */
+const COSMETIC_SEED_SALT = 0x9E3779B9;
+
+/**
+ * Shared random streams
+ * - gameplay: anything that affects the simulation (spawns, stats, upgrades, physics)
+ * - cosmetic: visuals only (particles, shake, damage number jitter)
+ * Cosmetic draws never advance the gameplay stream, so toggling effects can't desync a run
+ */
+export const RNG = {
+    /** @type {number} Seed of the current run */
+    seed: 1,
+
+    /** @type {SeededRandom} Stream for simulation-affecting randomness */
+    gameplay: new SeededRandom(1),
+
+    /** @type {SeededRandom} Stream for purely visual randomness */
+    cosmetic: new SeededRandom(1 ^ COSMETIC_SEED_SALT),
+
+    /**
+     * Reseeds both streams from a single run seed
+     * @param {number} seed - Run seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.gameplay.setSeed(this.seed);
+        this.cosmetic.setSeed(this.seed ^ COSMETIC_SEED_SALT);
+    },
+
+    /**
+     * Gets the state of both streams (for save/replay)
+     * @returns {{seed: number, gameplay: number, cosmetic: number}}
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            gameplay: this.gameplay.getState(),
+            cosmetic: this.cosmetic.getState()
+        };
+    },
+
+    /**
+     * Restores stream states captured with getState()
+     * @param {{seed: number, gameplay: number, cosmetic: number}} state
+     */
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.gameplay.setState(state.gameplay);
+        this.cosmetic.setState(state.cosmetic);
+    }
+};
+
+/**
+ * Creates a fresh, non-deterministic seed for a new run
+ * @returns {number} 32-bit seed
+ */
+export function createSeed() {
+    return (Date.now() ^ (Math.random() * 0xFFFFFFFF)) >>> 0;
+}
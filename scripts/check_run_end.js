@@ -0,0 +1,89 @@
+/**
+ * Headless run-end check
+ * Takes every game mode with a run length to its victory under Node and checks that the
+ * reaper is on the field then, and still hunting once overtime starts (where the mode allows it)
+ * The run skips ahead to just before its length - simulate_run.js plays whole runs
+ * Usage: node scripts/check_run_end.js [seed=1]
+ */
+
+import { Simulation } from '../js/core/Simulation.js';
+import { GAME_MODES } from '../js/config/GameModeConfig.js';
+import { RUN_CONFIG } from '../js/config/RunConfig.js';
+import { GAME_CONFIG } from '../js/config/GameConfig.js';
+import { RNG } from '../js/utils/Random.js';
+
+const seed = Number(process.argv[2]) || 1;
+const dt = 1 / GAME_CONFIG.LOOP.TICK_RATE;
+
+// Keep spawn logs out of the summary
+console.log = () => { };
+const log = (...args) => process.stdout.write(args.join(' ') + '\n');
+
+let errors = 0;
+
+/**
+ * Gets the living reapers
+ * @param {Simulation} sim - Simulation
+ * @returns {Array<Enemy>}
+ */
+function getReapers(sim) {
+    return sim.gameState.enemies.filter(enemy => enemy.enemyType === RUN_CONFIG.REAPER.ENEMY && enemy.alive);
+}
+
+/**
+ * Steps the simulation with no input
+ * @param {Simulation} sim - Simulation
+ * @param {number} seconds - Time to step
+ */
+function idle(sim, seconds) {
+    for (let tick = 0; tick < Math.round(seconds / dt) && !sim.isGameOver(); tick++) {
+        if (sim.isLevelingUp()) sim.selectUpgrade(0);
+        sim.step(dt, { x: 0, y: 0 });
+    }
+}
+
+for (const mode of Object.values(GAME_MODES)) {
+    if (mode.runLength <= 0) continue;
+
+    RNG.reseed(seed);
+    const sim = new Simulation({ mode: mode.id });
+    sim.gameTime = mode.runLength - 1;
+    idle(sim, 2);
+
+    if (!sim.isVictorious()) {
+        log(`[ERROR] ${mode.id}: no victory at ${mode.runLength}s`);
+        errors++;
+        continue;
+    }
+    const reapers = getReapers(sim);
+    if (reapers.length !== 1) {
+        log(`[ERROR] ${mode.id}: ${reapers.length} reapers after victory (expected 1)`);
+        errors++;
+        continue;
+    }
+
+    if (sim.startOvertime() !== mode.overtime) {
+        log(`[ERROR] ${mode.id}: overtime ${mode.overtime ? 'refused' : 'started'}`);
+        errors++;
+        continue;
+    }
+    if (mode.overtime) {
+        const [reaper] = reapers;
+        const distance = reaper.position.distanceTo(sim.player.position);
+        idle(sim, 1);
+        if (!reaper.alive || reaper.position.distanceTo(sim.player.position) >= distance) {
+            log(`[ERROR] ${mode.id}: the reaper isn't closing in during overtime`);
+            errors++;
+            continue;
+        }
+    }
+
+    log(`${mode.id}: victory at ${Math.floor(sim.gameTime)}s, reaper on the field${mode.overtime ? ' and closing in during overtime' : ''}`);
+}
+
+if (errors === 0) {
+    log('SUCCESS: Every run length ends in a victory with the reaper on the field.');
+} else {
+    log(`FAILED: Found ${errors} errors.`);
+    process.exit(1);
+}
@@ -0,0 +1,62 @@
+/**
+ * Headless replay player
+ * Feeds a recorded replay into the Simulation and reports where the run ended,
+ * so a bug report's replay can be checked without opening the browser
+ * Usage: node scripts/play_replay.js <replay.json>
+ */
+
+import { readFileSync } from 'node:fs';
+import { Simulation } from '../js/core/Simulation.js';
+import { ReplayPlayer, directionMaskToVector } from '../js/core/Replay.js';
+import { GAME_CONFIG } from '../js/config/GameConfig.js';
+import { RNG } from '../js/utils/Random.js';
+
+const file = process.argv[2];
+if (!file) {
+    console.error('Usage: node scripts/play_replay.js <replay.json>');
+    process.exit(1);
+}
+
+const replay = JSON.parse(readFileSync(file, 'utf8'));
+const problem = ReplayPlayer.validate(replay, GAME_CONFIG.LOOP.TICK_RATE);
+if (problem) {
+    console.error(`[ERROR] Incompatible replay: ${problem}`);
+    process.exit(1);
+}
+
+// Keep per-wave spawn logs out of the summary
+console.log = () => { };
+const log = (...args) => process.stdout.write(args.join(' ') + '\n');
+
+const dt = 1 / GAME_CONFIG.LOOP.TICK_RATE;
+RNG.reseed(replay.seed);
+const sim = new Simulation({ mode: replay.mode });
+const player = new ReplayPlayer(replay);
+
+while (!player.isFinished() && !sim.isGameOver()) {
+    // Re-apply level-up choices on the tick they were made
+    if (sim.isLevelingUp()) {
+        const choice = player.takeChoice();
+        if (choice !== null) {
+            sim.selectUpgrade(choice);
+        }
+    }
+
+    // The recorded run either went into overtime or stopped at the victory screen
+    if (sim.isAwaitingOvertime()) {
+        if (!replay.overtime || !sim.startOvertime()) break;
+    }
+
+    sim.step(dt, directionMaskToVector(player.nextTick()));
+}
+
+const minutes = Math.floor(sim.gameTime / 60);
+const seconds = Math.floor(sim.gameTime % 60);
+
+log(`Seed:      ${replay.seed}`);
+log(`Mode:      ${sim.mode.name}`);
+log(`Ticks:     ${player.tick}/${replay.ticks}`);
+log(`Outcome:   ${sim.isGameOver() ? 'died' : 'alive'} at ${minutes}:${seconds.toString().padStart(2, '0')}${sim.isVictorious() ? ' (victory)' : ''}`);
+log(`Level:     ${sim.player.level}`);
+log(`Kills:     ${sim.killCount}`);
+log(`Health:    ${Math.ceil(sim.player.health)}/${sim.player.getEffectiveMaxHealth()}`);
@@ -0,0 +1,114 @@
+/**
+ * Headless run simulator
+ * Steps the real Simulation under Node with a simple bot at the game's tick rate
+ * The bot "presses" the same 8 directions a keyboard player can, so its run can be
+ * saved as a replay and played back in the browser (F9) or with play_replay.js
+ * Usage: node scripts/simulate_run.js [seconds=300] [seed=1] [replayOut.json] [--mode=standard]
+ * With a director mode (e.g. --mode=adaptive) the director's decisions are listed too
+ */
+
+import { writeFileSync } from 'node:fs';
+import { Simulation } from '../js/core/Simulation.js';
+import { DIRECTION_BIT, directionMaskToVector, ReplayRecorder } from '../js/core/Replay.js';
+import { GAME_CONFIG } from '../js/config/GameConfig.js';
+import { RNG } from '../js/utils/Random.js';
+
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const modeArg = process.argv.find(arg => arg.startsWith('--mode='));
+const seconds = Number(args[0]) || 300;
+const seed = Number(args[1]) || 1;
+const replayOut = args[2] || null;
+const mode = modeArg ? modeArg.slice('--mode='.length) : GAME_CONFIG.MODE;
+const dt = 1 / GAME_CONFIG.LOOP.TICK_RATE;
+
+// Keep per-wave spawn logs out of the summary
+console.log = () => { };
+const log = (...args) => process.stdout.write(args.join(' ') + '\n');
+
+RNG.reseed(seed);
+const sim = new Simulation({ mode });
+
+/**
+ * Bot input: steer away from nearby enemies, weighted by closeness
+ * @returns {number} Direction bitmask (DIRECTION_BIT flags)
+ */
+function botInput() {
+    const avoidRadius = 300;
+    let x = 0;
+    let y = 0;
+
+    for (const enemy of sim.gameState.enemies) {
+        const dx = sim.player.position.x - enemy.position.x;
+        const dy = sim.player.position.y - enemy.position.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist > 0 && dist < avoidRadius) {
+            const weight = (avoidRadius - dist) / (avoidRadius * dist);
+            x += dx * weight;
+            y += dy * weight;
+        }
+    }
+
+    // Snap to the nearest of 8 keyboard directions
+    const length = Math.sqrt(x * x + y * y);
+    if (length === 0) {
+        return 0;
+    }
+
+    const threshold = Math.sin(Math.PI / 8);
+    let mask = 0;
+    if (y / length < -threshold) mask |= DIRECTION_BIT.UP;
+    if (y / length > threshold) mask |= DIRECTION_BIT.DOWN;
+    if (x / length < -threshold) mask |= DIRECTION_BIT.LEFT;
+    if (x / length > threshold) mask |= DIRECTION_BIT.RIGHT;
+    return mask;
+}
+
+const totalTicks = Math.round(seconds / dt);
+const recorder = new ReplayRecorder(seed, GAME_CONFIG.LOOP.TICK_RATE, sim.mode.id);
+let levelUps = 0;
+
+for (let tick = 0; tick < totalTicks && !sim.isGameOver(); tick++) {
+    // Always take the first offered upgrade
+    if (sim.isLevelingUp()) {
+        recorder.recordChoice(0);
+        sim.selectUpgrade(0);
+        levelUps++;
+    }
+
+    // Keep going into overtime after a victory if the mode allows it
+    if (sim.isAwaitingOvertime()) {
+        if (!sim.startOvertime()) break;
+        recorder.recordOvertime();
+    }
+
+    const mask = botInput();
+    recorder.recordTick(mask);
+    sim.step(dt, directionMaskToVector(mask));
+}
+
+if (replayOut) {
+    writeFileSync(replayOut, JSON.stringify(recorder.toJSON()));
+    log(`Replay:    ${replayOut} (${recorder.tickCount} ticks)`);
+}
+
+log(`Seed:      ${seed}`);
+log(`Mode:      ${sim.mode.name}`);
+log(`Outcome:   ${sim.isGameOver() ? 'died' : 'survived'}${sim.isVictorious() ? ' (victory)' : ''}`);
+if (sim.overtime) {
+    log(`Overtime:  ${sim.getOvertimeTime().toFixed(1)}s`);
+}
+log(`Time:      ${sim.gameTime.toFixed(1)}s`);
+log(`Level:     ${sim.player.level} (${levelUps} upgrades)`);
+log(`Kills:     ${sim.killCount}`);
+log(`Health:    ${Math.ceil(sim.player.health)}/${sim.player.getEffectiveMaxHealth()}`);
+log(`Enemies:   ${sim.gameState.enemies.length}`);
+log(`Stragglers: ${sim.stragglerSystem.relocatedCount} relocated, ${sim.stragglerSystem.culledCount} culled`);
+log(`Weapons:   ${sim.player.weapons.map(w => `${w.id}:${w.level}`).join(', ')}`);
+
+if (sim.directorSystem.enabled) {
+    log(`Intensity: ${sim.spawnSystem.intensity.toFixed(2)}`);
+    log('Director decisions:');
+    for (const decision of sim.directorSystem.decisions) {
+        log(`  ${decision.time} ${decision.from.toFixed(2)} → ${decision.to.toFixed(2)} (${decision.reason}: ${decision.metrics})`);
+    }
+}
@@ -1,4 +1,15 @@
 import { WEAPON_TYPES } from '../js/config/WeaponConfig.js';
+import { STAGES, getStage } from '../js/config/StageConfig.js';
+import { ENEMY_TYPES, getEnemyType } from '../js/config/EnemyConfig.js';
+import { getBehavior } from '../js/config/BehaviorConfig.js';
+import { ELITE_AFFIXES } from '../js/config/AffixConfig.js';
+import { getFormation } from '../js/systems/SpawnFormations.js';
+import { ENEMY_SCALING, SCALED_STATS } from '../js/config/ScalingConfig.js';
+import { GAME_MODES } from '../js/config/GameModeConfig.js';
+import { DIRECTOR_CONFIG } from '../js/config/DirectorConfig.js';
+import { RUN_CONFIG } from '../js/config/RunConfig.js';
+import { MAP_EVENTS, getMapEvent } from '../js/config/MapEventConfig.js';
+import { GAME_CONFIG } from '../js/config/GameConfig.js';
 
 let errors = 0;
 console.log('Validating Weapon Configuration Schema...');
@@ -33,8 +44,236 @@ for (const [key, weapon] of Object.entries(WEAPON_TYPES)) {
     }
 }
 
+console.log('Validating Stage Timelines...');
+
+for (const [key, stage] of Object.entries(STAGES)) {
+    console.log(`Checking ${key}...`);
+
+    const first = stage.timeline[0];
+    if (!first || first.time !== 0 || !first.enemies || !first.wave || first.trickleInterval === undefined) {
+        console.error(`[ERROR] ${key} timeline must start at time 0 with enemies, wave and trickleInterval`);
+        errors++;
+    }
+
+    stage.timeline.forEach((entry, i) => {
+        if (i > 0 && entry.time < stage.timeline[i - 1].time) {
+            console.error(`[ERROR] ${key} timeline entry ${i} is out of time order`);
+            errors++;
+        }
+
+        const enemyIds = [
+            ...Object.keys(entry.enemies || {}),
+            ...(entry.spawn ? [entry.spawn.enemy] : []),
+            ...(entry.boss ? [entry.boss.enemy] : [])
+        ];
+        for (const id of enemyIds) {
+            if (!getEnemyType(id)) {
+                console.error(`[ERROR] ${key} timeline entry ${i} uses unknown enemy '${id}'`);
+                errors++;
+            }
+        }
+
+        if (entry.wave) {
+            for (const field of ['interval', 'size', 'minDirections', 'maxDirections']) {
+                if (entry.wave[field] === undefined) {
+                    console.error(`[ERROR] ${key} timeline entry ${i} missing wave.${field}`);
+                    errors++;
+                }
+            }
+        }
+
+        const formations = [
+            ...Object.keys(entry.wave?.formations || {}),
+            ...(entry.spawn?.formation ? [entry.spawn.formation] : [])
+        ];
+        for (const name of formations) {
+            if (!getFormation(name)) {
+                console.error(`[ERROR] ${key} timeline entry ${i} uses unknown formation '${name}'`);
+                errors++;
+            }
+        }
+
+        if (entry.event && !getMapEvent(entry.event)) {
+            console.error(`[ERROR] ${key} timeline entry ${i} uses unknown map event '${entry.event}'`);
+            errors++;
+        }
+    });
+}
+
+console.log('Validating Map Events...');
+
+const EVENT_FIELDS = {
+    stampede: ['enemy', 'count', 'speed', 'lifetime'],
+    ambush: ['count', 'radius'],
+    blackout: ['radius', 'duration'],
+    carrier: ['enemy', 'count', 'lifetime']
+};
+
+for (const [key, event] of Object.entries(MAP_EVENTS)) {
+    console.log(`Checking ${key}...`);
+
+    const fields = EVENT_FIELDS[event.kind];
+    if (!fields) {
+        console.error(`[ERROR] ${key} has unknown kind '${event.kind}'`);
+        errors++;
+        continue;
+    }
+    if (!(event.weight > 0) || !(event.cooldown >= 0) || !(event.minTime >= 0) || !event.warning) {
+        console.error(`[ERROR] ${key} needs a warning, weight > 0, cooldown >= 0 and minTime >= 0`);
+        errors++;
+    }
+    for (const field of fields) {
+        if (event[field] === undefined) {
+            console.error(`[ERROR] ${key} missing ${field}`);
+            errors++;
+        }
+    }
+    if (event.enemy !== undefined && !getEnemyType(event.enemy)) {
+        console.error(`[ERROR] ${key} uses unknown enemy '${event.enemy}'`);
+        errors++;
+    }
+    if (event.kind === 'ambush' && event.radius < GAME_CONFIG.SPAWN.MIN_PLAYER_DISTANCE) {
+        console.error(`[ERROR] ${key} radius is inside SPAWN.MIN_PLAYER_DISTANCE - every enemy would be moved`);
+        errors++;
+    }
+}
+
+console.log('Validating Enemy Behaviors...');
+
+for (const [key, type] of Object.entries(ENEMY_TYPES)) {
+    if (type.targetPriority !== undefined && !(type.targetPriority > 0)) {
+        console.error(`[ERROR] ${key} targetPriority must be positive`);
+        errors++;
+    }
+    if (!type.behaviors) continue;
+    console.log(`Checking ${key}...`);
+
+    for (const entry of type.behaviors) {
+        const behavior = getBehavior(entry.id);
+        if (!behavior) {
+            console.error(`[ERROR] ${key} has unknown behavior '${entry.id}'`);
+            errors++;
+            continue;
+        }
+        for (const param of Object.keys(entry)) {
+            if (param !== 'id' && !(param in behavior.defaults)) {
+                console.error(`[ERROR] ${key} behavior '${entry.id}' has unknown parameter '${param}'`);
+                errors++;
+            }
+        }
+        if (entry.id === 'split' && entry.enemy && !getEnemyType(entry.enemy)) {
+            console.error(`[ERROR] ${key} splits into unknown enemy '${entry.enemy}'`);
+            errors++;
+        }
+        if (entry.id === 'armor') {
+            const arc = entry.arc ?? behavior.defaults.arc;
+            if (!(arc > 0 && arc <= 360)) {
+                console.error(`[ERROR] ${key} armor arc must be between 0 and 360 degrees`);
+                errors++;
+            }
+        }
+        if (entry.id === 'fuse') {
+            const fuse = { ...behavior.defaults, ...entry };
+            if (fuse.deathRadius > fuse.radius || fuse.deathDamage > fuse.damage) {
+                console.error(`[ERROR] ${key} early blast should not be bigger than its fused blast`);
+                errors++;
+            }
+        }
+    }
+    if (!type.behaviors.some(entry => getBehavior(entry.id)?.move)) {
+        console.error(`[ERROR] ${key} has no movement behavior (chase, kite, flee, orbit...)`);
+        errors++;
+    }
+}
+
+console.log('Validating Elite Affixes...');
+
+for (const [key, affix] of Object.entries(ELITE_AFFIXES)) {
+    console.log(`Checking ${key}...`);
+
+    if (!affix.id || !affix.color || !affix.stats) {
+        console.error(`[ERROR] ${key} needs id, color and stats`);
+        errors++;
+        continue;
+    }
+
+    for (const stat of Object.keys(affix.stats)) {
+        if (!['health', 'speed', 'damage', 'xp'].includes(stat)) {
+            console.error(`[ERROR] ${key} has unknown stat multiplier '${stat}'`);
+            errors++;
+        }
+    }
+}
+
+console.log('Validating Enemy Scaling Curves...');
+
+const scalingSets = [['DEFAULT', ENEMY_SCALING.DEFAULT], ...Object.entries(ENEMY_SCALING.TYPES)];
+for (const [key, curves] of scalingSets) {
+    console.log(`Checking ${key}...`);
+
+    if (key !== 'DEFAULT' && !getEnemyType(key)) {
+        console.error(`[ERROR] scaling for unknown enemy '${key}'`);
+        errors++;
+    }
+
+    for (const [stat, curve] of Object.entries(curves)) {
+        if (!SCALED_STATS.includes(stat)) {
+            console.error(`[ERROR] ${key} scales unknown stat '${stat}'`);
+            errors++;
+        } else if (curve.curve === 'exponential') {
+            if (curve.perMinute === undefined || curve.max === undefined) {
+                console.error(`[ERROR] ${key}.${stat} exponential curve needs perMinute and max`);
+                errors++;
+            }
+        } else if (curve.curve === 'piecewise') {
+            const ordered = curve.points?.length > 0 && curve.points.every((p, i) => i === 0 || p[0] > curve.points[i - 1][0]);
+            if (!ordered) {
+                console.error(`[ERROR] ${key}.${stat} piecewise curve needs points in time order`);
+                errors++;
+            }
+        } else {
+            console.error(`[ERROR] ${key}.${stat} has unknown curve '${curve.curve}'`);
+            errors++;
+        }
+    }
+}
+
+console.log('Validating Game Modes...');
+
+for (const [key, mode] of Object.entries(GAME_MODES)) {
+    console.log(`Checking ${key}...`);
+
+    if (mode.stage !== undefined && !getStage(mode.stage)) {
+        console.error(`[ERROR] ${key} uses unknown stage '${mode.stage}'`);
+        errors++;
+    }
+    if (!(mode.runLength >= 0)) {
+        console.error(`[ERROR] ${key} needs a runLength of 0 (endless) or more seconds`);
+        errors++;
+    }
+}
+
+const reaper = getEnemyType(RUN_CONFIG.REAPER.ENEMY);
+if (!reaper || !reaper.boss) {
+    console.error(`[ERROR] Reaper enemy '${RUN_CONFIG.REAPER.ENEMY}' must be a boss type`);
+    errors++;
+}
+if (!(RUN_CONFIG.REAPER.EVERY > 0)) {
+    console.error('[ERROR] Reaper interval (RUN_CONFIG.REAPER.EVERY) must be above 0');
+    errors++;
+}
+
+if (!(DIRECTOR_CONFIG.MIN_INTENSITY > 0 && DIRECTOR_CONFIG.MIN_INTENSITY <= 1 && DIRECTOR_CONFIG.MAX_INTENSITY >= 1)) {
+    console.error('[ERROR] Director intensity bounds must satisfy 0 < MIN_INTENSITY <= 1 <= MAX_INTENSITY');
+    errors++;
+}
+if (!(DIRECTOR_CONFIG.RELIEF.INTENSITY > 0)) {
+    console.error('[ERROR] Director relief intensity must be above 0');
+    errors++;
+}
+
 if (errors === 0) {
-    console.log('SUCCESS: All weapon configs are valid.');
+    console.log('SUCCESS: All weapon, stage, enemy behavior, affix, map event, scaling, game mode and run configs are valid.');
 } else {
     console.error(`FAILED: Found ${errors} errors.`);
     process.exit(1);